@@ -0,0 +1,102 @@
+// Hour-of-day × weekday posting heatmaps, for checking by eye what the
+// night-posting and burst indicators reduce to a single number: whether an
+// account (or a whole community) sleeps, works in shifts, or posts around the
+// clock. Hours and weekdays are read in an IANA timezone chosen by the analyst.
+
+import { DEFAULT_TIME_ZONE, zonedParts, timeZoneLabel } from './timezone.js';
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Count timestamps (Unix seconds) per weekday and hour.
+ * Returns { counts: 7 rows (Mon-Sun) × 24 hours, hours: 24 column totals,
+ * total, max } where max is the busiest single cell.
+ */
+export function activityMatrix(times, timeZone = DEFAULT_TIME_ZONE) {
+  const counts = WEEKDAYS.map(() => new Array(24).fill(0));
+  const hours = new Array(24).fill(0);
+  let total = 0;
+
+  times.forEach(time => {
+    if (!time) return;
+    const { weekday, hour } = zonedParts(time, timeZone);
+    counts[weekday][hour]++;
+    hours[hour]++;
+    total++;
+  });
+
+  const max = Math.max(0, ...counts.flat());
+  return { counts, hours, total, max };
+}
+
+/**
+ * Longest run of consecutive hours without posts, wrapping past midnight.
+ * Returns { start, length } (hours), length 0 when every hour has posts.
+ */
+export function longestQuietStretch(hours) {
+  if (hours.every(count => count === 0)) return { start: 0, length: 24 };
+
+  let best = { start: 0, length: 0 };
+  // Start counting right after a busy hour so a stretch over midnight stays whole
+  const origin = hours.findIndex(count => count > 0);
+  let runStart = null;
+  for (let step = 1; step <= 24; step++) {
+    const hour = (origin + step) % 24;
+    if (hours[hour] === 0) {
+      if (runStart === null) runStart = hour;
+      const length = step - ((runStart - origin + 24) % 24) + 1;
+      if (length > best.length) best = { start: runStart, length };
+    } else {
+      runStart = null;
+    }
+  }
+  return best;
+}
+
+function cellColor(count, max) {
+  if (!count) return '#f3f4f6';
+  // Square root scale, so a single busy hour doesn't wash out the rest
+  const alpha = 0.15 + 0.85 * Math.sqrt(count / max);
+  return `rgba(124, 58, 237, ${alpha.toFixed(2)})`;
+}
+
+function pad(hour) {
+  return String(hour).padStart(2, '0');
+}
+
+/**
+ * HTML table of a matrix from activityMatrix(), with a one-line summary of
+ * how many hours of the day are used and the longest quiet stretch.
+ */
+export function renderActivityHeatmap(matrix, timeZone = DEFAULT_TIME_ZONE) {
+  if (!matrix.total) {
+    return '<div class="small" style="color:#6b7280;">No timestamped posts.</div>';
+  }
+
+  const headerCells = Array.from({ length: 24 }, (_, hour) => (
+    `<th style="font-weight:400; color:#9ca3af; font-size:.6rem; padding:0;">${hour % 3 === 0 ? pad(hour) : ''}</th>`
+  )).join('');
+
+  const rows = matrix.counts.map((row, weekday) => {
+    const cells = row.map((count, hour) => (
+      `<td title="${WEEKDAYS[weekday]} ${pad(hour)}:00–${pad(hour)}:59 · ${count} post${count === 1 ? '' : 's'}" style="background:${cellColor(count, matrix.max)}; height:14px; border-radius:2px;"></td>`
+    )).join('');
+    return `<tr><th style="font-weight:400; color:#6b7280; font-size:.65rem; text-align:right; padding-right:4px;">${WEEKDAYS[weekday]}</th>${cells}</tr>`;
+  }).join('');
+
+  const activeHours = matrix.hours.filter(count => count > 0).length;
+  const quiet = longestQuietStretch(matrix.hours);
+  const quietText = quiet.length === 0
+    ? 'posts in every hour of the day'
+    : `longest quiet stretch ${pad(quiet.start)}:00–${pad((quiet.start + quiet.length) % 24)}:00 (${quiet.length}h)`;
+
+  return `
+    <table style="width:100%; border-collapse:separate; border-spacing:2px; table-layout:fixed;">
+      <thead><tr><th style="width:32px;"></th>${headerCells}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="small" style="color:#6b7280; margin-top:.25rem;">
+      ${matrix.total} posts · active in ${activeHours} of 24 hours · ${quietText} · ${timeZoneLabel(timeZone).replace(/</g, '&lt;')}
+    </div>
+  `;
+}
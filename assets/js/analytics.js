@@ -1,3 +1,6 @@
+import { extractPostLinks } from './links.js';
+import { DEFAULT_TIME_ZONE, zonedParts } from './timezone.js';
+
 export function calculateStats(rawData) {
   const uniqueUsers = new Set(rawData.map(p => p.data?.author?.id).filter(Boolean));
   const allHashtags = rawData.flatMap(p => p.data?.challenges?.map(c => c.title) || []);
@@ -15,7 +18,7 @@ export function calculateStats(rawData) {
   };
 }
 
-export function filterData(rawData, { minEngagement, startDate, endDate, onDebug } = {}) {
+export function filterData(rawData, { minEngagement, startDate, endDate, onDebug, onReject } = {}) {
   const minimum = Number.isFinite(minEngagement) ? minEngagement : 0;
   const start = Number.isFinite(startDate) ? startDate : 0;
   const end = Number.isFinite(endDate) ? endDate : Infinity;
@@ -47,6 +50,10 @@ export function filterData(rawData, { minEngagement, startDate, endDate, onDebug
       debugCount += 1;
     }
 
+    if (onReject && (!passesEngagement || !passesDateFilter)) {
+      onReject(post, { passesEngagement, passesDateFilter, hasTimestamp: Boolean(postTime) });
+    }
+
     return passesEngagement && passesDateFilter;
   });
 }
@@ -166,18 +173,20 @@ export function analyzePostingRhythm(posts, cvThreshold = 0.1) {
   };
 }
 
-export function analyzeNightPosting(posts, gapThreshold = 7200) {
+// Days and hours are read in `timeZone`, never the browser's own zone, so the
+// result does not depend on where the analyst sits
+export function analyzeNightPosting(posts, gapThreshold = 7200, timeZone = DEFAULT_TIME_ZONE) {
   if (posts.length < 10) return { suspicious: false };
 
-  const timestamps = posts.map(p => p.timestamp).sort();
+  const timestamps = posts.map(p => p.timestamp).sort((a, b) => a - b);
   const dailyGaps = new Map();
 
   timestamps.forEach(ts => {
-    const date = new Date(ts * 1000);
-    const dayKey = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+    const date = zonedParts(ts, timeZone);
+    const dayKey = `${date.year}-${date.month}-${date.day}`;
 
     if (!dailyGaps.has(dayKey)) dailyGaps.set(dayKey, []);
-    dailyGaps.get(dayKey).push(date.getHours() * 3600 + date.getMinutes() * 60);
+    dailyGaps.get(dayKey).push(date.hour * 3600 + date.minute * 60);
   });
 
   const avgMaxGap = Array.from(dailyGaps.values()).map(day => {
@@ -198,6 +207,7 @@ export function analyzeNightPosting(posts, gapThreshold = 7200) {
   return {
     suspicious: avgMaxGap < gapThreshold,
     avgMaxGap,
+    timeZone,
   };
 }
 
@@ -280,3 +290,173 @@ export function detectTemporalBursts(postsByUser, timeWindow, minPosts = 5) {
 
   return bursts;
 }
+
+// Spatial indexing for synchronized posting detection: users are only compared
+// when they posted in the same (or an adjacent) time bucket.
+export function detectSynchronizedPostingOptimized(postsByUser, timeWindow, minSyncPosts) {
+  const bucketSize = timeWindow;
+  const timeBuckets = new Map();
+
+  postsByUser.forEach((posts, userId) => {
+    posts.forEach(post => {
+      const bucketKey = Math.floor(post.timestamp / bucketSize);
+
+      // Add to current bucket and adjacent buckets to catch boundary cases
+      for (let offset = -1; offset <= 1; offset++) {
+        const key = bucketKey + offset;
+        if (!timeBuckets.has(key)) {
+          timeBuckets.set(key, new Map());
+        }
+        const bucket = timeBuckets.get(key);
+        if (!bucket.has(userId)) {
+          bucket.set(userId, []);
+        }
+        bucket.get(userId).push(post);
+      }
+    });
+  });
+
+  const synchronizedPairs = new Map();
+  const processedPairs = new Set();
+
+  timeBuckets.forEach(userPosts => {
+    const userIds = Array.from(userPosts.keys());
+
+    for (let i = 0; i < userIds.length; i++) {
+      for (let j = i + 1; j < userIds.length; j++) {
+        const u1 = userIds[i];
+        const u2 = userIds[j];
+
+        const pairKey = u1 < u2 ? `${u1}|${u2}` : `${u2}|${u1}`;
+        if (processedPairs.has(pairKey)) continue;
+        processedPairs.add(pairKey);
+
+        const posts1 = postsByUser.get(u1);
+        const posts2 = postsByUser.get(u2);
+
+        let syncCount = 0;
+        posts1.forEach(p1 => {
+          posts2.forEach(p2 => {
+            if (Math.abs(p1.timestamp - p2.timestamp) < timeWindow) {
+              syncCount++;
+            }
+          });
+        });
+
+        if (syncCount >= minSyncPosts) {
+          synchronizedPairs.set(pairKey, { u1, u2, syncCount });
+        }
+      }
+    }
+  });
+
+  return Array.from(synchronizedPairs.values());
+}
+
+// Posts amplified by more accounts than this are viral rather than coordinated;
+// comparing every pair of their amplifiers would also be quadratic
+const MAX_AMPLIFIERS_PER_ITEM = 1000;
+
+// Links the author shared themselves. A retweet or repost carries the original's
+// text and links, which are already covered by the reposted post's id.
+function ownLinks(post) {
+  const data = post.data || {};
+  if (data._twitter?.retweetOf || data._threads?.repostedPost) return [];
+  return extractPostLinks(post);
+}
+
+/**
+ * What a post amplifies: the post it retweets, quotes, reposts or reshares,
+ * and every link it shares. Keys are comparable across posts.
+ */
+export function amplifiedItems(post) {
+  const data = post.data || {};
+  const items = new Set();
+  const platform = post.platform || 'unknown';
+
+  const shared = [
+    data._twitter?.retweetOf?.id,
+    data._twitter?.quoteOf?.id,
+    data._threads?.repostedPost,
+    data._threads?.quotedPost,
+    data._linkedin?.resharedUrn,
+  ];
+  shared.filter(Boolean).forEach(id => items.add(`post:${platform}:${id}`));
+
+  ownLinks(post).forEach(link => items.add(`url:${link.url}`));
+
+  return [...items];
+}
+
+// Pairs of accounts that acted on the same item (as listed by `itemsOf`) within
+// `timeWindow` seconds of each other. Each item counts once per pair; `items`
+// keeps a few examples.
+function detectCoActions(posts, timeWindow, minCoActions, itemsOf, label) {
+  const actionsByItem = new Map();
+  posts.forEach(post => {
+    const userId = post.data?.author?.id;
+    const time = post.data?.createTime;
+    if (!userId || !time) return;
+    itemsOf(post).forEach(item => {
+      if (!actionsByItem.has(item)) actionsByItem.set(item, []);
+      actionsByItem.get(item).push({ userId, time });
+    });
+  });
+
+  const pairs = new Map();
+  let skippedViral = 0;
+
+  actionsByItem.forEach((actions, item) => {
+    if (actions.length < 2) return;
+    if (actions.length > MAX_AMPLIFIERS_PER_ITEM) {
+      skippedViral++;
+      return;
+    }
+    actions.sort((a, b) => a.time - b.time);
+
+    const counted = new Set();
+    let windowStart = 0;
+    for (let i = 1; i < actions.length; i++) {
+      while (actions[i].time - actions[windowStart].time > timeWindow) windowStart++;
+      for (let j = windowStart; j < i; j++) {
+        const a = actions[j].userId;
+        const b = actions[i].userId;
+        if (a === b) continue;
+        const [u1, u2] = a < b ? [a, b] : [b, a];
+        const pairKey = `${u1}|${u2}`;
+        if (counted.has(pairKey)) continue;
+        counted.add(pairKey);
+
+        if (!pairs.has(pairKey)) pairs.set(pairKey, { u1, u2, count: 0, items: [] });
+        const pair = pairs.get(pairKey);
+        pair.count++;
+        if (pair.items.length < 5) pair.items.push(item);
+      }
+    }
+  });
+
+  if (skippedViral > 0) {
+    console.log(`${label}: skipped ${skippedViral} items amplified by more than ${MAX_AMPLIFIERS_PER_ITEM} accounts`);
+  }
+
+  return Array.from(pairs.values()).filter(pair => pair.count >= minCoActions);
+}
+
+/**
+ * Pairs of accounts that amplified the same post or link within `timeWindow`
+ * seconds of each other.
+ */
+export function detectCoAmplification(posts, timeWindow, minCoActions = 1) {
+  return detectCoActions(posts, timeWindow, minCoActions, amplifiedItems, 'Co-amplification');
+}
+
+/**
+ * CooRnet-style coordinated link sharing: pairs of accounts that shared the
+ * same URL within `interval` seconds of each other, at least `minRepetitions`
+ * times (different URLs). Links behind different opaque shortener codes can't
+ * be matched offline, so the same article shared as two bit.ly links is missed.
+ */
+export function detectCoordinatedLinkSharing(posts, interval, minRepetitions = 2) {
+  const linksOf = post => ownLinks(post).map(link => link.url);
+  return detectCoActions(posts, interval, minRepetitions, linksOf, 'Coordinated link sharing');
+}
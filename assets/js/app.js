@@ -1,26 +1,65 @@
-import { initEmbeddingModel, getEmbedding, cosineSimilarity } from './embeddings.js';
-import { normalizeRawData } from './normalization.js';
+import { normalizeRawData, mergePostBatches, validateNormalizedPosts, postKey } from './normalization.js';
+import { extractPostLinks } from './links.js';
+import { projectBipartite, PROJECTION_METHODS } from './projection.js';
+import { computeCentralities, CENTRALITY_MEASURES } from './centrality.js';
+import { computeGraphMetrics } from './graph-metrics.js';
+import {
+  COMMUNITY_ALGORITHMS,
+  RESOLUTION_ALGORITHMS,
+  DEFAULT_RESOLUTION,
+  leidenCommunities,
+  labelPropagationCommunities,
+} from './community-detection.js';
+import { SLICE_SIZES, MAX_SLICES, buildTimeSlices, linkKey } from './time-slices.js';
+import { TimelineChart, binPosts } from './timeline.js';
+import { activityMatrix, renderActivityHeatmap } from './activity-heatmap.js';
+import { buildCommunityProfiles, renderCommunityProfile } from './community-profile.js';
+import { MAX_CONSENSUS_RUNS, ROBUST_COMMUNITY_STABILITY, compareRuns } from './community-stability.js';
+import {
+  DEFAULT_TIME_ZONE,
+  timeZoneOptions,
+  isValidTimeZone,
+  zonedMidnight,
+  formatZoned,
+  timeZoneLabel,
+  inferTimeZone,
+} from './timezone.js';
 import {
   calculateStats,
   filterData,
-  calculateDatasetStatistics,
-  calculateTFIDF,
-  getNGrams,
-  ngramOverlap,
-  levenshteinDistance,
-  analyzePostingRhythm,
-  analyzeNightPosting,
-  detectAccountCreationClusters,
-  detectTemporalBursts,
+  detectCoAmplification,
 } from './analytics.js';
+import { serializeCIBResults, deserializeCIBResults } from './cib-detection.js';
+import { proposeIdentityLinks, buildActorMap, applyActorMap } from './identity.js';
+import { QUALITY_FIELDS, assessDataQuality } from './data-quality.js';
+import {
+  isSessionStorageAvailable,
+  createSessionId,
+  listSessions,
+  saveSession,
+  loadSession,
+  deleteSession,
+} from './session-store.js';
+import { computeDatasetHash, buildProject, projectToBlob, readProjectFile } from './project-file.js';
+import {
+  CSV_FIELDS,
+  CSV_PLATFORMS,
+  parseCSV,
+  suggestColumnMapping,
+  guessCsvPlatform,
+  isFourCatExport,
+  mapCsvRows,
+  missingCsvFields,
+} from './csv-import.js';
 import {
   ComputationCache,
   networkMetricsCache,
   communityDetectionCache,
-  embeddingsCache,
   ProgressiveFileLoader,
   VirtualList,
   selectTopNodesForVisualization,
+  jobManager,
+  JobCancelledError,
   perfMonitor
 } from './performance-utils.js';
 import { Graph } from 'https://unpkg.com/@cosmos.gl/graph@2.5.0/dist/index.js?module';
@@ -29,12 +68,30 @@ import { Graph } from 'https://unpkg.com/@cosmos.gl/graph@2.5.0/dist/index.js?mo
 // Global state
 // =========================
 let rawData = [];
+let loadedBatches = []; // names of the files merged into rawData, in load order
+let loadIssues = []; // per-file parse problems for the data quality report
+let identityProposals = [];
+const identityDecisions = new Map(); // proposal id -> 'accepted' | 'rejected'
+let actorMap = null; // built from accepted identity links; null = no merging
+let currentSession = null; // { id, name, createdAt, saved } for the open dataset
+let sessionPostsChanged = false; // posts need rewriting on the next save
+let pendingSessionResults = null; // restored communities/CIB, applied once the network is rebuilt
+let sessionSaveTimer = null;
 let filteredData = [];
 let graphData = null;
 let nodes = [];
 let communities = null;
+let communityRuns = []; // one summary per algorithm/settings run on the current network, for comparison
+let communityProfiles = null; // { profiles, timeline } shown in the community profile panel
 let cibDetection = null;
 let networkMetrics = null;
+let fullGraphData = null; // unlimited network used for analysis (graphData may be a rendered subset)
+let pendingNetworkUpdate = null;
+let timeSlices = null; // per-slice activity of the current network, null when not slicing
+let activeSliceIndex = 0;
+let slicePlayTimer = null;
+let timelineChart = null;
+let timelineBrush = null; // { start, end } in Unix seconds brushed on the timeline, or null
 
 // Cosmograph state
 let cosmosGraph = null;
@@ -85,8 +142,34 @@ function buildAdjacency(network) {
 // DOM elements
 // =========================
 const fileInput = document.getElementById('file-input');
+const appendInput = document.getElementById('append-input');
+const appendUpload = document.getElementById('append-upload');
 const networkTypeSelect = document.getElementById('network-type');
+const projectionControls = document.getElementById('projection-controls');
+const projectionMethodSelect = document.getElementById('projection-method');
+const projectionMinWeightInput = document.getElementById('projection-min-weight');
+const sliceControls = document.getElementById('slice-controls');
+const sliceSizeSelect = document.getElementById('slice-size');
+const slicePlayer = document.getElementById('slice-player');
+const sliceRange = document.getElementById('slice-range');
+const slicePrevBtn = document.getElementById('slice-prev');
+const slicePlayBtn = document.getElementById('slice-play');
+const sliceNextBtn = document.getElementById('slice-next');
+const sliceLabel = document.getElementById('slice-label');
+const timelinePanel = document.getElementById('timeline-panel');
+const timelineCanvas = document.getElementById('timeline-canvas');
+const timelineStackSelect = document.getElementById('timeline-stack');
+const timelineStatus = document.getElementById('timeline-status');
+const timelineApplyBtn = document.getElementById('timeline-apply');
+const timelineClearBtn = document.getElementById('timeline-clear');
+const timelineLegend = document.getElementById('timeline-legend');
 const nodeSizeBySelect = document.getElementById('node-size-by');
+const nodeColorBySelect = document.getElementById('node-color-by');
+const communityAlgorithmSelect = document.getElementById('community-algorithm');
+const communityResolutionInput = document.getElementById('community-resolution');
+const communityModularitySelect = document.getElementById('community-modularity');
+const communityRunCountInput = document.getElementById('community-runs');
+const communityResolutionToInput = document.getElementById('community-resolution-to');
 const engagementFilter = document.getElementById('engagement-filter');
 const engagementValue = document.getElementById('engagement-value');
 const cibThreshold = document.getElementById('cib-threshold');
@@ -95,6 +178,7 @@ const timeWindowInput = document.getElementById('time-window');
 const timeWindowValue = document.getElementById('time-window-value');
 const dateStart = document.getElementById('date-start');
 const dateEnd = document.getElementById('date-end');
+const timeZoneSelect = document.getElementById('time-zone');
 const searchInput = document.getElementById('search-input');
 const exportBtn = document.getElementById('export-btn');
 const exportCsvBtn = document.getElementById('export-csv-btn');
@@ -118,8 +202,36 @@ const nodeDetails = document.getElementById('node-details');
 const closeInfo = document.getElementById('close-info');
 const loading = document.getElementById('loading');
 const loadingText = document.getElementById('loading-text');
+const loadingCancelBtn = document.getElementById('loading-cancel');
+const jobsPanel = document.getElementById('jobs-panel');
+const sessionPanel = document.getElementById('session-panel');
+const sessionNameInput = document.getElementById('session-name');
+const sessionNotes = document.getElementById('session-notes');
+const sessionSaveBtn = document.getElementById('session-save-btn');
+const projectSaveBtn = document.getElementById('project-save-btn');
+const sessionStatus = document.getElementById('session-status');
+const sessionPicker = document.getElementById('session-picker');
+const sessionList = document.getElementById('session-list');
+const qualityPanel = document.getElementById('quality-panel');
+const qualityReport = document.getElementById('quality-report');
+const qualityFilterNote = document.getElementById('quality-filter-note');
+const identityPanel = document.getElementById('identity-panel');
+const identityScanBtn = document.getElementById('identity-scan-btn');
+const identityResults = document.getElementById('identity-results');
+const csvModal = document.getElementById('csv-modal');
+const csvModalTitle = document.getElementById('csv-modal-title');
+const csvModalSummary = document.getElementById('csv-modal-summary');
+const csvPlatformSelect = document.getElementById('csv-platform');
+const csvMappingFields = document.getElementById('csv-mapping-fields');
+const csvPreview = document.getElementById('csv-preview');
+const csvCancelBtn = document.getElementById('csv-cancel');
+const csvImportBtn = document.getElementById('csv-import');
+const jobList = document.getElementById('job-list');
 const metricsPanel = document.getElementById('metrics-panel');
 const metricsList = document.getElementById('metrics-list');
+const communityPanel = document.getElementById('community-panel');
+const communityProfileSelect = document.getElementById('community-profile-select');
+const communityProfileBody = document.getElementById('community-profile');
 const cibPanel = document.getElementById('cib-panel');
 const cibResults = document.getElementById('cib-results');
 const tooltipEl = document.getElementById('node-tooltip');
@@ -165,12 +277,22 @@ const NODE_TYPE_COLORS = {
   userUnverified: '#8b5cf6',
   hashtag: '#10b981',
   location: '#f59e0b',
+  domain: '#0ea5e9',
   sound: '#6366f1',
   music: '#6366f1',
   default: '#6b7280',
   noise: '#d1d5db',
 };
 
+// Node color by consensus stability: unstable orange through to stable teal
+const STABILITY_COLOR_RANGE = [[249, 115, 22], [15, 118, 110]];
+
+function stabilityColor(value) {
+  const [from, to] = STABILITY_COLOR_RANGE;
+  const t = Math.max(0, Math.min(1, value));
+  return '#' + from.map((channel, i) => Math.round(channel + (to[i] - channel) * t).toString(16).padStart(2, '0')).join('');
+}
+
 const NODE_SIZE_MIN = 6;
 const NODE_SIZE_MAX = 24;
 const NODE_SIZE_UNIFORM = 10;
@@ -183,7 +305,13 @@ function getNodeColor(node) {
     return '#b91c1c';
   }
 
-  // Priority 2: Community colors (if communities detected)
+  // Priority 2: how consistently consensus runs put the node in its community
+  if (nodeColorBySelect.value === 'stability' && communities?.stability) {
+    const stability = communities.stability.nodeStability.get(node.id);
+    return stability === null || stability === undefined ? NODE_TYPE_COLORS.noise : stabilityColor(stability);
+  }
+
+  // Priority 3: Community colors (if communities detected)
   if (communities?.communities) {
     const cid = communities.communities.get(node.id);
     const noiseId = communities.noiseClusterId;
@@ -199,7 +327,7 @@ function getNodeColor(node) {
     }
   }
 
-  // Priority 3: Fallback to type-based colors (when no communities detected)
+  // Priority 4: Fallback to type-based colors (when no communities detected)
   if (node.type === 'user') {
     return node.verified ? NODE_TYPE_COLORS.userVerified : NODE_TYPE_COLORS.userUnverified;
   }
@@ -293,6 +421,14 @@ function getNodeSizeMetric(node, mode) {
       }
       return Math.log10((node.degree ?? 0) + 1);
     }
+    // Undefined until the metrics job has finished; nodes keep the default size
+    case 'betweenness':
+    case 'pagerank':
+      // Both are heavy-tailed: a handful of brokers would dwarf everyone else
+      return Number.isFinite(node[mode]) ? Math.sqrt(node[mode]) : undefined;
+    case 'closeness':
+    case 'eigenvector':
+      return node[mode];
     case 'degree':
     default:
       return Math.log10((node.degree ?? 0) + 1);
@@ -321,79 +457,279 @@ timeWindowInput.addEventListener('input', (e) => {
   }
 });
 
+// Co-amplification and time-windowed projections are built from the time window,
+// so rebuild them once the slider settles
+timeWindowInput.addEventListener('change', () => {
+  if (!rawData.length) return;
+  if (networkTypeSelect.value === 'coAmplification' || activeProjection()?.method === 'temporal') updateNetwork();
+});
+
 // =========================
 // File upload (OPTIMIZED: Progressive loading)
 // =========================
-fileInput.addEventListener('change', async (e) => {
-  const file = e.target.files[0];
-  if (!file) return;
+fileInput.addEventListener('change', (e) => loadFiles(e.target, { append: false }));
+appendInput.addEventListener('change', (e) => loadFiles(e.target, { append: true }));
+
+async function loadFiles(input, { append }) {
+  const files = Array.from(input.files || []);
+  if (files.length === 0) return;
 
   loading.classList.add('active');
   loadingText.textContent = 'Loading data...';
 
-  perfMonitor.start('fileLoad');
+  const projectFile = files.find(file => /\.schuim$/i.test(file.name));
+  if (projectFile) {
+    try {
+      await openProjectFile(projectFile);
+    } catch (err) {
+      alert('Error opening project: ' + err.message);
+      loading.classList.remove('active');
+    } finally {
+      input.value = '';
+    }
+    return;
+  }
 
   try {
-    // Use progressive loader for better performance on large files
-    const loader = new ProgressiveFileLoader(
-      (progress, message) => {
-        loadingText.textContent = message;
-      },
-      null // No per-chunk processing needed yet
-    );
-
-    const parsed = await loader.loadNDJSON(file);
-
-    perfMonitor.end('fileLoad');
-    perfMonitor.logMemory();
-
-    loadingText.textContent = 'Normalizing data...';
+    const batches = [];
+    for (const [index, file] of files.entries()) {
+      if (files.length > 1) console.log(`Loading file ${index + 1}/${files.length}: ${file.name}`);
+      let result;
+      try {
+        result = /\.(csv|tsv)$/i.test(file.name)
+          ? await loadCsvFile(file)
+          : await loadZeeschuimerFile(file);
+      } catch (err) {
+        throw files.length > 1 ? new Error(`${file.name}: ${err.message}`) : err;
+      }
+      if (result) batches.push({ name: file.name, ...result }); // null = CSV import dialog cancelled
+    }
+    if (batches.length === 0) return;
+
+    loadingText.textContent = 'Merging files...';
+    const merged = mergePostBatches(append ? rawData : [], batches);
+    const batchNames = batches.map(b => b.name);
+    loadedBatches = append
+      ? [...loadedBatches, ...batchNames.filter(name => !loadedBatches.includes(name))]
+      : [...new Set(batchNames)];
+    console.log(`${append ? 'Appended' : 'Loaded'} ${merged.added} posts from ${batches.length} file(s); ${merged.duplicates} duplicates skipped`);
+    if (merged.duplicates > 0) {
+      alert(`Added ${merged.added.toLocaleString()} posts. Skipped ${merged.duplicates.toLocaleString()} duplicates (same platform and post ID).`);
+    }
 
-    // Normalize data to handle both TikTok and Instagram
-    rawData = normalizeRawData(parsed);
+    rawData = merged.posts;
+    const batchIssues = batches.map(b => ({ file: b.name, ...b.issues }));
+    loadIssues = append ? [...loadIssues, ...batchIssues] : batchIssues;
+    if (append) rescanIdentityLinks();
+    else resetIdentityLinks();
 
-    // Detect platforms
-    const platformCounts = {};
-    rawData.forEach(p => {
-      const platform = p.platform || 'unknown';
-      platformCounts[platform] = (platformCounts[platform] || 0) + 1;
-    });
-    
-    const platformParts = [];
-    if (platformCounts.tiktok) platformParts.push(`🎵 TikTok (${platformCounts.tiktok})`);
-    if (platformCounts.instagram) platformParts.push(`📷 Instagram (${platformCounts.instagram})`);
-    if (platformCounts.twitter) platformParts.push(`🐦 Twitter/X (${platformCounts.twitter})`);
-    if (platformCounts.unknown) platformParts.push(`❓ Unknown (${platformCounts.unknown})`);
-    
-    const platformText = platformParts.join(' · ') || 'No data';
-    platformIndicator.textContent = `· ${platformText}`;
-    console.log(`Loaded ${rawData.length} posts from: ${platformText}`);
+    // A fresh upload starts a new unsaved session; added files belong to the open one
+    if (append) markSessionDataChanged();
+    else startNewSession(loadedBatches);
 
     // set date bounds from data (both platforms use createTime after normalization)
     const dates = rawData.map(p => p.data?.createTime).filter(Boolean);
     if (dates.length > 0) {
-      const minDate = new Date(Math.min(...dates) * 1000);
-      const maxDate = new Date(Math.max(...dates) * 1000);
-      dateStart.value = minDate.toISOString().split('T')[0];
-      dateEnd.value = maxDate.toISOString().split('T')[0];
+      dateStart.value = formatZoned(Math.min(...dates), timeZoneSelect.value, { withTime: false });
+      dateEnd.value = formatZoned(Math.max(...dates), timeZoneSelect.value, { withTime: false });
     }
 
-    const statSummary = calculateStats(rawData);
-    updateStatCards(statSummary);
+    showDataset();
     updateNetwork();
-    emptyState.style.display = 'none';
-    statsDiv.style.display = 'grid';
-    exportBtn.disabled = false;
-    detectBtn.disabled = false;
-    cibBtn.disabled = false;
-    cibSettingsBtn.disabled = false;
-    // CIB export buttons enabled after CIB detection runs
   } catch (err) {
     alert('Error parsing file: ' + err.message);
   } finally {
     loading.classList.remove('active');
+    input.value = ''; // allow picking the same file again
   }
-});
+}
+
+// Header, stat cards and sidebar panels for whatever is in rawData (uploaded or restored)
+function showDataset() {
+  // Detect platforms
+  const platformCounts = {};
+  rawData.forEach(p => {
+    const platform = p.platform || 'unknown';
+    platformCounts[platform] = (platformCounts[platform] || 0) + 1;
+  });
+  
+  const platformParts = [];
+  if (platformCounts.tiktok) platformParts.push(`🎵 TikTok (${platformCounts.tiktok})`);
+  if (platformCounts.instagram) platformParts.push(`📷 Instagram (${platformCounts.instagram})`);
+  if (platformCounts.twitter) platformParts.push(`🐦 Twitter/X (${platformCounts.twitter})`);
+  if (platformCounts.threads) platformParts.push(`🧵 Threads (${platformCounts.threads})`);
+  if (platformCounts.youtube) platformParts.push(`▶️ YouTube (${platformCounts.youtube})`);
+  if (platformCounts.linkedin) platformParts.push(`💼 LinkedIn (${platformCounts.linkedin})`);
+  if (platformCounts.csv) platformParts.push(`📄 CSV (${platformCounts.csv})`);
+  if (platformCounts.unknown) platformParts.push(`❓ Unknown (${platformCounts.unknown})`);
+  
+  const platformText = platformParts.join(' · ') || 'No data';
+  const batchText = loadedBatches.length > 1 ? ` · 📁 ${loadedBatches.length} files` : '';
+  platformIndicator.textContent = `· ${platformText}${batchText}`;
+  platformIndicator.title = loadedBatches.join('\n');
+  identityPanel.style.display = Object.keys(platformCounts).length > 1 ? 'block' : 'none';
+  console.log(`Loaded ${rawData.length} posts from: ${platformText}`);
+
+  const statSummary = calculateStats(rawData);
+  updateStatCards(statSummary);
+  renderDataQuality();
+  emptyState.style.display = 'none';
+  statsDiv.style.display = 'grid';
+  exportBtn.disabled = false;
+  detectBtn.disabled = false;
+  cibBtn.disabled = false;
+  cibSettingsBtn.disabled = false;
+  appendUpload.style.display = 'inline-flex';
+  sessionPanel.style.display = 'block';
+  // CIB export buttons enabled after CIB detection runs
+}
+
+async function loadZeeschuimerFile(file) {
+  perfMonitor.start('fileLoad');
+
+  // Use progressive loader for better performance on large files
+  const loader = new ProgressiveFileLoader(
+    (progress, message) => {
+      loadingText.textContent = message;
+    },
+    null // No per-chunk processing needed yet
+  );
+
+  const parsed = await loader.load(file);
+
+  perfMonitor.end('fileLoad');
+  perfMonitor.logMemory();
+
+  loadingText.textContent = 'Normalizing data...';
+
+  // Normalize every supported platform onto the TikTok-shaped schema
+  return { posts: normalizeRawData(parsed), issues: loader.issues };
+}
+
+// CSV rows are mapped straight onto the normalized schema, so they skip normalizeRawData
+async function loadCsvFile(file) {
+  loadingText.textContent = 'Reading CSV...';
+  const { headers, rows } = parseCSV(await file.text());
+  if (headers.length === 0 || rows.length === 0) {
+    throw new Error('CSV file has no data rows');
+  }
+
+  loading.classList.remove('active');
+  const choice = await openCsvMappingDialog(file.name, headers, rows);
+  if (!choice) return null;
+  loading.classList.add('active');
+  loadingText.textContent = `Mapping ${rows.length} CSV rows...`;
+
+  const { posts, skipped } = mapCsvRows(headers, rows, choice.mapping, {
+    platform: choice.platform,
+    fileName: file.name,
+  });
+  console.log(`CSV import: ${posts.length} posts, skipped ${skipped.noAuthor} without author and ${skipped.noTimestamp} without a valid timestamp`);
+  if (posts.length === 0) {
+    throw new Error('No rows had both an author and a valid timestamp. Check the column mapping.');
+  }
+  const failed = skipped.noAuthor + skipped.noTimestamp;
+  if (failed > 0) {
+    alert(`Imported ${posts.length} of ${rows.length} rows. Skipped ${skipped.noAuthor} without an author and ${skipped.noTimestamp} without a valid timestamp.`);
+  }
+  return {
+    posts,
+    issues: {
+      failed,
+      samples: [],
+      truncated: false,
+      note: failed > 0 ? `${skipped.noAuthor} rows without an author, ${skipped.noTimestamp} without a valid timestamp` : '',
+    },
+  };
+}
+
+// =========================
+// CSV column mapping dialog
+// =========================
+function openCsvMappingDialog(fileName, headers, rows) {
+  const mapping = suggestColumnMapping(headers);
+  const fourCat = isFourCatExport(headers);
+
+  csvModalTitle.textContent = fourCat ? 'Import 4CAT export' : 'Import CSV';
+  csvModalSummary.textContent = `${fileName} · ${rows.length.toLocaleString()} rows · ${headers.length} columns` +
+    (fourCat ? ' · columns pre-mapped from 4CAT conventions' : ' · check the suggested columns below');
+
+  const platformLabels = {
+    tiktok: 'TikTok', instagram: 'Instagram', twitter: 'Twitter/X', threads: 'Threads',
+    youtube: 'YouTube', linkedin: 'LinkedIn', csv: 'Other / mixed',
+  };
+  csvPlatformSelect.innerHTML = CSV_PLATFORMS
+    .map(platform => `<option value="${platform}">${platformLabels[platform]}</option>`)
+    .join('');
+  csvPlatformSelect.value = guessCsvPlatform(headers);
+
+  const columnOptions = headers
+    .map((header, index) => `<option value="${index}">${header.replace(/</g, '&lt;')}</option>`)
+    .join('');
+  csvMappingFields.innerHTML = CSV_FIELDS.map(field => `
+    <label for="csv-field-${field.key}" class="${field.required ? 'required' : ''}">${field.label}</label>
+    <select id="csv-field-${field.key}" data-field="${field.key}">
+      <option value="-1">${field.key === 'hashtags' || field.key === 'mentions' ? '— extract from text —' : '— not mapped —'}</option>
+      ${columnOptions}
+    </select>
+  `).join('');
+  csvMappingFields.querySelectorAll('select').forEach(select => {
+    select.value = String(mapping[select.dataset.field]);
+  });
+
+  const readMapping = () => {
+    const current = {};
+    csvMappingFields.querySelectorAll('select').forEach(select => {
+      current[select.dataset.field] = parseInt(select.value, 10);
+    });
+    return current;
+  };
+
+  const renderPreview = () => {
+    const current = readMapping();
+    const missing = missingCsvFields(current);
+    csvImportBtn.disabled = missing.length > 0;
+    if (missing.length > 0) {
+      csvPreview.innerHTML = `<div style="color:#dc2626;">Map ${missing.join(' and ')} to continue.</div>`;
+      return;
+    }
+    const sample = rows.slice(0, 5);
+    const { posts } = mapCsvRows(headers, sample, current, { platform: csvPlatformSelect.value, fileName });
+    const rowsHtml = posts.map(p => {
+      const d = p.data;
+      const engagement = d.stats.diggCount + d.stats.commentCount + d.stats.shareCount;
+      return `<tr>
+        <td>@${String(d.author.uniqueId).replace(/</g, '&lt;')}</td>
+        <td>${formatZoned(d.createTime, timeZoneSelect.value)}</td>
+        <td>${d.challenges.slice(0, 3).map(c => '#' + c.title).join(' ').replace(/</g, '&lt;')}</td>
+        <td>${d.textExtra.slice(0, 3).map(m => '@' + m.userUniqueId).join(' ').replace(/</g, '&lt;')}</td>
+        <td>${engagement.toLocaleString()}</td>
+      </tr>`;
+    }).join('');
+    const unusable = sample.length - posts.length;
+    csvPreview.innerHTML = `<table>
+        <tr><th>Author</th><th>Time (${timeZoneLabel(timeZoneSelect.value).replace(/</g, '&lt;')})</th><th>Hashtags</th><th>Mentions</th><th>Engagement</th></tr>
+        ${rowsHtml}
+      </table>
+      ${unusable > 0 ? `<div style="color:#b45309; margin-top:0.25rem;">${unusable} of the first ${sample.length} rows would be skipped (missing author or unparseable timestamp).</div>` : ''}`;
+  };
+
+  csvMappingFields.onchange = renderPreview;
+  csvPlatformSelect.onchange = renderPreview;
+  renderPreview();
+  csvModal.style.display = 'flex';
+
+  return new Promise(resolve => {
+    const close = (result) => {
+      csvModal.style.display = 'none';
+      csvCancelBtn.onclick = null;
+      csvImportBtn.onclick = null;
+      resolve(result);
+    };
+    csvCancelBtn.onclick = () => close(null);
+    csvImportBtn.onclick = () => close({ mapping: readMapping(), platform: csvPlatformSelect.value });
+  });
+}
 
 // =========================
 // CIB Advanced Parameters
@@ -414,9 +750,13 @@ const defaultCibParams = {
   crossMultiplier: 0.3,
   // Group size thresholds
   minSyncPosts: 2,
+  minCoAmplifications: 2,
+  linkShareInterval: 60,
+  minLinkShares: 2,
   minHashtagGroupSize: 3,
   minUsernameGroupSize: 3,
-  minHighVolumePosts: 5
+  minHighVolumePosts: 5,
+  inferTimeZones: false
 };
 
 // Get parameter preset based on sensitivity level (1-10)
@@ -437,6 +777,9 @@ function getSensitivityPreset(thresholdValue) {
       clusterSize: 3,
       crossMultiplier: 0.20,
       minSyncPosts: 2,
+      minCoAmplifications: 2,
+      linkShareInterval: 120,
+      minLinkShares: 2,
       minHashtagGroupSize: 3,
       minUsernameGroupSize: 3,
       minHighVolumePosts: 5
@@ -454,6 +797,9 @@ function getSensitivityPreset(thresholdValue) {
       clusterSize: 4,
       crossMultiplier: 0.25,
       minSyncPosts: 2,
+      minCoAmplifications: 2,
+      linkShareInterval: 120,
+      minLinkShares: 2,
       minHashtagGroupSize: 3,
       minUsernameGroupSize: 3,
       minHighVolumePosts: 5
@@ -471,6 +817,9 @@ function getSensitivityPreset(thresholdValue) {
       clusterSize: 4,
       crossMultiplier: 0.25,
       minSyncPosts: 2,
+      minCoAmplifications: 2,
+      linkShareInterval: 120,
+      minLinkShares: 2,
       minHashtagGroupSize: 3,
       minUsernameGroupSize: 3,
       minHighVolumePosts: 5
@@ -488,6 +837,9 @@ function getSensitivityPreset(thresholdValue) {
       clusterSize: 4,
       crossMultiplier: 0.27,
       minSyncPosts: 2,
+      minCoAmplifications: 2,
+      linkShareInterval: 60,
+      minLinkShares: 2,
       minHashtagGroupSize: 3,
       minUsernameGroupSize: 3,
       minHighVolumePosts: 5
@@ -505,6 +857,9 @@ function getSensitivityPreset(thresholdValue) {
       clusterSize: 5,
       crossMultiplier: 0.30,
       minSyncPosts: 2,
+      minCoAmplifications: 2,
+      linkShareInterval: 60,
+      minLinkShares: 2,
       minHashtagGroupSize: 3,
       minUsernameGroupSize: 3,
       minHighVolumePosts: 5
@@ -522,6 +877,9 @@ function getSensitivityPreset(thresholdValue) {
       clusterSize: 5,
       crossMultiplier: 0.32,
       minSyncPosts: 2,
+      minCoAmplifications: 2,
+      linkShareInterval: 60,
+      minLinkShares: 2,
       minHashtagGroupSize: 3,
       minUsernameGroupSize: 3,
       minHighVolumePosts: 5
@@ -539,6 +897,9 @@ function getSensitivityPreset(thresholdValue) {
       clusterSize: 6,
       crossMultiplier: 0.35,
       minSyncPosts: 2,
+      minCoAmplifications: 2,
+      linkShareInterval: 60,
+      minLinkShares: 2,
       minHashtagGroupSize: 3,
       minUsernameGroupSize: 3,
       minHighVolumePosts: 6
@@ -556,6 +917,9 @@ function getSensitivityPreset(thresholdValue) {
       clusterSize: 6,
       crossMultiplier: 0.38,
       minSyncPosts: 3,
+      minCoAmplifications: 3,
+      linkShareInterval: 30,
+      minLinkShares: 3,
       minHashtagGroupSize: 5,
       minUsernameGroupSize: 4,
       minHighVolumePosts: 8
@@ -573,6 +937,9 @@ function getSensitivityPreset(thresholdValue) {
       clusterSize: 7,
       crossMultiplier: 0.42,
       minSyncPosts: 5,
+      minCoAmplifications: 4,
+      linkShareInterval: 30,
+      minLinkShares: 4,
       minHashtagGroupSize: 7,
       minUsernameGroupSize: 6,
       minHighVolumePosts: 12
@@ -590,6 +957,9 @@ function getSensitivityPreset(thresholdValue) {
       clusterSize: 8,
       crossMultiplier: 0.45,
       minSyncPosts: 10,
+      minCoAmplifications: 5,
+      linkShareInterval: 30,
+      minLinkShares: 5,
       minHashtagGroupSize: 15,
       minUsernameGroupSize: 12,
       minHighVolumePosts: 25
@@ -599,25 +969,41 @@ function getSensitivityPreset(thresholdValue) {
   return presets[thresholdValue] || presets[5]; // Default to medium if invalid
 }
 
+// Advanced settings input for each CIB parameter
+const CIB_PARAM_INPUTS = {
+  semanticEnabled: 'param-semantic-enabled',
+  semanticThreshold: 'param-semantic-threshold',
+  ngramThreshold: 'param-ngram-threshold',
+  usernameThreshold: 'param-username-threshold',
+  tfidfThreshold: 'param-tfidf-threshold',
+  zscoreThreshold: 'param-zscore-threshold',
+  burstPosts: 'param-burst-posts',
+  rhythmCV: 'param-rhythm-cv',
+  nightGap: 'param-night-gap',
+  clusterSize: 'param-cluster-size',
+  crossMultiplier: 'param-cross-multiplier',
+  minSyncPosts: 'param-min-sync-posts',
+  minCoAmplifications: 'param-min-coamplifications',
+  linkShareInterval: 'param-link-share-interval',
+  minLinkShares: 'param-min-link-shares',
+  minHashtagGroupSize: 'param-min-hashtag-group',
+  minUsernameGroupSize: 'param-min-username-group',
+  minHighVolumePosts: 'param-min-highvolume-posts',
+  inferTimeZones: 'param-infer-timezones',
+};
+
+// Write parameter values (a preset or a saved session's) into the settings panel
+function setCibParams(params) {
+  Object.entries(CIB_PARAM_INPUTS).forEach(([key, inputId]) => {
+    if (params[key] === undefined) return;
+    document.getElementById(inputId).value = params[key].toString();
+  });
+}
+
 // Apply sensitivity preset to UI inputs
 function applySensitivityPreset(thresholdValue) {
   const preset = getSensitivityPreset(thresholdValue);
-  
-  document.getElementById('param-semantic-enabled').value = preset.semanticEnabled.toString();
-  document.getElementById('param-semantic-threshold').value = preset.semanticThreshold;
-  document.getElementById('param-ngram-threshold').value = preset.ngramThreshold;
-  document.getElementById('param-username-threshold').value = preset.usernameThreshold;
-  document.getElementById('param-tfidf-threshold').value = preset.tfidfThreshold;
-  document.getElementById('param-zscore-threshold').value = preset.zscoreThreshold;
-  document.getElementById('param-burst-posts').value = preset.burstPosts;
-  document.getElementById('param-rhythm-cv').value = preset.rhythmCV;
-  document.getElementById('param-night-gap').value = preset.nightGap;
-  document.getElementById('param-cluster-size').value = preset.clusterSize;
-  document.getElementById('param-cross-multiplier').value = preset.crossMultiplier;
-  document.getElementById('param-min-sync-posts').value = preset.minSyncPosts;
-  document.getElementById('param-min-hashtag-group').value = preset.minHashtagGroupSize;
-  document.getElementById('param-min-username-group').value = preset.minUsernameGroupSize;
-  document.getElementById('param-min-highvolume-posts').value = preset.minHighVolumePosts;
+  setCibParams(preset);
   
   // Update the sensitivity preset indicator if it exists
   const presetIndicator = document.getElementById('sensitivity-preset-indicator');
@@ -641,9 +1027,14 @@ function getCibParams() {
     clusterSize: parseInt(document.getElementById('param-cluster-size')?.value || defaultCibParams.clusterSize),
     crossMultiplier: parseFloat(document.getElementById('param-cross-multiplier')?.value || defaultCibParams.crossMultiplier),
     minSyncPosts: parseInt(document.getElementById('param-min-sync-posts')?.value || defaultCibParams.minSyncPosts),
+    minCoAmplifications: parseInt(document.getElementById('param-min-coamplifications')?.value || defaultCibParams.minCoAmplifications),
+    linkShareInterval: parseInt(document.getElementById('param-link-share-interval')?.value || defaultCibParams.linkShareInterval),
+    minLinkShares: parseInt(document.getElementById('param-min-link-shares')?.value || defaultCibParams.minLinkShares),
     minHashtagGroupSize: parseInt(document.getElementById('param-min-hashtag-group')?.value || defaultCibParams.minHashtagGroupSize),
     minUsernameGroupSize: parseInt(document.getElementById('param-min-username-group')?.value || defaultCibParams.minUsernameGroupSize),
-    minHighVolumePosts: parseInt(document.getElementById('param-min-highvolume-posts')?.value || defaultCibParams.minHighVolumePosts)
+    minHighVolumePosts: parseInt(document.getElementById('param-min-highvolume-posts')?.value || defaultCibParams.minHighVolumePosts),
+    inferTimeZones: document.getElementById('param-infer-timezones')?.value === 'true',
+    timeZone: timeZoneSelect.value
   };
 }
 
@@ -654,581 +1045,885 @@ function resetCibParams() {
 }
 
 // =========================
-// CIB detection (OPTIMIZED: Spatial indexing for synchronized posts)
+// Analysis jobs (CIB, communities, metrics)
 // =========================
+let foregroundJob = null;
 
-// Optimized synchronized posting detection using spatial indexing
-// Reduces O(n²×m) to O(n log n) by bucketing posts by time
-function detectSynchronizedPostingOptimized(postsByUser, timeWindow, minSyncPosts) {
-  const bucketSize = timeWindow;
-  const timeBuckets = new Map();
-
-  // Bucket posts by time windows (with adjacent buckets for boundary cases)
-  postsByUser.forEach((posts, userId) => {
-    posts.forEach(post => {
-      const bucketKey = Math.floor(post.timestamp / bucketSize);
-
-      // Add to current bucket and adjacent buckets to catch boundary cases
-      for (let offset = -1; offset <= 1; offset++) {
-        const key = bucketKey + offset;
-        if (!timeBuckets.has(key)) {
-          timeBuckets.set(key, new Map());
-        }
-        const bucket = timeBuckets.get(key);
-        if (!bucket.has(userId)) {
-          bucket.set(userId, []);
-        }
-        bucket.get(userId).push(post);
-      }
-    });
-  });
+// Foreground jobs own the loading overlay and its cancel button; background jobs
+// (network metrics) only appear in the sidebar job list.
+function showJobInOverlay(job) {
+  foregroundJob = job;
+  loading.classList.add('active');
+  loadingText.textContent = job.message;
+  loadingCancelBtn.style.display = 'inline-flex';
+  loadingCancelBtn.onclick = () => job.cancel('Cancelled by user');
+}
 
-  const synchronizedPairs = new Map();
-  const processedPairs = new Set();
-
-  // Only compare users within same time bucket
-  timeBuckets.forEach((userPosts, bucketKey) => {
-    const userIds = Array.from(userPosts.keys());
-
-    for (let i = 0; i < userIds.length; i++) {
-      for (let j = i + 1; j < userIds.length; j++) {
-        const u1 = userIds[i];
-        const u2 = userIds[j];
-
-        const pairKey = u1 < u2 ? `${u1}|${u2}` : `${u2}|${u1}`;
-        if (processedPairs.has(pairKey)) continue;
-        processedPairs.add(pairKey);
-
-        // Count synchronized posts for this pair
-        const posts1 = postsByUser.get(u1);
-        const posts2 = postsByUser.get(u2);
-
-        let syncCount = 0;
-        posts1.forEach(p1 => {
-          posts2.forEach(p2 => {
-            const timeDiff = Math.abs(p1.timestamp - p2.timestamp);
-
-            // DEBUG: Log first match to verify logic
-            if (syncCount === 0 && timeDiff < timeWindow) {
-              console.log(`Sync detected: u1=${u1}, u2=${u2}, timeDiff=${timeDiff}s (${(timeDiff/60).toFixed(1)} min), window=${timeWindow}s`);
-              console.log(`  Post1 time: ${new Date(p1.timestamp * 1000).toISOString()}`);
-              console.log(`  Post2 time: ${new Date(p2.timestamp * 1000).toISOString()}`);
-            }
-
-            if (timeDiff < timeWindow) {
-              syncCount++;
-            }
-          });
-        });
+function releaseOverlay(job) {
+  if (foregroundJob !== job) return;
+  foregroundJob = null;
+  loadingCancelBtn.style.display = 'none';
+  loadingCancelBtn.onclick = null;
+  loading.classList.remove('active');
+}
 
-        if (syncCount >= minSyncPosts) {
-          console.log(`✓ Pair flagged as synchronized: ${u1} ↔ ${u2} (${syncCount} synchronized posts, threshold: ${minSyncPosts})`);
-          synchronizedPairs.set(pairKey, { u1, u2, syncCount });
-        }
-      }
-    }
-  });
+function renderJobs(jobs) {
+  if (foregroundJob && foregroundJob.status === 'running') {
+    loadingText.textContent = `${foregroundJob.message} (${Math.round(foregroundJob.progress)}%)`;
+  }
 
-  return Array.from(synchronizedPairs.values());
+  jobsPanel.style.display = jobs.length > 0 ? 'block' : 'none';
+  jobList.innerHTML = jobs.map(job => {
+    const running = job.status === 'running';
+    const elapsed = (((job.finishedAt || Date.now()) - job.startedAt) / 1000).toFixed(1);
+    return `
+      <li>
+        <div class="job-row">
+          <span class="job-label">${job.label}</span>
+          <button class="job-action" data-job-id="${job.id}" data-job-action="${running ? 'cancel' : 'rerun'}"
+            title="${running ? 'Stop this analysis' : 'Run again with the current settings'}">${running ? 'Cancel' : 'Re-run'}</button>
+        </div>
+        <div class="job-row">
+          <span class="job-message">${String(job.message).replace(/</g, '&lt;')}</span>
+          <span class="job-status ${job.status}">${job.status} · ${elapsed}s</span>
+        </div>
+        ${running ? `<div class="job-progress"><div class="job-progress-bar" style="width:${job.progress}%"></div></div>` : ''}
+      </li>`;
+  }).join('');
 }
 
-async function detectCIB() {
-  loading.classList.add('active');
-  loadingText.textContent = 'Analyzing coordinated behavior patterns...';
+jobManager.subscribe(renderJobs);
 
-  perfMonitor.start('cibDetection');
+// Re-running reads the current sidebar settings, so a re-run after changing
+// parameters supersedes the earlier result.
+const jobLaunchers = {
+  cib: () => detectCIB(),
+  communities: () => runCommunityDetection(),
+  metrics: () => runMetricsJob(),
+};
 
-  setTimeout(async () => {
-    const results = { suspiciousUsers: new Set(), indicators: {} };
+jobList.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-job-action]');
+  if (!button) return;
+  const job = jobManager.getJob(Number(button.dataset.jobId));
+  if (!job) return;
+  if (button.dataset.jobAction === 'cancel') {
+    job.cancel('Cancelled by user');
+  } else {
+    jobLaunchers[job.kind]?.();
+  }
+});
 
-    // Get advanced parameters (uses defaults if settings panel not customized)
-    const params = getCibParams();
+async function runCommunityDetection() {
+  if (!graphData || graphData.nodes.length === 0) return;
+  const graph = graphData;
+  const algorithm = communityAlgorithmSelect.value;
+  // Directed modularity only means something when links have a direction
+  const directed = communityModularitySelect.value === 'directed' && DIRECTED_NETWORK_TYPES.has(networkTypeSelect.value);
+  const resolution = communityResolution();
+  const resolutions = consensusResolutions(algorithm, resolution);
+  const consensus = resolutions.length > 1;
+
+  const name = COMMUNITY_ALGORITHMS[algorithm];
+  const job = jobManager.run('communities', consensus ? `Community consensus (${name}, ${resolutions.length} runs)` : `Community detection (${name})`, {
+    nodes: graph.nodes.length,
+    links: graph.links.length,
+    algorithm,
+    directed,
+    resolution,
+    resolutions,
+  }, job => (consensus
+    ? detectCommunityConsensus(graph, job, { algorithm, directed, resolutions })
+    : detectCommunities(graph, job, { algorithm, directed, resolution })));
+  if (foregroundJob === job) return;
+
+  showJobInOverlay(job);
+  try {
+    communities = await job.promise;
+    recordCommunityRun(communities);
+    renderCommunityPanel();
+    if (communities && statElements.communities) statElements.communities.textContent = communities.count;
+    scheduleSessionSave();
+
+    // Modularity is shown alongside the metrics; if they are still computing,
+    // the metrics job displays it when it finishes.
+    if (networkMetrics) displayMetrics(networkMetrics);
 
-    // Initialize embedding model only if semantic similarity is enabled
-    if (params.semanticEnabled) {
-      await initEmbeddingModel();
+    refreshCosmosStyling();
+    if (timelineStackSelect.value === 'community') renderTimeline({ keepSelection: true });
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      console.log(`Community detection cancelled: ${job.message}`);
+    } else {
+      console.error('Community detection failed:', error);
+      alert('Community detection failed: ' + error.message);
     }
+  } finally {
+    releaseOverlay(job);
+    updateCoach();
+  }
+}
 
-    // Calculate dataset statistics for adaptive thresholds
-    const stats = calculateDatasetStatistics(filteredData);
+async function runMetricsJob() {
+  const graph = fullGraphData;
+  if (!graph || graph.nodes.length === 0) return;
 
-    loadingText.textContent = 'Detecting synchronized posting...';
+  const directed = DIRECTED_NETWORK_TYPES.has(networkTypeSelect.value);
+  const job = jobManager.run('metrics', 'Network metrics', {
+    nodes: graph.nodes.length,
+    links: graph.links.length,
+    directed,
+  }, job => calculateNetworkMetrics(graph, job, { directed }));
 
-    // 1) Synchronized posting (OPTIMIZED with spatial indexing)
-    const postsByUser = new Map();
-    filteredData.forEach(post => {
-      const userId = post.data?.author?.id;
-      const timestamp = post.data?.createTime;
-      if (!userId || !timestamp) return;
-      if (!postsByUser.has(userId)) postsByUser.set(userId, []);
-      postsByUser.get(userId).push({ timestamp, post });
-    });
-    const timeWindow = parseInt(timeWindowInput.value, 10);
+  try {
+    networkMetrics = await job.promise;
+    applyCentralities(networkMetrics?.centralities);
+    displayMetrics(networkMetrics);
+    if (statElements.density) statElements.density.textContent = networkMetrics ? networkMetrics.density : '0';
+    updateCoach();
+  } catch (error) {
+    if (!(error instanceof JobCancelledError)) {
+      console.error('Network metrics failed:', error);
+    }
+  }
+}
 
-    // Use optimized detection instead of O(n²)
-    const synchGroups = detectSynchronizedPostingOptimized(postsByUser, timeWindow, params.minSyncPosts);
-    synchGroups.forEach(group => {
-      results.suspiciousUsers.add(group.u1);
-      results.suspiciousUsers.add(group.u2);
-    });
-    results.indicators.synchronized = synchGroups.length;
+// =========================
+// Saved sessions (IndexedDB)
+// =========================
+const SESSION_VERSION = 1;
+const UNSAVED_SESSION_STATUS = 'Not saved. Saved sessions stay in this browser and reopen from the start screen.';
+
+function startNewSession(fileNames) {
+  const name = fileNames.length > 1 ? `${fileNames[0]} + ${fileNames.length - 1} more` : (fileNames[0] || 'Untitled session');
+  currentSession = { id: createSessionId(), name, createdAt: Date.now(), saved: false };
+  sessionPostsChanged = true;
+  pendingSessionResults = null;
+  sessionNameInput.value = name;
+  sessionNotes.value = '';
+  sessionStatus.textContent = UNSAVED_SESSION_STATUS;
+}
 
-    loadingText.textContent = 'Analyzing hashtag patterns...';
+function markSessionDataChanged() {
+  sessionPostsChanged = true;
+  scheduleSessionSave();
+}
 
-    // 2) Rare hashtag sequences with TF-IDF weighting
-    const userHashtagSets = new Map();
-    filteredData.forEach(post => {
-      const userId = post.data?.author?.id;
-      const hashtags = post.data?.challenges?.map(c => c.title) || [];
-      if (!userId || !hashtags.length) return;
+// Sidebar settings that determine which network is built and how CIB detection runs
+function currentSettings() {
+  return {
+    networkType: networkTypeSelect.value,
+    projectionMethod: projectionMethodSelect.value,
+    projectionMinWeight: projectionMinWeightInput.value,
+    sliceSize: sliceSizeSelect.value,
+    nodeSizeBy: nodeSizeBySelect.value,
+    nodeColorBy: nodeColorBySelect.value,
+    communityAlgorithm: communityAlgorithmSelect.value,
+    communityResolution: communityResolutionInput.value,
+    communityModularity: communityModularitySelect.value,
+    communityRuns: communityRunCountInput.value,
+    communityResolutionTo: communityResolutionToInput.value,
+    minEngagement: engagementFilter.value,
+    dateStart: dateStart.value,
+    dateEnd: dateEnd.value,
+    timeZone: timeZoneSelect.value,
+    cibThreshold: cibThreshold.value,
+    timeWindow: timeWindowInput.value,
+    cibParams: getCibParams(),
+  };
+}
 
-      if (!userHashtagSets.has(userId)) userHashtagSets.set(userId, []);
-      hashtags.forEach(h => userHashtagSets.get(userId).push(h));
-    });
+// Everything needed to rebuild the current view, without the posts themselves
+function snapshotSession() {
+  // Accounts carry their bio links as a Set; stored sessions hold plain arrays
+  const plainAccount = account => ({ ...account, bioLinks: [...(account.bioLinks || [])] });
 
-    const hashtagSequences = new Map();
-    filteredData.forEach(post => {
-      const userId = post.data?.author?.id;
-      const hashtags = post.data?.challenges?.map(c => c.title) || [];
-      if (!userId || !hashtags.length) return;
-
-      const allSets = Array.from(userHashtagSets.values()).map(arr => new Set(arr));
-      const tfidfScore = hashtags.reduce((sum, h) => {
-        return sum + calculateTFIDF(h, userHashtagSets.get(userId), allSets);
-      }, 0) / hashtags.length;
-
-      if (tfidfScore > params.tfidfThreshold) {
-        const key = hashtags.sort().join(',');
-        if (!hashtagSequences.has(key)) hashtagSequences.set(key, { users: new Set(), tfidf: tfidfScore });
-        hashtagSequences.get(key).users.add(userId);
+  return {
+    version: SESSION_VERSION,
+    id: currentSession.id,
+    name: sessionNameInput.value.trim() || currentSession.name,
+    createdAt: currentSession.createdAt,
+    notes: sessionNotes.value,
+    postCount: rawData.length,
+    platforms: [...new Set(rawData.map(p => p.platform || 'unknown'))],
+    batches: loadedBatches,
+    loadIssues,
+    settings: currentSettings(),
+    identity: identityProposals
+      .filter(p => identityDecisions.has(p.id))
+      .map(p => ({ ...p, a: plainAccount(p.a), b: plainAccount(p.b), decision: identityDecisions.get(p.id) })),
+    communities: communities
+      ? {
+        ...communities,
+        communities: Array.from(communities.communities.entries()),
+        stability: communities.stability && {
+          ...communities.stability,
+          nodeStability: Array.from(communities.stability.nodeStability.entries()),
+          communityStability: Array.from(communities.stability.communityStability.entries()),
+        },
       }
-    });
+      : null,
+    cib: cibDetection ? serializeCIBResults(cibDetection) : null,
+  };
+}
 
-    let identicalHashtagUsers = 0;
-    hashtagSequences.forEach((data, key) => {
-      if (data.users.size >= params.minHashtagGroupSize) {
-        data.users.forEach(u => results.suspiciousUsers.add(u));
-        identicalHashtagUsers += data.users.size;
-      }
-    });
-    results.indicators.identicalHashtags = identicalHashtagUsers;
+async function saveCurrentSession() {
+  if (!currentSession || rawData.length === 0) return;
+  clearTimeout(sessionSaveTimer);
+  const session = currentSession;
+  const writePosts = sessionPostsChanged || !session.saved;
 
-    loadingText.textContent = 'Comparing usernames...';
+  try {
+    const record = await saveSession(snapshotSession(), writePosts ? rawData : undefined);
+    session.saved = true;
+    if (writePosts && session === currentSession) sessionPostsChanged = false;
+    sessionStatus.textContent = `Saved ${new Date(record.updatedAt).toLocaleTimeString()} · changes are saved automatically`;
+  } catch (error) {
+    console.error('Saving session failed:', error);
+    sessionStatus.textContent = `Could not save this session: ${error.message}`;
+  }
+}
 
-    // 3) Similar usernames with Levenshtein distance
-    const usernames = new Map();
-    filteredData.forEach(post => {
-      const author = post.data?.author;
-      if (!author) return;
-      const username = author.uniqueId || author.nickname || '';
-      const userId = author.id;
-      if (username.length < 4) return;
+// Once a session has been saved, later changes (notes, filters, results) follow it
+function scheduleSessionSave() {
+  if (!currentSession?.saved) return;
+  clearTimeout(sessionSaveTimer);
+  sessionSaveTimer = setTimeout(saveCurrentSession, 1000);
+}
 
-      usernames.set(userId, username);
+// Settings from a saved session or a shared project file, reduced to values
+// the sidebar controls can hold; anything else is left to the defaults
+function sanitizeSettings(settings) {
+  if (!settings || typeof settings !== 'object') return {};
+  const choice = (select, value) => ([...select.options].some(option => option.value === value) ? value : undefined);
+  const number = (input, value) => {
+    if (value === '' || value === null || typeof value === 'boolean') return undefined;
+    const n = Number(value);
+    if (!Number.isFinite(n)) return undefined;
+    if (input.min !== '' && n < Number(input.min)) return undefined;
+    if (input.max !== '' && n > Number(input.max)) return undefined;
+    return String(n);
+  };
+  const date = value => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : undefined);
+
+  let cibParams;
+  if (settings.cibParams && typeof settings.cibParams === 'object') {
+    cibParams = {};
+    Object.entries(CIB_PARAM_INPUTS).forEach(([key, inputId]) => {
+      const input = document.getElementById(inputId);
+      const value = settings.cibParams[key];
+      if (!input || value === undefined) return;
+      const clean = input.tagName === 'SELECT' ? choice(input, String(value)) : number(input, value);
+      if (clean !== undefined) cibParams[key] = clean;
     });
+  }
 
-    const usernameGroups = new Map();
-    const usernameArray = Array.from(usernames.entries());
-
-    for (let i = 0; i < usernameArray.length; i++) {
-      for (let j = i + 1; j < usernameArray.length; j++) {
-        const [id1, name1] = usernameArray[i];
-        const [id2, name2] = usernameArray[j];
-
-        const distance = levenshteinDistance(name1, name2);
-        const maxLen = Math.max(name1.length, name2.length);
-        const similarity = 1 - (distance / maxLen);
-
-        if (similarity >= params.usernameThreshold) {
-          const key = [name1, name2].sort().join('|');
-          if (!usernameGroups.has(key)) usernameGroups.set(key, new Set());
-          usernameGroups.get(key).add(id1);
-          usernameGroups.get(key).add(id2);
-        }
-      }
-    }
-
-    let similarUsernameCount = 0;
-    usernameGroups.forEach((users, key) => {
-      if (users.size >= params.minUsernameGroupSize) {
-        users.forEach(u => results.suspiciousUsers.add(u));
-        similarUsernameCount += users.size;
-      }
-    });
-    results.indicators.similarUsernames = similarUsernameCount;
+  return {
+    networkType: choice(networkTypeSelect, settings.networkType),
+    projectionMethod: choice(projectionMethodSelect, settings.projectionMethod),
+    projectionMinWeight: number(projectionMinWeightInput, settings.projectionMinWeight),
+    sliceSize: choice(sliceSizeSelect, settings.sliceSize),
+    nodeSizeBy: choice(nodeSizeBySelect, settings.nodeSizeBy),
+    nodeColorBy: choice(nodeColorBySelect, settings.nodeColorBy),
+    communityAlgorithm: choice(communityAlgorithmSelect, settings.communityAlgorithm),
+    communityResolution: number(communityResolutionInput, settings.communityResolution),
+    communityModularity: choice(communityModularitySelect, settings.communityModularity),
+    communityRuns: number(communityRunCountInput, settings.communityRuns),
+    communityResolutionTo: number(communityResolutionToInput, settings.communityResolutionTo),
+    minEngagement: number(engagementFilter, settings.minEngagement),
+    dateStart: date(settings.dateStart),
+    dateEnd: date(settings.dateEnd),
+    timeZone: typeof settings.timeZone === 'string' && isValidTimeZone(settings.timeZone) ? settings.timeZone : undefined,
+    cibThreshold: number(cibThreshold, settings.cibThreshold),
+    timeWindow: number(timeWindowInput, settings.timeWindow),
+    cibParams,
+  };
+}
 
-    loadingText.textContent = 'Detecting high-volume posters...';
+// Per-file load problems as the loader records them: { file, failed, truncated, note, samples }
+function sanitizeLoadIssues(issues) {
+  if (!Array.isArray(issues)) return [];
+  const text = value => (typeof value === 'string' || typeof value === 'number' ? String(value) : '');
+  return issues
+    .filter(issue => issue && typeof issue === 'object')
+    .map(issue => ({
+      file: text(issue.file),
+      failed: Number.isInteger(issue.failed) && issue.failed > 0 ? issue.failed : 0,
+      truncated: issue.truncated === true,
+      note: text(issue.note),
+      samples: (Array.isArray(issue.samples) ? issue.samples : [])
+        .filter(sample => sample && typeof sample === 'object')
+        .slice(0, 5)
+        .map(sample => ({ location: text(sample.location), message: text(sample.message) })),
+    }));
+}
 
-    // 4) High-volume posting with z-score normalization
-    results.indicators.highVolume = 0;
-    postsByUser.forEach((posts, userId) => {
-      if (posts.length >= params.minHighVolumePosts) {
-        const zScore = (posts.length - stats.posts.mean) / stats.posts.stdDev;
+function applySessionSettings(settings) {
+  if (settings.networkType) networkTypeSelect.value = settings.networkType;
+  projectionMethodSelect.value = settings.projectionMethod || 'none';
+  projectionMinWeightInput.value = settings.projectionMinWeight ?? '0';
+  updateProjectionControls();
+  sliceSizeSelect.value = settings.sliceSize || 'off';
+  updateSliceControls();
+  if (settings.nodeSizeBy) {
+    nodeSizeBySelect.value = settings.nodeSizeBy;
+    nodeSizeStats = null;
+  }
+  communityAlgorithmSelect.value = COMMUNITY_ALGORITHMS[settings.communityAlgorithm] ? settings.communityAlgorithm : 'louvain';
+  communityResolutionInput.value = settings.communityResolution ?? DEFAULT_RESOLUTION;
+  communityModularitySelect.value = settings.communityModularity === 'directed' ? 'directed' : 'undirected';
+  communityRunCountInput.value = settings.communityRuns ?? 1;
+  communityResolutionToInput.value = settings.communityResolutionTo ?? '';
+  nodeColorBySelect.value = settings.nodeColorBy === 'stability' ? 'stability' : 'community';
+  updateCommunityControls();
+  if (settings.minEngagement !== undefined) {
+    engagementFilter.value = settings.minEngagement;
+    engagementValue.textContent = `${engagementFilter.value}+ interactions`;
+  }
+  dateStart.value = settings.dateStart || '';
+  dateEnd.value = settings.dateEnd || '';
+  // Sessions saved before the setting existed used UTC day boundaries
+  timeZoneSelect.value = isValidTimeZone(settings.timeZone) ? settings.timeZone : DEFAULT_TIME_ZONE;
+  if (settings.cibThreshold) {
+    // Set directly: the slider's input handler would overwrite the saved parameters with a preset
+    cibThreshold.value = settings.cibThreshold;
+    thresholdValue.textContent = thresholdLabels[cibThreshold.value];
+  }
+  if (settings.timeWindow) {
+    timeWindowInput.value = settings.timeWindow;
+    timeWindowInput.dispatchEvent(new Event('input'));
+  }
+  if (settings.cibParams) setCibParams(settings.cibParams);
+}
 
-        if (zScore > params.zscoreThreshold) {
-          results.suspiciousUsers.add(userId);
-          results.indicators.highVolume++;
-        }
-      }
-    });
+function restoreIdentityLinks(saved) {
+  resetIdentityLinks();
+  identityProposals = saved.map(({ decision, ...proposal }) => proposal);
+  saved.forEach(proposal => identityDecisions.set(proposal.id, proposal.decision));
+  const accepted = saved.filter(p => p.decision === 'accepted');
+  actorMap = accepted.length > 0 ? buildActorMap(accepted) : null;
+  if (identityProposals.length > 0) renderIdentityProposals();
+}
 
-    loadingText.textContent = 'Analyzing posting bursts...';
+// Shared by saved sessions and project files
+function restoreSnapshot(session, posts) {
+  rawData = posts;
+  loadedBatches = Array.isArray(session.batches) ? session.batches.filter(name => typeof name === 'string') : [];
+  loadIssues = sanitizeLoadIssues(session.loadIssues);
+  sessionNameInput.value = typeof session.name === 'string' ? session.name : '';
+  sessionNotes.value = typeof session.notes === 'string' ? session.notes : '';
+
+  applySessionSettings(sanitizeSettings(session.settings));
+  restoreIdentityLinks(session.identity || []);
+  // Community ids and CIB scores refer to the nodes of the saved network,
+  // which updateNetwork() rebuilds from the restored settings
+  pendingSessionResults = { communities: session.communities, cib: session.cib };
+
+  showDataset();
+  updateNetwork();
+}
 
-    // 5) Temporal burst detection
-    const bursts = detectTemporalBursts(postsByUser, timeWindow, params.burstPosts);
-    results.indicators.temporalBursts = bursts.length;
+async function openSavedSession(id) {
+  loading.classList.add('active');
+  loadingText.textContent = 'Opening saved session...';
 
-    loadingText.textContent = 'Checking posting rhythms...';
+  try {
+    const { session, posts } = await loadSession(id);
+    currentSession = { id: session.id, name: session.name, createdAt: session.createdAt, saved: true };
+    sessionPostsChanged = false;
+    sessionStatus.textContent = `Opened session saved ${new Date(session.updatedAt).toLocaleString()}`;
+    restoreSnapshot(session, posts);
+  } catch (error) {
+    console.error('Opening session failed:', error);
+    alert('Could not open session: ' + error.message);
+    loading.classList.remove('active');
+  }
+}
 
-    // 6) Posting rhythm regularity & 24/7 activity
-    postsByUser.forEach((posts, userId) => {
-      const rhythm = analyzePostingRhythm(posts, params.rhythmCV);
-      if (rhythm.regular) {
-        results.suspiciousUsers.add(userId);
-      }
+function applyPendingSessionResults() {
+  if (!pendingSessionResults) return;
+  const { communities: savedCommunities, cib } = pendingSessionResults;
+  pendingSessionResults = null;
+
+  if (savedCommunities) {
+    const { stability } = savedCommunities;
+    communities = {
+      ...savedCommunities,
+      communities: new Map(savedCommunities.communities),
+      stability: stability
+        ? { ...stability, nodeStability: new Map(stability.nodeStability), communityStability: new Map(stability.communityStability) }
+        : null,
+    };
+    recordCommunityRun(communities);
+    renderCommunityPanel();
+    if (statElements.communities) statElements.communities.textContent = communities.count;
+    if (networkMetrics) displayMetrics(networkMetrics);
+    refreshCosmosStyling();
+    if (timelineStackSelect.value === 'community') renderTimeline({ keepSelection: true });
+  }
+  if (cib) applyCIBResults(deserializeCIBResults(cib));
+}
 
-      const nightPosting = analyzeNightPosting(posts, params.nightGap);
-      if (nightPosting.suspicious) {
-        results.suspiciousUsers.add(userId);
-      }
-    });
+async function renderSessionPicker() {
+  if (!isSessionStorageAvailable()) return;
 
-    loadingText.textContent = 'Analyzing captions...';
+  let sessions;
+  try {
+    sessions = await listSessions();
+  } catch (error) {
+    console.warn('Saved sessions unavailable:', error);
+    return;
+  }
 
-    // 7) Semantic duplicate captions (AI-powered similarity with caching)
-    let semanticGroups = [];
+  sessionPicker.style.display = sessions.length > 0 ? 'block' : 'none';
+  sessionList.innerHTML = sessions.map(session => `
+    <li>
+      <div>
+        <div style="font-weight:600; color:#111827;">${String(session.name).replace(/</g, '&lt;')}</div>
+        <div class="session-meta">
+          ${(session.platforms || []).map(p => PLATFORM_ICONS[p] || '❓').join(' ')}
+          ${session.postCount.toLocaleString()} posts
+          ${session.cib ? ' · CIB results' : ''}${session.communities ? ' · communities' : ''}
+          · ${new Date(session.updatedAt).toLocaleString()}
+        </div>
+      </div>
+      <span class="identity-actions">
+        <button class="job-action" data-session-action="open" data-session-id="${session.id}">Open</button>
+        <button class="job-action" data-session-action="delete" data-session-id="${session.id}">Delete</button>
+      </span>
+    </li>`).join('');
+}
 
-    if (params.semanticEnabled) {
-      try {
-        loadingText.textContent = 'Loading AI model for semantic analysis...';
-
-        // Collect all unique captions (one per user)
-        const captionsToAnalyze = [];
-        filteredData.forEach(post => {
-          const userId = post.data?.author?.id;
-          const caption = post.data?.desc || '';
-          if (userId && caption.length >= 20) {
-            captionsToAnalyze.push({ userId, caption });
-          }
-        });
+sessionList.addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-session-action]');
+  if (!button) return;
+  const id = button.dataset.sessionId;
 
-        console.log(`Processing ${captionsToAnalyze.length} captions for semantic similarity`);
+  if (button.dataset.sessionAction === 'open') {
+    openSavedSession(id);
+  } else if (confirm('Delete this saved session? Its posts and results are removed from this browser.')) {
+    await deleteSession(id).catch(error => alert('Could not delete session: ' + error.message));
+    renderSessionPicker();
+  }
+});
 
-        // OPTIMIZATION: Use cached embeddings if available
-        let captionEmbeddings = embeddingsCache.get(filteredData, { captions: captionsToAnalyze.length }, () => {
-          console.log('⚠️ Cache miss - computing embeddings...');
-          return null; // Will compute below
-        });
+sessionSaveBtn.addEventListener('click', saveCurrentSession);
+projectSaveBtn.addEventListener('click', saveProjectFile);
+sessionNameInput.addEventListener('input', scheduleSessionSave);
+sessionNotes.addEventListener('input', scheduleSessionSave);
 
-        if (captionEmbeddings) {
-          console.log('✓ Using cached embeddings!');
-          loadingText.textContent = 'Using cached embeddings...';
-        } else {
-          console.log('Computing embeddings for the first time...');
-
-          // Process embeddings in batches to avoid memory overload
-          const BATCH_SIZE = 20; // Process 20 captions at a time
-          const newEmbeddings = new Map();
-
-          for (let batchStart = 0; batchStart < captionsToAnalyze.length; batchStart += BATCH_SIZE) {
-            const batchEnd = Math.min(batchStart + BATCH_SIZE, captionsToAnalyze.length);
-            const batch = captionsToAnalyze.slice(batchStart, batchEnd);
-
-            // Process batch
-            for (const {userId, caption} of batch) {
-              try {
-                const embedding = await getEmbedding(caption);
-                newEmbeddings.set(userId, { caption, embedding, userId });
-              } catch (error) {
-                console.warn(`Failed to generate embedding for user ${userId}:`, error.message);
-              }
-            }
-
-            // Update progress
-            const progress = Math.round((batchEnd / captionsToAnalyze.length) * 100);
-            loadingText.textContent = `Generating embeddings (${batchEnd}/${captionsToAnalyze.length} - ${progress}%)...`;
-
-            // CRITICAL: Yield to browser to prevent freezing
-            await new Promise(resolve => setTimeout(resolve, 10));
-          }
-
-          // Cache the embeddings for next time
-          embeddingsCache.set(
-            embeddingsCache.getKey(filteredData, { captions: captionsToAnalyze.length }),
-            newEmbeddings
-          );
-
-          // Use the newly computed embeddings
-          captionEmbeddings = newEmbeddings;
-        }
+renderSessionPicker();
 
-        loadingText.textContent = 'Comparing semantic similarity...';
-
-        // Compare all pairs (this is O(n²) but necessary for accuracy)
-        const embedArray = Array.from(captionEmbeddings.values());
-        let comparisons = 0;
-        const totalComparisons = (embedArray.length * (embedArray.length - 1)) / 2;
-
-        for (let i = 0; i < embedArray.length; i++) {
-          for (let j = i + 1; j < embedArray.length; j++) {
-            const similarity = cosineSimilarity(embedArray[i].embedding, embedArray[j].embedding);
-
-            if (similarity >= params.semanticThreshold) {
-              results.suspiciousUsers.add(embedArray[i].userId);
-              results.suspiciousUsers.add(embedArray[j].userId);
-              semanticGroups.push({
-                users: [embedArray[i].userId, embedArray[j].userId],
-                similarity: similarity.toFixed(3),
-                captions: [embedArray[i].caption.slice(0, 50), embedArray[j].caption.slice(0, 50)]
-              });
-            }
-
-            comparisons++;
-          }
-
-          // Update progress and yield every 100 comparisons to keep UI responsive
-          if (i % 100 === 0 && i > 0) {
-            const progress = Math.round((comparisons / totalComparisons) * 100);
-            loadingText.textContent = `Comparing similarity (${progress}%)...`;
-            await new Promise(resolve => setTimeout(resolve, 5));
-          }
-        }
+// =========================
+// Project files (.schuim)
+// =========================
+async function saveProjectFile() {
+  if (!currentSession || rawData.length === 0) return;
+  const embedPosts = confirm(
+    'Include the dataset in the project file?\n\n' +
+    'OK: one self-contained file that opens anywhere (larger).\n' +
+    'Cancel: settings and results only; the reviewer loads the same data files first.'
+  );
 
-        console.log(`✓ Semantic analysis complete: ${semanticGroups.length} similar pairs found`);
+  loading.classList.add('active');
+  loadingText.textContent = 'Writing project file...';
+  try {
+    const project = buildProject({
+      session: snapshotSession(),
+      posts: rawData,
+      datasetHash: await computeDatasetHash(rawData),
+      embedPosts,
+    });
+    const blob = await projectToBlob(project);
+    const fileName = (project.session.name || 'project').replace(/[^\w.-]+/g, '_').slice(0, 80);
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url; link.download = `${fileName}.schuim`; link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Saving project failed:', error);
+    alert('Could not save project: ' + error.message);
+  } finally {
+    loading.classList.remove('active');
+  }
+}
 
-      } catch (error) {
-        console.error('Semantic analysis failed:', error);
-        loadingText.textContent = 'Semantic analysis failed, continuing with other indicators...';
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        // Continue with other indicators even if semantic fails
-      }
+async function openProjectFile(file) {
+  loadingText.textContent = 'Reading project file...';
+  const project = await readProjectFile(file);
+  const { dataset, session } = project;
+
+  // A project without embedded posts reproduces its view only on the same dataset
+  let posts = null;
+  if (!dataset.posts) {
+    if (rawData.length === 0 || await computeDatasetHash(rawData) !== dataset.hash) {
+      const files = Array.isArray(dataset.files) && dataset.files.length > 0 ? `\n\nFiles: ${dataset.files.join(', ')}` : '';
+      throw new Error(
+        `This project does not include its dataset. Load the same ${Number(dataset.postCount).toLocaleString()} posts first, then open the project again.${files}`
+      );
     }
+    posts = rawData;
+  } else {
+    // Project files are shared, so embedded posts get the same checks as an upload
+    const checked = validateNormalizedPosts(dataset.posts);
+    if (checked.rejected > 0) console.warn(`Project file: skipped ${checked.rejected} malformed posts`);
+    posts = checked.posts;
+    if (await computeDatasetHash(posts) !== dataset.hash) {
+      console.warn('Embedded dataset does not match the hash recorded in the project file');
+    }
+  }
 
-    results.indicators.semanticDuplicates = semanticGroups.length;
-
-    loadingText.textContent = 'Detecting template captions...';
+  // Opened projects become a new local session, saved only on request
+  currentSession = { id: createSessionId(), name: typeof session.name === 'string' ? session.name : '', createdAt: Date.now(), saved: false };
+  sessionPostsChanged = true;
+  sessionStatus.textContent = `Opened project ${file.name} (saved ${new Date(project.savedAt).toLocaleString()})`;
+  restoreSnapshot(session, posts);
+}
 
-    // 8) N-gram template captions
-    const captionPairs = [];
-    const captions = new Map();
+// =========================
+// Data quality report
+// =========================
+function formatCoverage(coverage) {
+  return coverage.total ? `${Math.round(coverage.ratio * 100)}%` : '–';
+}
 
-    filteredData.forEach(post => {
-      const userId = post.data?.author?.id;
-      const caption = post.data?.desc || '';
-      if (!userId || caption.length < 20) return;
+function renderDataQuality() {
+  const report = assessDataQuality(rawData, { loadIssues });
+  const platforms = report.platforms;
+  // File names, parse errors and notes can come from shared project files
+  const attr = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
 
-      captions.set(userId, caption);
-    });
+  const warnings = [];
+  report.loadIssues.forEach(issue => {
+    const details = issue.note ? attr(issue.note) : issue.samples.map(s => `${attr(s.location)}: ${attr(s.message)}`).join('<br>');
+    warnings.push(`<b>${attr(issue.file)}</b>: ${issue.failed.toLocaleString()} record${issue.failed !== 1 ? 's' : ''} could not be read${issue.truncated ? ' and the file looks truncated' : ''}${details ? `<div style="color:#6b7280; margin-top:0.125rem;">${details}</div>` : ''}`);
+  });
+  if (report.unknownPlatform > 0) {
+    warnings.push(`${report.unknownPlatform.toLocaleString()} items are from a platform SchuimSurfer does not recognize and were loaded without normalization`);
+  }
+  if (report.overall.noAuthor > 0) {
+    warnings.push(`${report.overall.noAuthor.toLocaleString()} posts have no author ID and are left out of every network`);
+  }
 
-    const captionArray = Array.from(captions.entries());
-    for (let i = 0; i < captionArray.length; i++) {
-      for (let j = i + 1; j < captionArray.length; j++) {
-        const overlap = ngramOverlap(captionArray[i][1], captionArray[j][1]);
-
-        if (overlap >= params.ngramThreshold) {
-          captionPairs.push({
-            users: [captionArray[i][0], captionArray[j][0]],
-            overlap: overlap
-          });
-          results.suspiciousUsers.add(captionArray[i][0]);
-          results.suspiciousUsers.add(captionArray[j][0]);
-        }
-      }
-    }
+  const header = platforms.map(p => `<th title="${attr(p.platform)}">${PLATFORM_ICONS[p.platform] || '❓'} ${p.posts.toLocaleString()}</th>`).join('');
+  const rows = QUALITY_FIELDS.map(field => {
+    const cells = platforms.map(p => {
+      const coverage = p.coverage[field.key];
+      // Missing hashtags or mentions are usually genuine, so only export gaps are highlighted
+      const level = field.content || !coverage.total ? '' : coverage.ratio < 0.3 ? 'low' : coverage.ratio < 0.7 ? 'mid' : '';
+      return `<td class="${level}" title="${coverage.count.toLocaleString()} of ${coverage.total.toLocaleString()} ${field.scope}">${formatCoverage(coverage)}</td>`;
+    }).join('');
+    return `<tr><td>${field.label}</td>${cells}</tr>`;
+  }).join('');
 
-    results.indicators.templateCaptions = captionPairs.length;
-    results.indicators.duplicateCaptions = semanticGroups.length + captionPairs.length;
+  const indicators = report.indicators
+    .filter(i => i.status !== 'ok')
+    .map(i => `
+      <li>
+        <span class="quality-status ${i.status}">${i.status}</span>
+        <b>${i.indicator}</b> – ${Math.round(i.coverage * 100)}% ${i.fieldLabel.toLowerCase()}; ${i.impact}
+      </li>`)
+    .join('');
+
+  qualityReport.innerHTML = `
+    ${warnings.length > 0 ? `<div class="warning-box" style="margin-top:0;"><p>${warnings.join('<br>')}</p></div>` : ''}
+    <table class="quality-table">
+      <thead><tr><th>Field coverage</th>${header}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="small" style="font-weight:600; margin-top:0.5rem;">CIB indicators</div>
+    ${indicators
+      ? `<ul class="quality-list">${indicators}</ul>`
+      : '<div class="small" style="color:#059669;">Coverage supports every indicator.</div>'}`;
+  qualityPanel.style.display = 'block';
+}
 
-    loadingText.textContent = 'Checking account creation patterns...';
+// Every post the filters dropped, by reason (a post can fail more than one filter)
+function renderFilterNote({ engagement, dateRange, noTimestamp }) {
+  const excluded = rawData.length - filteredData.length;
+  if (excluded === 0) {
+    qualityFilterNote.textContent = '';
+    return;
+  }
+  const reasons = [];
+  if (engagement > 0) reasons.push(`${engagement.toLocaleString()} below the minimum engagement`);
+  if (dateRange > 0) reasons.push(`${dateRange.toLocaleString()} outside the date range`);
+  if (noTimestamp > 0) reasons.push(`${noTimestamp.toLocaleString()} without a timestamp (dropped whenever a date range is set)`);
+  qualityFilterNote.textContent = `Current filters exclude ${excluded.toLocaleString()} of ${rawData.length.toLocaleString()} posts: ${reasons.join(', ')}.`;
+}
 
-    // 9) Account creation clustering
-    const creationClusters = detectAccountCreationClusters(filteredData, 86400, params.clusterSize);
-    results.indicators.accountCreationClusters = creationClusters.length;
+// =========================
+// Cross-platform identity linking
+// =========================
+const PLATFORM_ICONS = {
+  tiktok: '🎵', instagram: '📷', twitter: '🐦', threads: '🧵', youtube: '▶️', linkedin: '💼', csv: '📄',
+};
+const MAX_IDENTITY_ROWS = 200;
 
-    if (creationClusters.length > 0) {
-      console.log(`Found ${creationClusters.length} account creation clusters`);
-    }
+function resetIdentityLinks() {
+  identityProposals = [];
+  identityDecisions.clear();
+  actorMap = null;
+  identityResults.innerHTML = '';
+}
 
-    loadingText.textContent = 'Calculating risk scores...';
+// After files are added: propose links for the new accounts too, keeping the
+// decisions already made. Nothing to do until the analyst has scanned once.
+function rescanIdentityLinks() {
+  if (identityProposals.length === 0 && identityDecisions.size === 0) return;
+  loadingText.textContent = 'Comparing accounts across platforms...';
+  const proposals = proposeIdentityLinks(rawData);
+  const proposed = new Set(proposals.map(p => p.id));
+  // Decided pairs stay listed even if the rescan no longer proposes them
+  const decided = identityProposals.filter(p => identityDecisions.has(p.id) && !proposed.has(p.id));
+  identityProposals = [...proposals, ...decided];
+  const accepted = identityProposals.filter(p => identityDecisions.get(p.id) === 'accepted');
+  actorMap = accepted.length > 0 ? buildActorMap(accepted) : null;
+  console.log(`Identity linking: ${identityProposals.length} candidate cross-platform matches after adding files`);
+  renderIdentityProposals();
+}
 
-    // Build userId -> username lookup
-    const userIdToName = new Map();
-    filteredData.forEach(post => {
-      const author = post.data?.author;
-      if (author?.id) {
-        userIdToName.set(author.id, author.uniqueId || author.nickname || `user_${author.id}`);
-      }
-    });
+identityScanBtn.addEventListener('click', () => {
+  if (rawData.length === 0) return;
+  loading.classList.add('active');
+  loadingText.textContent = 'Comparing accounts across platforms...';
+  setTimeout(() => {
+    identityProposals = proposeIdentityLinks(rawData);
+    console.log(`Identity linking: ${identityProposals.length} candidate cross-platform matches`);
+    renderIdentityProposals();
+    loading.classList.remove('active');
+  }, 100);
+});
 
-    // Calculate risk scores and reasons
-    results.userScores = new Map();
-    results.userReasons = new Map();
-    results.suspiciousUsers.forEach(userId => {
-      let score = 0;
-      let reasons = [];
-
-      // Check synchronized posting
-      const userSyncGroups = synchGroups.filter(g => g.u1===userId || g.u2===userId);
-      if (userSyncGroups.length > 0) {
-        score += 25;
-        const partners = userSyncGroups.map(g => {
-          const partnerId = g.u1 === userId ? g.u2 : g.u1;
-          return userIdToName.get(partnerId) || partnerId;
-        }).slice(0, 5);
-        const more = userSyncGroups.length > 5 ? ` and ${userSyncGroups.length - 5} more` : '';
-        reasons.push(`Synchronized posting with: ${partners.join(', ')}${more}`);
-      }
+function renderIdentityProposals() {
+  if (identityProposals.length === 0) {
+    identityResults.innerHTML = '<div class="small" style="color:#6b7280;">No candidate matches found.</div>';
+    return;
+  }
 
-      // Check rare hashtag sequences
-      const userPosts = filteredData.filter(p => p.data?.author?.id === userId);
-      const hashtagPartners = [];
-      hashtagSequences.forEach((data, seq) => {
-        if (data.users.has(userId) && data.users.size >= params.minHashtagGroupSize) {
-          const others = Array.from(data.users).filter(u => u !== userId).map(u => userIdToName.get(u) || u);
-          hashtagPartners.push(...others);
-        }
-      });
-      if (hashtagPartners.length > 0) {
-        score += 20;
-        const display = hashtagPartners.slice(0, 5);
-        const more = hashtagPartners.length > 5 ? ` and ${hashtagPartners.length - 5} more` : '';
-        reasons.push(`Rare hashtag combinations with: ${display.join(', ')}${more}`);
-      }
+  const attr = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  const describe = account => `${PLATFORM_ICONS[account.platform] || '❓'} @${attr(account.handle)}`;
+  const acceptedCount = identityProposals.filter(p => identityDecisions.get(p.id) === 'accepted').length;
+
+  const rows = identityProposals.slice(0, MAX_IDENTITY_ROWS).map(proposal => {
+    const decision = identityDecisions.get(proposal.id) || '';
+    return `
+      <li class="${decision}">
+        <div class="identity-pair">${describe(proposal.a)} ↔ ${describe(proposal.b)}</div>
+        <div class="identity-reasons">${proposal.reasons.map(attr).join(' · ')} · score ${proposal.score.toFixed(2)}</div>
+        <div class="identity-actions">
+          <button class="job-action" data-identity-action="accept" data-proposal-id="${attr(proposal.id)}">${decision === 'accepted' ? '✓ Accepted' : 'Accept'}</button>
+          <button class="job-action" data-identity-action="reject" data-proposal-id="${attr(proposal.id)}">${decision === 'rejected' ? '✕ Rejected' : 'Reject'}</button>
+        </div>
+      </li>`;
+  }).join('');
 
-      // Check similar usernames
-      usernameGroups.forEach((users, key) => {
-        if (users.has(userId) && users.size >= params.minUsernameGroupSize) {
-          score += 10;
-          const similarUsers = Array.from(users).filter(u => u !== userId).map(u => userIdToName.get(u) || u);
-          const display = similarUsers.slice(0, 5);
-          const more = similarUsers.length > 5 ? ` and ${similarUsers.length - 5} more` : '';
-          reasons.push(`Similar username pattern with: ${display.join(', ')}${more}`);
-        }
-      });
+  identityResults.innerHTML = `
+    <div class="small" style="display:flex; justify-content:space-between; align-items:center; margin-bottom:.5rem;">
+      <span>${identityProposals.length} candidates · <b>${acceptedCount}</b> accepted${actorMap ? ` → ${actorMap.actorCount} actors` : ''}</span>
+      <span class="identity-actions">
+        <button class="job-action" data-identity-action="accept-exact" title="Accept every pair with an identical handle">Accept same handles</button>
+        <button class="job-action" data-identity-action="clear">Clear</button>
+      </span>
+    </div>
+    <ul class="identity-list">${rows}</ul>
+    ${identityProposals.length > MAX_IDENTITY_ROWS ? `<div class="small" style="color:#6b7280; margin-top:.25rem;">Showing the ${MAX_IDENTITY_ROWS} strongest candidates.</div>` : ''}`;
+}
 
-      // Check high-volume posting
-      if (userPosts.length >= params.minHighVolumePosts) {
-        const zScore = (userPosts.length - stats.posts.mean) / stats.posts.stdDev;
-        if (zScore > params.zscoreThreshold) {
-          score += 15;
-          reasons.push(`High-volume posting (z-score: ${zScore.toFixed(1)})`);
-        }
-      }
+identityResults.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-identity-action]');
+  if (!button) return;
+  const action = button.dataset.identityAction;
+
+  if (action === 'accept-exact') {
+    identityProposals
+      .filter(p => p.reasons.includes('same handle'))
+      .forEach(p => identityDecisions.set(p.id, 'accepted'));
+  } else if (action === 'clear') {
+    identityDecisions.clear();
+  } else {
+    const id = button.dataset.proposalId;
+    const decision = action === 'accept' ? 'accepted' : 'rejected';
+    // Clicking the current decision again returns the pair to undecided
+    if (identityDecisions.get(id) === decision) identityDecisions.delete(id);
+    else identityDecisions.set(id, decision);
+  }
 
-      // Check temporal bursts
-      const userBursts = bursts.filter(b => b.userId === userId);
-      if (userBursts.length > 0) {
-        score += 15;
-        userBursts.forEach(burst => {
-          const timeDesc = timeWindow < 60 ? `${timeWindow} second${timeWindow !== 1 ? 's' : ''}` :
-                           `${Math.floor(timeWindow/60)} minute${Math.floor(timeWindow/60) !== 1 ? 's' : ''}`;
-          reasons.push(`Posting burst: ${burst.count} posts in ${timeDesc}`);
-        });
-      }
+  applyIdentityDecisions();
+});
 
-      // Check posting rhythm regularity
-      const rhythm = analyzePostingRhythm(userPosts.map(p => ({ timestamp: p.data?.createTime })).filter(p => p.timestamp), params.rhythmCV);
-      if (rhythm.regular) {
-        score += 20;
-        reasons.push(`Highly regular posting rhythm (CV: ${(rhythm.cv * 100).toFixed(1)}%)`);
-      }
+function applyIdentityDecisions() {
+  const accepted = identityProposals.filter(p => identityDecisions.get(p.id) === 'accepted');
+  // Rejections alone don't change the data
+  const changed = accepted.length > 0 || actorMap !== null;
+  actorMap = accepted.length > 0 ? buildActorMap(accepted) : null;
+  renderIdentityProposals();
+  if (changed) updateNetwork();
+}
 
-      // Check 24/7 posting
-      const nightPosting = analyzeNightPosting(userPosts.map(p => ({ timestamp: p.data?.createTime })).filter(p => p.timestamp), params.nightGap);
-      if (nightPosting.suspicious) {
-        score += 25;
-        reasons.push(`24/7 posting pattern (max gap: ${Math.floor(nightPosting.avgMaxGap / 3600)}h)`);
-      }
+// =========================
+// CIB detection (runs in cib-worker.js)
+// =========================
+let cibWorker = null;
+let cibRequestSeq = 0;
+let activeCibRun = null; // { requestId, reject }
 
-      // Check semantic duplicates
-      semanticGroups.forEach(group => {
-        if (group.users.includes(userId)) {
-          score += 25;
-          const partner = group.users.find(u => u !== userId);
-          const partnerName = userIdToName.get(partner) || partner;
-          reasons.push(`Semantically similar captions (${group.similarity}) with ${partnerName}`);
-        }
-      });
+function getCibWorker() {
+  if (!cibWorker) {
+    cibWorker = new Worker(new URL('./cib-worker.js', import.meta.url), { type: 'module' });
+  }
+  return cibWorker;
+}
 
-      // Check n-gram template captions
-      captionPairs.forEach(pair => {
-        if (pair.users.includes(userId)) {
-          score += 20;
-          const partner = pair.users.find(u => u !== userId);
-          const partnerName = userIdToName.get(partner) || partner;
-          reasons.push(`Template caption (${(pair.overlap * 100).toFixed(0)}% overlap) with ${partnerName}`);
-        }
-      });
+// Only the fields the indicators read are sent to the worker, which keeps the
+// structured clone of large exports small.
+function toCibWorkerPost(post) {
+  const data = post.data || {};
+  return {
+    item_id: post.item_id,
+    platform: post.platform,
+    data: {
+      id: data.id,
+      author: data.author,
+      createTime: data.createTime,
+      desc: data.desc,
+      urls: data.urls,
+      challenges: data.challenges,
+      _twitter: data._twitter,
+      _threads: data._threads,
+      _linkedin: data._linkedin,
+    },
+  };
+}
 
-      // Check account creation clusters
-      creationClusters.forEach(cluster => {
-        if (cluster.has(userId)) {
-          score += 30;
-          reasons.push(`Account created with ${cluster.size - 1} others within 24 hours`);
-        }
-      });
+function runCibInWorker(posts, params, timeWindow, onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = getCibWorker();
+    const requestId = ++cibRequestSeq;
+    activeCibRun = { requestId, reject };
+
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.requestId !== requestId) return;
+
+      if (message.type === 'progress') {
+        onProgress(message.progress, message.message);
+      } else if (message.type === 'log') {
+        console.log(`[CIB worker] ${message.message}`);
+      } else if (message.type === 'complete') {
+        activeCibRun = null;
+        resolve(deserializeCIBResults(message.result));
+      } else if (message.type === 'error') {
+        activeCibRun = null;
+        console.error('CIB worker error:', message.stack || message.error);
+        reject(new Error(message.error));
+      }
+    };
+    worker.onerror = (e) => {
+      activeCibRun = null;
+      // A worker that failed to load is useless; start a fresh one next time
+      cibWorker?.terminate();
+      cibWorker = null;
+      reject(new Error(e.message || 'CIB worker failed to start'));
+    };
 
-      results.userScores.set(userId, score);
-      results.userReasons.set(userId, reasons);
+    worker.postMessage({
+      type: 'detectCIB',
+      requestId,
+      data: posts.map(toCibWorkerPost),
+      params,
+      timeWindow,
     });
+  });
+}
 
-    loadingText.textContent = 'Finalizing analysis...';
-
-    // Cross-indicator bonus multiplier
-    results.suspiciousUsers.forEach(userId => {
-      const reasons = results.userReasons.get(userId) || [];
-      const numIndicators = reasons.length;
-      let baseScore = results.userScores.get(userId) || 0;
+// Terminating is the only way to interrupt the worker mid-indicator; a new one is
+// created lazily on the next run.
+function cancelCibDetection() {
+  if (!activeCibRun) return;
+  const { reject } = activeCibRun;
+  activeCibRun = null;
+  cibWorker?.terminate();
+  cibWorker = null;
+  reject(new JobCancelledError());
+}
 
-      if (numIndicators >= 2) {
-        const multiplier = 1 + (params.crossMultiplier * numIndicators);
-        baseScore = Math.min(100, baseScore * multiplier);
-        results.userScores.set(userId, Math.round(baseScore));
-      }
+// FNV-1a over the post keys and (identity-merged) author ids of a run. Part of
+// the job key: another filter can leave the same number of different posts,
+// and an in-flight run on those must not be reused.
+function postsFingerprint(posts) {
+  let hash = 0x811c9dc5;
+  posts.forEach(post => {
+    const key = `${postKey(post)}:${post.data?.author?.id ?? ''}\n`;
+    for (let i = 0; i < key.length; i++) {
+      hash ^= key.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+  });
+  return hash.toString(16).padStart(8, '0');
+}
 
-      const reasonText = reasons.join(' ').toLowerCase();
+async function detectCIB() {
+  // Get advanced parameters (uses defaults if settings panel not customized)
+  const params = getCibParams();
+  const timeWindow = parseInt(timeWindowInput.value, 10);
+  const posts = filteredData;
 
-      if (reasonText.includes('similar username') && reasonText.includes('created with')) {
-        const currentScore = results.userScores.get(userId);
-        results.userScores.set(userId, Math.min(100, currentScore + 20));
-      }
+  const job = jobManager.run('cib', 'CIB detection', { params, timeWindow, posts: posts.length, fingerprint: postsFingerprint(posts) }, (job) => {
+    job.onCancel(cancelCibDetection);
+    job.report(0, 'Analyzing coordinated behavior patterns...');
+    return runCibInWorker(posts, params, timeWindow, (progress, message) => job.report(progress, message));
+  });
+  if (foregroundJob === job) return; // same run already on screen
 
-      if (reasonText.includes('synchronized') && reasonText.includes('regular posting')) {
-        const currentScore = results.userScores.get(userId);
-        results.userScores.set(userId, Math.min(100, currentScore + 15));
-      }
-    });
+  showJobInOverlay(job);
+  perfMonitor.start('cibDetection');
 
-    cibDetection = results;
-    displayCIBResults(results);
-
-    // Mark nodes as suspicious
-    if (nodes.length > 0) {
-      nodes.forEach(node => {
-        const plainId = node.id.replace(/^u_/,'');
-        if (results.suspiciousUsers.has(node.id) || results.suspiciousUsers.has(plainId)) {
-          node.suspicious = true;
-          node.cibScore = results.userScores.get(node.id) || results.userScores.get(plainId) || 0;
-          node.cibReasons = results.userReasons.get(node.id) || results.userReasons.get(plainId) || [];
-        }
-      });
-      refreshCosmosStyling({ updateClusters: false });
+  try {
+    const results = await job.promise;
+    applyCIBResults(results);
+    scheduleSessionSave();
+    perfMonitor.end('cibDetection');
+    perfMonitor.logMemory();
+  } catch (error) {
+    perfMonitor.end('cibDetection');
+    if (error instanceof JobCancelledError) {
+      console.log(`CIB detection cancelled: ${job.message}`);
+    } else {
+      console.error('CIB detection failed:', error);
+      alert('CIB detection failed: ' + error.message);
     }
+  } finally {
+    releaseOverlay(job);
+    updateCoach();
+  }
+}
 
-    if (statElements.suspicious) {
-      statElements.suspicious.textContent = results.suspiciousUsers.size;
-    }
+function applyCIBResults(results) {
+  cibDetection = results;
+  displayCIBResults(results);
 
-    // Enable CIB export buttons
-    exportCsvBtn.disabled = false;
-    exportReportBtn.disabled = false;
+  // Mark nodes as suspicious
+  if (nodes.length > 0) {
+    nodes.forEach(node => {
+      const plainId = node.id.replace(/^u_/,'');
+      if (results.suspiciousUsers.has(node.id) || results.suspiciousUsers.has(plainId)) {
+        node.suspicious = true;
+        node.cibScore = results.userScores.get(node.id) || results.userScores.get(plainId) || 0;
+        node.cibReasons = results.userReasons.get(node.id) || results.userReasons.get(plainId) || [];
+      }
+    });
+    refreshCosmosStyling({ updateClusters: false });
+    if (communityProfiles) renderCommunityPanel();
+  }
 
-    perfMonitor.end('cibDetection');
-    perfMonitor.logMemory();
+  if (statElements.suspicious) {
+    statElements.suspicious.textContent = results.suspiciousUsers.size;
+  }
 
-    loading.classList.remove('active');
-    updateCoach();
-  }, 100);
+  // Enable CIB export buttons
+  exportCsvBtn.disabled = false;
+  exportReportBtn.disabled = false;
 }
 
 function displayCIBResults(results) {
@@ -1237,6 +1932,12 @@ function displayCIBResults(results) {
   let html = '<ul class="metrics-list">';
   html += `<li><span class="metric-name">Suspicious Accounts</span><span class="metric-value cib-score">${results.suspiciousUsers.size}</span></li>`;
   html += `<li><span class="metric-name">Synchronized Posting</span><span class="metric-value">${results.indicators.synchronized} pairs</span></li>`;
+  if (results.indicators.coAmplification) {
+    html += `<li><span class="metric-name">Co-amplification</span><span class="metric-value">${results.indicators.coAmplification} pairs</span></li>`;
+  }
+  if (results.indicators.coordinatedLinks) {
+    html += `<li><span class="metric-name">Coordinated Link Sharing</span><span class="metric-value">${results.indicators.coordinatedLinks} pairs</span></li>`;
+  }
   html += `<li><span class="metric-name">Rare Hashtag Combos</span><span class="metric-value">${results.indicators.identicalHashtags} users</span></li>`;
   html += `<li><span class="metric-name">Similar Usernames</span><span class="metric-value">${results.indicators.similarUsernames} users</span></li>`;
   html += `<li><span class="metric-name">High Volume Posting</span><span class="metric-value">${results.indicators.highVolume} users</span></li>`;
@@ -1268,7 +1969,7 @@ function displayCIBResults(results) {
 // =========================
 function extractMentionNetwork(posts) {
   const nodeMap = new Map();
-  const links = [];
+  const linkMap = new Map();
   
   let debugCount = 0;
 
@@ -1291,6 +1992,7 @@ function extractMentionNetwork(posts) {
         label: author.uniqueId || author.nickname,
         verified: author.verified,
         followers: post.data?.authorStats?.followerCount || 0,
+        linkedAccounts: author.linkedAccounts,
         type: 'user'
       });
     }
@@ -1315,10 +2017,14 @@ function extractMentionNetwork(posts) {
           followers: 0
         });
       }
-      links.push({ source: authorId, target: mentionId, postId: post.item_id });
+      // One directed link per author -> mentioned pair, weighted by the number of mentions
+      const key = `${authorId}->${mentionId}`;
+      if (!linkMap.has(key)) linkMap.set(key, { source: authorId, target: mentionId, weight: 0, postId: post.item_id });
+      linkMap.get(key).weight++;
     });
   });
 
+  const links = Array.from(linkMap.values());
   console.log(`Mention network: ${nodeMap.size} nodes, ${links.length} links`);
   return { nodes: Array.from(nodeMap.values()), links };
 }
@@ -1337,7 +2043,7 @@ function extractCoHashtagNetwork(posts) {
     for (let i=0;i<hashtags.length;i++){
       for (let j=i+1;j<hashtags.length;j++){
         const source = hashtags[i].id, target = hashtags[j].id;
-        const key = [source, target].sort().join('-');
+        const key = linkKey(source, target);
         if (!linkMap.has(key)) linkMap.set(key, { source, target, weight: 0 });
         linkMap.get(key).weight++;
       }
@@ -1368,7 +2074,7 @@ function extractUserHashtagNetwork(posts) {
       const tagId = `h_${tag.id}`;
       if (!nodeMap.has(tagId)) nodeMap.set(tagId, { id: tagId, label: tag.title, type: 'hashtag', count: 0 });
       nodeMap.get(tagId).count++;
-      links.push({ source: authorId, target: tagId, postId: post.item_id });
+      links.push({ source: authorId, target: tagId, postId: post.item_id, time: post.data?.createTime });
     });
   });
 
@@ -1429,13 +2135,256 @@ function extractPhotoTagNetwork(posts) {
         });
       }
       
-      links.push({ source: authorId, target: taggedId, postId: post.item_id });
+      links.push({ source: authorId, target: taggedId, postId: post.item_id, time: post.data?.createTime });
     });
   });
   
   return { nodes: Array.from(nodeMap.values()), links };
 }
 
+// X-specific: amplification networks. Edges point from the account that
+// retweets, quotes or replies to the author of the original tweet, weighted by
+// how often it did so.
+const TWITTER_INTERACTIONS = {
+  retweet: { field: 'retweetOf', label: 'retweets' },
+  quote: { field: 'quoteOf', label: 'quotes' },
+  reply: { field: 'replyTo', label: 'replies' },
+};
+
+function extractTwitterInteractionNetwork(posts, kinds) {
+  const nodeMap = new Map();
+  const linkMap = new Map();
+
+  const addUser = (user, followers = 0) => {
+    if (!nodeMap.has(user.id)) {
+      nodeMap.set(user.id, {
+        id: user.id,
+        label: user.uniqueId || user.nickname || String(user.id),
+        type: 'user',
+        verified: user.verified || false,
+        followers,
+        linkedAccounts: user.linkedAccounts
+      });
+    }
+  };
+
+  posts.forEach(post => {
+    if (post.platform !== 'twitter') return;
+    const author = post.data?.author;
+    const interactions = post.data?._twitter;
+    if (!author?.id || !interactions) return;
+
+    kinds.forEach(kind => {
+      const original = interactions[TWITTER_INTERACTIONS[kind].field]?.author;
+      // Replies within one's own thread are not amplification
+      if (!original?.id || original.id === author.id) return;
+
+      addUser(author, post.data?.authorStats?.followerCount || 0);
+      addUser(original);
+
+      const key = `${author.id}->${original.id}`;
+      if (!linkMap.has(key)) {
+        linkMap.set(key, { source: author.id, target: original.id, weight: 0, interactions: {}, postId: post.item_id });
+      }
+      const link = linkMap.get(key);
+      link.weight++;
+      link.interactions[kind] = (link.interactions[kind] || 0) + 1;
+    });
+  });
+
+  const links = Array.from(linkMap.values());
+  console.log(`X ${kinds.join('/')} network: ${nodeMap.size} nodes, ${links.length} links`);
+  return { nodes: Array.from(nodeMap.values()), links };
+}
+
+// Co-amplification network: accounts are linked when they retweeted, reshared
+// or linked to the same post or URL within the CIB time window of each other.
+// Edge weight is the number of items they co-amplified.
+function extractCoAmplificationNetwork(posts) {
+  const timeWindow = parseInt(timeWindowInput.value, 10);
+  const pairs = detectCoAmplification(posts, timeWindow);
+
+  const authors = new Map();
+  posts.forEach(post => {
+    const author = post.data?.author;
+    if (author?.id && !authors.has(author.id)) {
+      authors.set(author.id, { author, followers: post.data?.authorStats?.followerCount || 0 });
+    }
+  });
+
+  const nodeMap = new Map();
+  const addUser = (id) => {
+    if (nodeMap.has(id)) return;
+    const { author, followers } = authors.get(id);
+    nodeMap.set(id, {
+      id,
+      label: author.uniqueId || author.nickname || String(id),
+      type: 'user',
+      verified: author.verified || false,
+      followers,
+      linkedAccounts: author.linkedAccounts
+    });
+  };
+
+  const links = pairs.map(pair => {
+    addUser(pair.u1);
+    addUser(pair.u2);
+    return { source: pair.u1, target: pair.u2, weight: pair.count, items: pair.items };
+  });
+
+  console.log(`Co-amplification network (${timeWindow}s window): ${nodeMap.size} nodes, ${links.length} links`);
+  return { nodes: Array.from(nodeMap.values()), links };
+}
+
+// Domain network: users linked to the websites they link to, weighted by the
+// number of posts. Shows which outlets an audience (or a campaign) pushes.
+function extractDomainNetwork(posts) {
+  const nodeMap = new Map();
+  const linkMap = new Map();
+
+  posts.forEach(post => {
+    const author = post.data?.author;
+    if (!author?.id) return;
+    const domains = new Map();
+    extractPostLinks(post).forEach(link => {
+      if (!domains.has(link.domain)) domains.set(link.domain, []);
+      domains.get(link.domain).push(link.url);
+    });
+    if (domains.size === 0) return;
+
+    const authorId = `u_${author.id}`;
+    if (!nodeMap.has(authorId)) {
+      nodeMap.set(authorId, {
+        id: authorId,
+        label: author.uniqueId || author.nickname,
+        type: 'user',
+        verified: author.verified,
+        followers: post.data?.authorStats?.followerCount || 0,
+        linkedAccounts: author.linkedAccounts
+      });
+    }
+
+    domains.forEach((urls, domain) => {
+      const domainId = `d_${domain}`;
+      if (!nodeMap.has(domainId)) {
+        nodeMap.set(domainId, { id: domainId, label: domain, type: 'domain', count: 0, urls: new Set() });
+      }
+      const node = nodeMap.get(domainId);
+      node.count++;
+      urls.forEach(url => node.urls.add(url));
+
+      const key = `${authorId}|${domainId}`;
+      if (!linkMap.has(key)) linkMap.set(key, { source: authorId, target: domainId, weight: 0, times: [], postId: post.item_id });
+      const link = linkMap.get(key);
+      link.weight++;
+      if (post.data?.createTime) link.times.push(post.data.createTime);
+    });
+  });
+
+  // Sets don't survive the JSON of session snapshots and project files
+  const nodes = Array.from(nodeMap.values()).map(node => {
+    if (node.type !== 'domain') return node;
+    const { urls, ...domain } = node;
+    return { ...domain, urlCount: urls.size };
+  });
+  return { nodes, links: Array.from(linkMap.values()) };
+}
+
+// TikTok-specific: sound networks. Reusing one audio track is cheap to
+// coordinate and easy to miss, especially for original (user-uploaded) sounds.
+
+// Trending sounds are used by thousands of unrelated accounts; projecting them
+// would bury the small groups sharing an obscure sound
+const MAX_SOUND_USERS = 200;
+
+function soundNode(music) {
+  return {
+    id: `s_${music.id}`,
+    label: music.title || String(music.id),
+    type: 'sound',
+    count: 0,
+    userCount: 0,
+    original: Boolean(music.original),
+    authorName: music.authorName || ''
+  };
+}
+
+// Sound id -> { node, users: Map(userId -> author info) }
+function collectSoundUsage(posts) {
+  const sounds = new Map();
+  posts.forEach(post => {
+    const music = post.data?.music;
+    const author = post.data?.author;
+    if (!music?.id || !author?.id) return;
+
+    if (!sounds.has(music.id)) sounds.set(music.id, { node: soundNode(music), users: new Map() });
+    const sound = sounds.get(music.id);
+    sound.node.count++;
+    if (!sound.users.has(author.id)) {
+      sound.users.set(author.id, { author, followers: post.data?.authorStats?.followerCount || 0, posts: 0, times: [] });
+    }
+    const user = sound.users.get(author.id);
+    user.posts++;
+    if (post.data?.createTime) user.times.push(post.data.createTime);
+  });
+  sounds.forEach(sound => { sound.node.userCount = sound.users.size; });
+  return sounds;
+}
+
+function soundUserNode(id, { author, followers }) {
+  return {
+    id,
+    label: author.uniqueId || author.nickname,
+    type: 'user',
+    verified: author.verified,
+    followers,
+    linkedAccounts: author.linkedAccounts
+  };
+}
+
+// Bipartite: users and the sounds they posted with, weighted by post count
+function extractUserSoundNetwork(posts) {
+  const nodeMap = new Map();
+  const links = [];
+
+  collectSoundUsage(posts).forEach(sound => {
+    nodeMap.set(sound.node.id, sound.node);
+    sound.users.forEach((user, userId) => {
+      const authorId = `u_${userId}`;
+      if (!nodeMap.has(authorId)) nodeMap.set(authorId, soundUserNode(authorId, user));
+      links.push({ source: authorId, target: sound.node.id, weight: user.posts, times: user.times });
+    });
+  });
+
+  return { nodes: Array.from(nodeMap.values()), links };
+}
+
+// Projection onto users: two accounts are linked when they used the same
+// sound, weighted by the number of sounds they share
+function extractSoundCoUseNetwork(posts) {
+  return projectBipartite(extractUserSoundNetwork(posts), { method: 'shared', maxEntityUsers: MAX_SOUND_USERS });
+}
+
+// Network types whose links run from users to entities, so they can be
+// projected onto user–user networks with the sidebar's projection controls
+const BIPARTITE_NETWORK_TYPES = new Set(['userHashtag', 'photoTag', 'location', 'domain', 'userSound']);
+// Networks whose links point from one account to another (who mentions, retweets, ... whom)
+const DIRECTED_NETWORK_TYPES = new Set(['mention', 'retweet', 'quote', 'reply', 'amplification']);
+
+function activeProjection() {
+  const method = projectionMethodSelect.value;
+  if (method === 'none' || !BIPARTITE_NETWORK_TYPES.has(networkTypeSelect.value)) return null;
+  return {
+    method,
+    minWeight: parseFloat(projectionMinWeightInput.value) || 0,
+    timeWindow: parseInt(timeWindowInput.value, 10),
+  };
+}
+
+function updateProjectionControls() {
+  projectionControls.style.display = BIPARTITE_NETWORK_TYPES.has(networkTypeSelect.value) ? 'block' : 'none';
+}
+
 // Instagram-specific: Location network
 function extractLocationNetwork(posts) {
   const nodeMap = new Map();
@@ -1473,7 +2422,7 @@ function extractLocationNetwork(posts) {
     }
     
     nodeMap.get(locationId).count++;
-    links.push({ source: authorId, target: locationId, postId: post.item_id });
+    links.push({ source: authorId, target: locationId, postId: post.item_id, time: post.data?.createTime });
   });
   
   return { nodes: Array.from(nodeMap.values()), links };
@@ -1482,57 +2431,118 @@ function extractLocationNetwork(posts) {
 // =========================
 // Metrics & communities (OPTIMIZED: Cached calculations)
 // =========================
-function calculateNetworkMetrics(graph) {
+
+// Degrees drive node sizing, so they are assigned synchronously before rendering;
+// the remaining metrics run as a background job. In directed networks each node
+// also gets inDegree (links pointing at it) and outDegree (links it starts).
+function assignNodeDegrees(graph, { directed = false } = {}) {
+  const degrees = new Map();
+  const inDegrees = new Map();
+  const outDegrees = new Map();
+  graph.nodes.forEach(node => degrees.set(node.id, 0));
+  graph.links.forEach(link => {
+    degrees.set(link.source, (degrees.get(link.source) || 0) + 1);
+    degrees.set(link.target, (degrees.get(link.target) || 0) + 1);
+    outDegrees.set(link.source, (outDegrees.get(link.source) || 0) + 1);
+    inDegrees.set(link.target, (inDegrees.get(link.target) || 0) + 1);
+  });
+  graph.nodes.forEach(node => {
+    node.degree = degrees.get(node.id) || 0;
+    if (directed) {
+      node.inDegree = inDegrees.get(node.id) || 0;
+      node.outDegree = outDegrees.get(node.id) || 0;
+    }
+  });
+  return degrees;
+}
+
+// Highest-scoring node for `key` as { value, label }
+function topNodeBy(graph, key) {
+  let top = null;
+  graph.nodes.forEach(node => {
+    if (!top || (node[key] || 0) > top.value) top = { value: node[key] || 0, label: node.label || node.id };
+  });
+  return top;
+}
+
+function calculateNetworkMetrics(graph, job, { directed = false } = {}) {
   // Use cache for expensive metrics calculation
-  return networkMetricsCache.get(graph, {}, () => {
+  return networkMetricsCache.getAsync(graph, { directed }, async () => {
     perfMonitor.start('networkMetrics');
 
     const n = graph.nodes.length;
     const m = graph.links.length;
     if (n === 0) return null;
 
-    const maxEdges = (n * (n - 1)) / 2;
-    const density = maxEdges > 0 ? (m / maxEdges).toFixed(3) : 0;
-
-    const degrees = new Map();
-    graph.nodes.forEach(node => degrees.set(node.id, 0));
-    graph.links.forEach(link => {
-      degrees.set(link.source, (degrees.get(link.source) || 0) + 1);
-      degrees.set(link.target, (degrees.get(link.target) || 0) + 1);
-    });
+    const degrees = assignNodeDegrees(graph, { directed });
 
     const avgDegree = (Array.from(degrees.values()).reduce((a,b)=>a+b,0) / n).toFixed(2);
     const maxDegree = degrees.size ? Math.max(...Array.from(degrees.values())) : 0;
 
-    graph.nodes.forEach(node => { node.degree = degrees.get(node.id) || 0; });
+    const structure = await computeGraphMetrics(graph, {
+      directed,
+      checkpoint: (fraction, message) => job?.checkpoint(fraction * 30, message),
+    });
 
-    let totalClustering = 0, validNodes = 0;
-    graph.nodes.forEach(node => {
-      const neighbors = new Set();
-      graph.links.forEach(link => {
-        if (link.source === node.id) neighbors.add(link.target);
-        if (link.target === node.id) neighbors.add(link.source);
-      });
-      const k = neighbors.size;
-      if (k < 2) return;
-      let triangles = 0;
-      const arr = Array.from(neighbors);
-      for (let i=0;i<arr.length;i++){
-        for (let j=i+1;j<arr.length;j++){
-          if (graph.links.some(l => (l.source===arr[i] && l.target===arr[j]) || (l.target===arr[i] && l.source===arr[j]))) triangles++;
-        }
-      }
-      const possible = (k*(k-1))/2;
-      if (possible > 0) { totalClustering += triangles/possible; validNodes++; }
+    const centrality = await computeCentralities(graph, {
+      checkpoint: (fraction, message) => job?.checkpoint(30 + fraction * 70, message),
     });
-    const avgClustering = validNodes > 0 ? (totalClustering / validNodes).toFixed(3) : 0;
+    const topBrokers = graph.nodes
+      .filter(node => centrality.scores.get(node.id).betweenness > 0)
+      .sort((a, b) => centrality.scores.get(b.id).betweenness - centrality.scores.get(a.id).betweenness)
+      .slice(0, 3)
+      .map(node => node.label || node.id);
 
     perfMonitor.end('networkMetrics');
 
-    return { nodes: n, edges: m, density, avgDegree, maxDegree, avgClustering };
+    // Density counts each connected pair once, however many links join it
+    return {
+      nodes: n, edges: m, avgDegree, maxDegree,
+      density: structure.density.toFixed(3),
+      avgClustering: structure.avgClustering.toFixed(3),
+      components: structure.components,
+      largestComponent: structure.largestComponent,
+      largestComponentShare: structure.largestComponentShare,
+      diameter: structure.diameter,
+      assortativity: structure.assortativity,
+      reciprocity: structure.reciprocity,
+      maxInDegree: directed ? topNodeBy(graph, 'inDegree') : null,
+      maxOutDegree: directed ? topNodeBy(graph, 'outDegree') : null,
+      centralities: centrality.scores,
+      centralitySampled: centrality.sampled,
+      centralitySources: centrality.sources,
+      topBrokers,
+    };
   });
 }
 
+// Copy the metrics job's scores onto the analysed nodes (which exports carry)
+// and onto the rendered copies, then resize if nodes are sized by one of them
+function applyCentralities(scores) {
+  if (!scores) return;
+  const assign = node => Object.assign(node, scores.get(node.id));
+  fullGraphData?.nodes.forEach(assign);
+  nodes.forEach(assign);
+
+  if (CENTRALITY_MEASURES[nodeSizeBySelect.value] && nodes.length > 0) {
+    nodeSizeStats = null;
+    refreshCosmosStyling({ updateClusters: false });
+  }
+  // Top accounts are ranked by PageRank once it is known
+  if (communityProfiles) renderCommunityPanel();
+}
+
+function formatCentrality(value) {
+  if (!Number.isFinite(value)) return '…';
+  if (value === 0) return '0';
+  return value >= 0.001 ? value.toFixed(3) : value.toExponential(2);
+}
+
+// Info-panel rows and modal cells for the centralities of a node
+function centralityEntries(node) {
+  return Object.entries(CENTRALITY_MEASURES).map(([key, label]) => ({ label, value: formatCentrality(node[key]) }));
+}
+
 function displayMetrics(metrics) {
   if (!metrics) { metricsPanel.style.display = 'none'; return; }
 
@@ -1545,46 +2555,219 @@ function displayMetrics(metrics) {
     <li><span class="metric-name">Clustering</span><span class="metric-value">${metrics.avgClustering}</span></li>
   `;
 
-  // Add modularity if communities are detected
-  if (communities && communities.modularity !== undefined) {
-    const modularityValue = communities.modularity.toFixed(3);
-    const modularityClass = communities.modularity > 0.3 ? 'good-modularity' : '';
-    html += `<li><span class="metric-name">Modularity</span><span class="metric-value ${modularityClass}">${modularityValue}</span></li>`;
+  if (metrics.components !== undefined) {
+    html += `<li><span class="metric-name">Components</span><span class="metric-value" title="Largest component: ${metrics.largestComponent} nodes">${metrics.components} (largest ${(metrics.largestComponentShare * 100).toFixed(0)}%)</span></li>`;
+    html += `<li><span class="metric-name">Diameter</span><span class="metric-value" title="Longest shortest path in the largest component, estimated with double-sweep breadth-first search (a lower bound)">≈ ${metrics.diameter}</span></li>`;
+    html += `<li><span class="metric-name">Assortativity</span><span class="metric-value" title="Degree correlation across edges: positive when hubs link to hubs, negative when hubs link to peripheral nodes">${metrics.assortativity === null ? 'n/a' : metrics.assortativity.toFixed(3)}</span></li>`;
+  }
+  if (metrics.maxInDegree && metrics.maxOutDegree) {
+    const label = top => String(top.label).replace(/</g, '&lt;');
+    html += `<li><span class="metric-name">Max In-Degree</span><span class="metric-value" title="Most accounts linking to one node: ${label(metrics.maxInDegree)}">${metrics.maxInDegree.value}</span></li>`;
+    html += `<li><span class="metric-name">Max Out-Degree</span><span class="metric-value" title="Most accounts one node links to: ${label(metrics.maxOutDegree)}">${metrics.maxOutDegree.value}</span></li>`;
+  }
+  if (metrics.reciprocity !== null && metrics.reciprocity !== undefined) {
+    html += `<li><span class="metric-name">Reciprocity</span><span class="metric-value" title="Share of directed ties returned in the other direction">${(metrics.reciprocity * 100).toFixed(1)}%</span></li>`;
+  }
+
+  if (metrics.topBrokers?.length) {
+    const brokers = metrics.topBrokers.map(label => String(label).replace(/</g, '&lt;')).join(', ');
+    html += `<li><span class="metric-name">Top Brokers</span><span class="metric-value" title="Highest betweenness centrality">${brokers}</span></li>`;
+  }
+  if (metrics.centralitySampled) {
+    html += `<li><span class="metric-name">Betweenness/Closeness</span><span class="metric-value" title="Estimated from breadth-first searches out of a fixed random sample of nodes">sampled (${metrics.centralitySources} of ${metrics.nodes})</span></li>`;
+  }
+
+  // Add modularity if communities are detected
+  if (communities && communities.modularity !== undefined) {
+    const modularityValue = communities.modularity.toFixed(3);
+    const modularityClass = communities.modularity > 0.3 ? 'good-modularity' : '';
+    html += `<li><span class="metric-name">Modularity${communities.directed ? ' (directed)' : ''}</span><span class="metric-value ${modularityClass}" title="${describeCommunityRun(communities)}">${modularityValue}</span></li>`;
+  }
+
+  if (communities?.stability) {
+    const { runs, meanNMI, minNMI, communityStability } = communities.stability;
+    const robust = [...communityStability.values()].filter(value => value >= ROBUST_COMMUNITY_STABILITY).length;
+    html += `<li><span class="metric-name">Consensus NMI</span><span class="metric-value" title="Normalized mutual information between the partitions of ${runs} runs, averaged over every pair: 1 when every run found the same communities. The communities shown are those of the run closest to all others.">${meanNMI.toFixed(3)} (min ${minNMI.toFixed(3)})</span></li>`;
+    html += `<li><span class="metric-name">Robust Communities</span><span class="metric-value" title="Communities whose members, on average, stay together in at least ${ROBUST_COMMUNITY_STABILITY * 100}% of the other runs (mean Jaccard overlap)">${robust} of ${communityStability.size}</span></li>`;
+  }
+
+  // Every partition computed for this network, so algorithms and resolutions can be compared
+  if (communityRuns.length > 1) {
+    html += `<li><span class="metric-name">Partitions compared</span><span class="metric-value">${communityRuns.length}</span></li>`;
+    communityRuns.forEach(run => {
+      const current = communities && sameCommunityRun(run, communities);
+      html += `<li style="font-size:.75rem;${current ? ' font-weight:600;' : ''}"><span class="metric-name">${describeCommunityRun(run)}</span><span class="metric-value">${run.count} · Q ${run.modularity.toFixed(3)}${run.stability ? ` · NMI ${run.stability.meanNMI.toFixed(2)}` : ''}</span></li>`;
+    });
+  }
+
+  metricsList.innerHTML = html;
+  metricsPanel.style.display = 'block';
+}
+
+function communityResolution() {
+  const value = parseFloat(communityResolutionInput.value);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_RESOLUTION;
+}
+
+// One resolution per consensus run: all the same, or evenly spaced from
+// Resolution to "Sweep to" when that is filled in
+function consensusResolutions(algorithm, resolution) {
+  const runs = Math.max(1, Math.min(MAX_CONSENSUS_RUNS, parseInt(communityRunCountInput.value, 10) || 1));
+  const to = parseFloat(communityResolutionToInput.value);
+  if (runs === 1 || !RESOLUTION_ALGORITHMS.has(algorithm) || !(to > 0)) return new Array(runs).fill(resolution);
+  return Array.from({ length: runs }, (_, i) => Number((resolution + ((to - resolution) * i) / (runs - 1)).toFixed(3)));
+}
+
+// Resolution only applies to the algorithms that optimise modularity
+function updateCommunityControls() {
+  const resolutionApplies = RESOLUTION_ALGORITHMS.has(communityAlgorithmSelect.value);
+  communityResolutionInput.disabled = !resolutionApplies;
+  communityResolutionToInput.disabled = !resolutionApplies || (parseInt(communityRunCountInput.value, 10) || 1) < 2;
+}
+
+// 'Leiden, γ 1.5, directed' for the metrics panel and report; consensus runs
+// add 'consensus of 10' and, when sweeping, the resolution range
+function describeCommunityRun(run) {
+  const algorithm = run.algorithm || 'louvain';
+  const parts = [COMMUNITY_ALGORITHMS[algorithm]];
+  const resolutions = run.stability?.resolutions || [run.resolution ?? DEFAULT_RESOLUTION];
+  if (RESOLUTION_ALGORITHMS.has(algorithm)) {
+    const low = Math.min(...resolutions);
+    const high = Math.max(...resolutions);
+    parts.push(low === high ? `γ ${low}` : `γ ${low}–${high}`);
+  }
+  if (run.directed) parts.push('directed');
+  if (run.stability) parts.push(`consensus of ${run.stability.runs}`);
+  return parts.join(', ');
+}
+
+function sameCommunityRun(a, b) {
+  const resolutions = run => (run.stability?.resolutions || [run.resolution ?? DEFAULT_RESOLUTION]).join(',');
+  return (a.algorithm || 'louvain') === (b.algorithm || 'louvain')
+    && resolutions(a) === resolutions(b)
+    && Boolean(a.directed) === Boolean(b.directed);
+}
+
+// Re-running with the same settings replaces the earlier entry
+function recordCommunityRun(result) {
+  if (!result) return;
+  const run = {
+    algorithm: result.algorithm || 'louvain',
+    resolution: result.resolution ?? DEFAULT_RESOLUTION,
+    directed: Boolean(result.directed),
+    count: result.count,
+    modularity: result.modularity,
+    stability: result.stability
+      ? { runs: result.stability.runs, resolutions: result.stability.resolutions, meanNMI: result.stability.meanNMI }
+      : null,
+  };
+  communityRuns = communityRuns.filter(other => !sameCommunityRun(other, run)).concat(run);
+}
+
+async function detectCommunities(graph, job, { algorithm = 'louvain', directed = false, resolution = DEFAULT_RESOLUTION } = {}) {
+  if (!graph || graph.nodes.length === 0) return null;
+
+  return communityDetectionCache.getAsync(graph, { algorithm, directed, resolution }, async () => {
+    perfMonitor.start('communityDetection');
+    const result = await computeCommunities(graph, job, { algorithm, directed, resolution });
+    perfMonitor.end('communityDetection');
+    return result;
+  });
+}
+
+// One uncached run; the algorithms start from a random node order, so two
+// calls on the same graph can return different partitions
+async function computeCommunities(graph, job, { algorithm, directed, resolution }) {
+  const options = {
+    directed,
+    resolution,
+    checkpoint: (fraction, message) => job?.checkpoint(fraction * 90, message),
+  };
+  let result;
+  if (algorithm === 'louvain') {
+    result = await runLouvainCommunityDetection(graph, job, { directed, resolution });
+  } else {
+    const assignments = algorithm === 'leiden'
+      ? await leidenCommunities(graph, options)
+      : await labelPropagationCommunities(graph, options);
+    // Built only for the internal-edge check on each cluster
+    const { adjacency } = createLouvainState(graph.nodes.map(n => n.id), louvainLinks(graph));
+    result = finalizeCommunityClusters(assignments, adjacency, graph.nodes.length, graph, { directed });
   }
-
-  metricsList.innerHTML = html;
-  metricsPanel.style.display = 'block';
+  Object.assign(result, { algorithm, resolution });
+  return result;
 }
 
-function detectCommunities(graph) {
+// Runs detection once per entry of `resolutions` and keeps the most typical
+// partition (highest mean NMI to the others), annotated with how far the runs
+// agree: per node, per community and overall.
+async function detectCommunityConsensus(graph, job, { algorithm = 'louvain', directed = false, resolutions = [DEFAULT_RESOLUTION] } = {}) {
   if (!graph || graph.nodes.length === 0) return null;
 
-  return communityDetectionCache.get(graph, {}, () => {
-    perfMonitor.start('communityDetection');
+  return communityDetectionCache.getAsync(graph, { algorithm, directed, resolutions }, async () => {
+    perfMonitor.start('communityConsensus');
+
+    const results = [];
+    for (let i = 0; i < resolutions.length; i++) {
+      const run = `Run ${i + 1} of ${resolutions.length}`;
+      // Each run reports its 0-90 progress within its own share of the bar
+      const runJob = {
+        checkpoint: (progress, message) => job?.checkpoint(
+          Number.isFinite(progress) ? ((i + progress / 90) / resolutions.length) * 95 : undefined,
+          message ? `${run}: ${message}` : undefined
+        ),
+      };
+      results.push(await computeCommunities(graph, runJob, { algorithm, directed, resolution: resolutions[i] }));
+    }
 
-    const result = runLouvainCommunityDetection(graph);
+    await job?.checkpoint(95, 'Comparing partitions');
+    const comparison = compareRuns(results);
+    const consensus = results[comparison.reference];
 
-    perfMonitor.end('communityDetection');
+    perfMonitor.end('communityConsensus');
 
-    return result;
+    return {
+      ...consensus,
+      stability: {
+        runs: results.length,
+        resolutions,
+        reference: comparison.reference,
+        modularities: results.map(result => result.modularity),
+        nmi: comparison.nmi,
+        meanNMI: comparison.meanNMI,
+        minNMI: comparison.minNMI,
+        nodeStability: comparison.nodeStability,
+        communityStability: comparison.communityStability,
+      },
+    };
   });
 }
 
-function runLouvainCommunityDetection(graph) {
+function louvainLinks(graph) {
+  return graph.links.map(link => ({
+    source: link.source.id ?? link.source,
+    target: link.target.id ?? link.target,
+    weight: link.weight || 1,
+  }));
+}
+
+// With `directed`, Louvain optimises the directed modularity of Leicht and
+// Newman (2008): a link i -> j is expected in proportion to i's out-strength
+// times j's in-strength, so a community of accounts that all mention one hub
+// scores lower than one whose members mention each other. A resolution above
+// 1 favours more, smaller communities; below 1, fewer and larger ones.
+async function runLouvainCommunityDetection(graph, job, { directed = false, resolution = DEFAULT_RESOLUTION } = {}) {
   const baseState = createLouvainState(
     graph.nodes.map(n => n.id),
-    graph.links.map(link => ({
-      source: link.source.id ?? link.source,
-      target: link.target.id ?? link.target,
-      weight: link.weight || 1,
-    }))
+    louvainLinks(graph),
+    { directed, resolution }
   );
 
   if (baseState.totalWeight === 0) {
     // No edges – collapse everything into a noise cluster
     const assignments = new Map();
     baseState.nodeIds.forEach(id => assignments.set(id, 0));
-    return finalizeLouvainClusters(assignments, baseState.adjacency, baseState.nodeIds.length, graph);
+    return finalizeCommunityClusters(assignments, baseState.adjacency, baseState.nodeIds.length, graph, { directed });
   }
 
   const levelAssignments = [];
@@ -1593,7 +2776,8 @@ function runLouvainCommunityDetection(graph) {
   let safety = 0;
 
   while (keepIterating && safety < 10) {
-    const { assignment, moved } = executeLouvainPhase(currentState);
+    await job?.checkpoint(Math.min(90, safety * 20), `Louvain level ${safety + 1}: ${currentState.nodeIds.length} nodes`);
+    const { assignment, moved } = await executeLouvainPhase(currentState, job);
     levelAssignments.push(assignment);
     keepIterating = moved;
     safety += 1;
@@ -1618,18 +2802,24 @@ function runLouvainCommunityDetection(graph) {
     flattenedAssignments.set(nodeId, community ?? 0);
   });
 
-  return finalizeLouvainClusters(flattenedAssignments, baseState.adjacency, baseState.nodeIds.length, graph);
+  return finalizeCommunityClusters(flattenedAssignments, baseState.adjacency, baseState.nodeIds.length, graph, { directed });
 }
 
-function createLouvainState(nodeIds, links) {
+// Link strength of each node split into out- and in-strength. Undirected links
+// count half in each direction, which turns the directed modularity gain into
+// the usual undirected one, so one phase implementation serves both.
+function createLouvainState(nodeIds, links, { directed = false, resolution = DEFAULT_RESOLUTION } = {}) {
   const adjacency = new Map();
-  const degrees = new Map();
+  const outStrength = new Map();
+  const inStrength = new Map();
   const edges = [];
 
-  nodeIds.forEach(id => {
+  const addNode = id => {
     if (!adjacency.has(id)) adjacency.set(id, new Map());
-    if (!degrees.has(id)) degrees.set(id, 0);
-  });
+    if (!outStrength.has(id)) outStrength.set(id, 0);
+    if (!inStrength.has(id)) inStrength.set(id, 0);
+  };
+  nodeIds.forEach(addNode);
 
   let totalWeight = 0;
 
@@ -1639,22 +2829,28 @@ function createLouvainState(nodeIds, links) {
     const t = target;
     const w = Number.isFinite(weight) ? weight : 1;
 
-    if (!adjacency.has(s)) adjacency.set(s, new Map());
-    if (!adjacency.has(t)) adjacency.set(t, new Map());
-    if (!degrees.has(s)) degrees.set(s, 0);
-    if (!degrees.has(t)) degrees.set(t, 0);
+    addNode(s);
+    addNode(t);
 
     if (s === t) {
       const current = adjacency.get(s).get(t) || 0;
       adjacency.get(s).set(t, current + w);
-      degrees.set(s, (degrees.get(s) || 0) + w * 2);
     } else {
+      // Neighbour weights sum both directions: moving a node gains its links either way
       const mapS = adjacency.get(s);
       const mapT = adjacency.get(t);
       mapS.set(t, (mapS.get(t) || 0) + w);
       mapT.set(s, (mapT.get(s) || 0) + w);
-      degrees.set(s, (degrees.get(s) || 0) + w);
-      degrees.set(t, (degrees.get(t) || 0) + w);
+    }
+
+    if (directed) {
+      outStrength.set(s, outStrength.get(s) + w);
+      inStrength.set(t, inStrength.get(t) + w);
+    } else {
+      [s, t].forEach(id => {
+        outStrength.set(id, outStrength.get(id) + w / 2);
+        inStrength.set(id, inStrength.get(id) + w / 2);
+      });
     }
 
     edges.push({ source: s, target: t, weight: w });
@@ -1664,23 +2860,32 @@ function createLouvainState(nodeIds, links) {
   return {
     nodeIds: [...nodeIds],
     adjacency,
-    degrees,
+    outStrength,
+    inStrength,
+    directed,
+    resolution,
     totalWeight,
     links: edges,
   };
 }
 
-function executeLouvainPhase(state) {
-  const { nodeIds, adjacency, degrees, totalWeight } = state;
+async function executeLouvainPhase(state, job) {
+  const { nodeIds, adjacency, outStrength, inStrength, resolution, totalWeight } = state;
   const nodeCommunities = new Map();
-  const communityDegree = new Map();
+  const communityOut = new Map();
+  const communityIn = new Map();
 
   nodeIds.forEach(id => {
     nodeCommunities.set(id, id);
-    const deg = degrees.get(id) || 0;
-    communityDegree.set(id, deg);
+    communityOut.set(id, outStrength.get(id) || 0);
+    communityIn.set(id, inStrength.get(id) || 0);
   });
 
+  // Links expected between a node and a community in the null model, scaled by the resolution
+  const expectedWeight = (nodeOut, nodeIn, communityId) => resolution * (
+    nodeOut * (communityIn.get(communityId) || 0) + nodeIn * (communityOut.get(communityId) || 0)
+  ) / totalWeight;
+
   let moved = false;
   let improvement = true;
   const order = [...nodeIds];
@@ -1689,8 +2894,10 @@ function executeLouvainPhase(state) {
     improvement = false;
     shuffleArray(order);
 
-    order.forEach(nodeId => {
-      const nodeDegree = degrees.get(nodeId) || 0;
+    for (const nodeId of order) {
+      await job?.checkpoint();
+      const nodeOut = outStrength.get(nodeId) || 0;
+      const nodeIn = inStrength.get(nodeId) || 0;
       const currentCommunity = nodeCommunities.get(nodeId);
 
       const neighborWeights = adjacency.get(nodeId) || new Map();
@@ -1705,30 +2912,29 @@ function executeLouvainPhase(state) {
         );
       });
 
-      const currentCommunityAfterRemoval = (communityDegree.get(currentCommunity) || 0) - nodeDegree;
-      communityDegree.set(currentCommunity, currentCommunityAfterRemoval);
+      communityOut.set(currentCommunity, (communityOut.get(currentCommunity) || 0) - nodeOut);
+      communityIn.set(currentCommunity, (communityIn.get(currentCommunity) || 0) - nodeIn);
 
       let bestCommunity = currentCommunity;
-      let bestGain = neighborCommunities.get(currentCommunity) || 0;
-      bestGain -= (currentCommunityAfterRemoval * nodeDegree) / (2 * totalWeight);
+      let bestGain = (neighborCommunities.get(currentCommunity) || 0) - expectedWeight(nodeOut, nodeIn, currentCommunity);
 
       neighborCommunities.forEach((weightToCommunity, communityId) => {
-        const sumTot = communityDegree.get(communityId) || 0;
-        const gain = weightToCommunity - (sumTot * nodeDegree) / (2 * totalWeight);
+        const gain = weightToCommunity - expectedWeight(nodeOut, nodeIn, communityId);
         if (gain > bestGain + 1e-9) {
           bestGain = gain;
           bestCommunity = communityId;
         }
       });
 
-      communityDegree.set(bestCommunity, (communityDegree.get(bestCommunity) || 0) + nodeDegree);
+      communityOut.set(bestCommunity, (communityOut.get(bestCommunity) || 0) + nodeOut);
+      communityIn.set(bestCommunity, (communityIn.get(bestCommunity) || 0) + nodeIn);
       nodeCommunities.set(nodeId, bestCommunity);
 
       if (bestCommunity !== currentCommunity) {
         moved = true;
         improvement = true;
       }
-    });
+    }
   }
 
   const remappedCommunities = new Map();
@@ -1762,7 +2968,8 @@ function aggregateLouvainGraph(state, assignment) {
     const targetCommunity = assignment.get(target);
     if (sourceCommunity === undefined || targetCommunity === undefined) return;
 
-    const key = sourceCommunity <= targetCommunity
+    // Directed links between communities keep their direction
+    const key = state.directed || sourceCommunity <= targetCommunity
       ? `${sourceCommunity}|${targetCommunity}`
       : `${targetCommunity}|${sourceCommunity}`;
     aggregatedWeights.set(key, (aggregatedWeights.get(key) || 0) + weight);
@@ -1774,10 +2981,10 @@ function aggregateLouvainGraph(state, assignment) {
     newLinks.push({ source: a, target: b, weight });
   });
 
-  return createLouvainState(newNodeIds, newLinks);
+  return createLouvainState(newNodeIds, newLinks, { directed: state.directed, resolution: state.resolution });
 }
 
-function finalizeLouvainClusters(assignments, adjacency, nodeCount, graph) {
+function finalizeCommunityClusters(assignments, adjacency, nodeCount, graph, { directed = false } = {}) {
   const clusterMembers = new Map();
   assignments.forEach((clusterId, nodeId) => {
     if (!clusterMembers.has(clusterId)) clusterMembers.set(clusterId, []);
@@ -1841,7 +3048,7 @@ function finalizeLouvainClusters(assignments, adjacency, nodeCount, graph) {
   // Calculate modularity score
   let modularity = 0;
   if (graph && graph.links && graph.links.length > 0) {
-    modularity = calculateModularity(graph, finalAssignments);
+    modularity = calculateModularity(graph, finalAssignments, { directed });
   }
 
   // Log community sizes
@@ -1863,6 +3070,7 @@ function finalizeLouvainClusters(assignments, adjacency, nodeCount, graph) {
     noiseClusterId,
     minClusterSize: minSize,
     modularity: modularity,
+    directed,
   };
 }
 
@@ -1900,34 +3108,21 @@ function shuffleArray(array) {
   return array;
 }
 
-// Calculate modularity score for community structure quality
-function calculateModularity(graph, communityAssignments) {
+// Calculate modularity score for community structure quality:
+// Q = sum over communities c of [ W_c / m - (Out_c * In_c) / m^2 ]
+// where W_c is the link weight inside c and Out_c / In_c the summed out- and
+// in-strength of its members. For undirected graphs every link counts half in
+// each direction, which gives the familiar sum of [ W_c / m - (D_c / 2m)^2 ].
+function calculateModularity(graph, communityAssignments, { directed = false } = {}) {
   if (!graph || !communityAssignments || graph.links.length === 0) {
     return 0;
   }
 
-  // Calculate total edge weight (m)
   let totalWeight = 0;
-  const degrees = new Map();
-
-  // Initialize degrees
-  graph.nodes.forEach(node => degrees.set(node.id, 0));
-
-  // Calculate degrees and total weight
-  graph.links.forEach(link => {
-    const sourceId = link.source.id ?? link.source;
-    const targetId = link.target.id ?? link.target;
-    const weight = link.weight || 1;
-
-    degrees.set(sourceId, (degrees.get(sourceId) || 0) + weight);
-    degrees.set(targetId, (degrees.get(targetId) || 0) + weight);
-    totalWeight += weight;
-  });
-
-  if (totalWeight === 0) return 0;
-
-  // Calculate modularity: Q = (1/2m) * sum_ij [A_ij - (k_i * k_j)/2m] * delta(c_i, c_j)
-  let modularity = 0;
+  const internalWeight = new Map();
+  const outStrength = new Map();
+  const inStrength = new Map();
+  const add = (map, key, value) => map.set(key, (map.get(key) || 0) + value);
 
   graph.links.forEach(link => {
     const sourceId = link.source.id ?? link.source;
@@ -1936,18 +3131,31 @@ function calculateModularity(graph, communityAssignments) {
 
     const sourceCommunity = communityAssignments.get(sourceId);
     const targetCommunity = communityAssignments.get(targetId);
+    totalWeight += weight;
+
+    if (directed) {
+      add(outStrength, sourceCommunity, weight);
+      add(inStrength, targetCommunity, weight);
+    } else {
+      [sourceCommunity, targetCommunity].forEach(community => {
+        add(outStrength, community, weight / 2);
+        add(inStrength, community, weight / 2);
+      });
+    }
 
-    // Only count edges within same community
     if (sourceCommunity !== undefined && sourceCommunity === targetCommunity) {
-      const ki = degrees.get(sourceId) || 0;
-      const kj = degrees.get(targetId) || 0;
-      const expectedEdges = (ki * kj) / (2 * totalWeight);
-      modularity += weight - expectedEdges;
+      add(internalWeight, sourceCommunity, weight);
     }
   });
 
-  // Normalize by 2m
-  modularity = modularity / (2 * totalWeight);
+  if (totalWeight === 0) return 0;
+
+  let modularity = 0;
+  outStrength.forEach((out, community) => {
+    if (community === undefined) return;
+    modularity += (internalWeight.get(community) || 0) / totalWeight
+      - (out * (inStrength.get(community) || 0)) / (totalWeight * totalWeight);
+  });
 
   return modularity;
 }
@@ -1959,27 +3167,41 @@ function updateNetwork() {
   loading.classList.add('active');
   loadingText.textContent = 'Building network...';
 
-  // Clear caches when filters change (data has changed)
-  networkMetricsCache.clear();
-  communityDetectionCache.clear();
-  embeddingsCache.clear(); // Also clear embeddings cache
+  // Coalesce rapid filter changes (e.g. dragging the engagement slider) into one rebuild
+  clearTimeout(pendingNetworkUpdate);
+  pendingNetworkUpdate = setTimeout(() => {
+      pendingNetworkUpdate = null;
+      perfMonitor.start('updateNetwork');
 
-  perfMonitor.start('updateNetwork');
+      // Results computed for the previous network are meaningless now
+      jobManager.cancelAll('Discarded: network was rebuilt');
 
-    setTimeout(() => {
-      const minEngagement = parseInt(engagementFilter.value, 10);
-      const startDateValue = dateStart.value ? new Date(dateStart.value).getTime() / 1000 : undefined;
-      const endDateValue = dateEnd.value ? (new Date(dateEnd.value).getTime() / 1000) + 86399 : undefined;
+      // Clear caches when filters change (data has changed)
+      networkMetricsCache.clear();
+      communityDetectionCache.clear();
 
-      const filtered = filterData(rawData, {
+      const minEngagement = parseInt(engagementFilter.value, 10);
+      // Whole days in the analysis timezone; the end date is inclusive
+      const startDateValue = zonedMidnight(dateStart.value, timeZoneSelect.value);
+      const nextDay = zonedMidnight(dateEnd.value, timeZoneSelect.value, 1);
+      const endDateValue = nextDay === undefined ? undefined : nextDay - 1;
+
+      // Accepted cross-platform identity links are applied before any network is built
+      const rejections = { engagement: 0, dateRange: 0, noTimestamp: 0 };
+      const filtered = applyActorMap(filterData(rawData, {
         minEngagement,
         startDate: startDateValue,
         endDate: endDateValue,
         onDebug(post, details) {
           console.log(`Filter Debug - Post ${post.item_id}:`, details);
         },
-      });
+        onReject(post, { passesEngagement, passesDateFilter, hasTimestamp }) {
+          if (!passesEngagement) rejections.engagement++;
+          if (!passesDateFilter) rejections[hasTimestamp ? 'dateRange' : 'noTimestamp']++;
+        },
+      }), actorMap);
       filteredData = filtered;
+      renderFilterNote(rejections);
       console.log(`Filtered: ${filteredData.length} posts out of ${rawData.length} (${rawData.length - filteredData.length} filtered out). MinEngagement: ${minEngagement}, DateRange: ${dateStart.value || 'none'} - ${dateEnd.value || 'none'}`);
       const networkType = networkTypeSelect.value;
 
@@ -1991,11 +3213,29 @@ function updateNetwork() {
       case 'hashtag':     network = extractHashtagNetwork(filtered);     break;
       case 'photoTag':    network = extractPhotoTagNetwork(filtered);    break;
       case 'location':    network = extractLocationNetwork(filtered);    break;
+      case 'retweet':
+      case 'quote':
+      case 'reply':       network = extractTwitterInteractionNetwork(filtered, [networkType]); break;
+      case 'amplification':
+        network = extractTwitterInteractionNetwork(filtered, Object.keys(TWITTER_INTERACTIONS));
+        break;
+      case 'coAmplification': network = extractCoAmplificationNetwork(filtered); break;
+      case 'domain':      network = extractDomainNetwork(filtered);      break;
+      case 'userSound':   network = extractUserSoundNetwork(filtered);   break;
+      case 'soundCoUse':  network = extractSoundCoUseNetwork(filtered);  break;
       default:            network = { nodes: [], links: [] };
     }
 
+      const projection = activeProjection();
+      if (projection) {
+        network = projectBipartite(network, projection);
+        console.log(`Projected ${networkType} onto users (${PROJECTION_METHODS[projection.method]}): ${network.nodes.length} nodes, ${network.links.length} links`);
+      }
+
       // Store full network for analysis
       const fullNetwork = network;
+      fullGraphData = fullNetwork;
+      assignNodeDegrees(fullNetwork, { directed: DIRECTED_NETWORK_TYPES.has(networkType) });
 
       // OPTIMIZATION: Use progressive visualization for large networks
       // Analysis uses ALL nodes, but rendering limits to top nodes by degree
@@ -2017,16 +3257,19 @@ function updateNetwork() {
       }
 
       communities = null;
+      communityRuns = [];
+      renderCommunityPanel();
       cibDetection = null;
 
-      // Calculate metrics on FULL network (not limited visualization)
-      networkMetrics = calculateNetworkMetrics(fullNetwork);
-      displayMetrics(networkMetrics);
+      // Calculate metrics on FULL network (not limited visualization) in the background
+      networkMetrics = null;
+      displayMetrics(null);
+      runMetricsJob();
 
       // Show full network stats, not just visualized nodes
       if (statElements.nodes) statElements.nodes.textContent = fullNetwork.nodes.length + (isLimitedVisualization ? ` (showing ${graphData.nodes.length})` : '');
       if (statElements.edges) statElements.edges.textContent = fullNetwork.links.length;
-      if (statElements.density) statElements.density.textContent = networkMetrics ? networkMetrics.density : '0';
+      if (statElements.density) statElements.density.textContent = '…';
       if (statElements.communities) statElements.communities.textContent = '0';
       if (statElements.suspicious) statElements.suspicious.textContent = '0';
 
@@ -2035,14 +3278,27 @@ function updateNetwork() {
     // Check if network is empty
     if (fullNetwork.nodes.length === 0 || fullNetwork.links.length === 0) {
       loading.classList.remove('active');
-      loadingText.textContent = `No ${networkType === 'mention' ? 'mentions' :
+      loadingText.textContent = projection
+        ? `No user–user links left after projecting (${PROJECTION_METHODS[projection.method]}, min weight ${projection.minWeight}). Lower the minimum edge weight or choose another method.`
+        : `No ${networkType === 'mention' ? 'mentions' :
                                   networkType === 'coHashtag' ? 'co-hashtags' :
                                   networkType === 'hashtag' ? 'hashtags' :
                                   networkType === 'userHashtag' ? 'user-hashtag connections' :
                                   networkType === 'photoTag' ? 'photo tags' :
+                                  networkType in TWITTER_INTERACTIONS ? `X ${TWITTER_INTERACTIONS[networkType].label}` :
+                                  networkType === 'amplification' ? 'X retweets, quotes or replies' :
+                                  networkType === 'coAmplification' ? 'co-amplified posts or links within the time window' :
+                                  networkType === 'domain' ? 'shared links' :
+                                  networkType === 'userSound' ? 'TikTok sounds' :
+                                  networkType === 'soundCoUse' ? 'sounds shared between TikTok accounts' :
                                   'location connections'} found in this dataset. Try a different network type.`;
       setTimeout(() => { loadingText.textContent = ''; }, 5000);
       perfMonitor.end('updateNetwork');
+      pendingSessionResults = null;
+      stopSlicePlayback();
+      timeSlices = null;
+      renderTimeline();
+      scheduleSessionSave();
       return;
     }
 
@@ -2054,11 +3310,445 @@ function updateNetwork() {
     perfMonitor.logMemory();
 
     initializeVisualization();
+    rebuildTimeSlices();
+    renderTimeline();
+    applyPendingSessionResults();
+    scheduleSessionSave();
     loading.classList.remove('active');
     updateCoach();
   }, 100);
 }
 
+// =========================
+// Time slices (temporal co-hashtag playback)
+// =========================
+const SLICE_FADED_ALPHA = 0.08;
+const SLICE_PLAY_INTERVAL = 800; // ms per slice
+const SLICEABLE_NETWORK_TYPES = new Set(['coHashtag']);
+
+// Which hashtags and hashtag pairs one post activates, keyed like extractCoHashtagNetwork
+function coHashtagActivity(post) {
+  const ids = (post.data?.challenges || []).map(tag => tag.id);
+  const links = [];
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) links.push([ids[i], ids[j]]);
+  }
+  return { nodes: ids, links };
+}
+
+function currentSlice() {
+  return timeSlices ? timeSlices[activeSliceIndex] : null;
+}
+
+function updateSliceControls() {
+  sliceControls.style.display = SLICEABLE_NETWORK_TYPES.has(networkTypeSelect.value) ? 'block' : 'none';
+}
+
+function formatSliceLabel(slice) {
+  const size = SLICE_SIZES[sliceSizeSelect.value];
+  const timeZone = timeZoneSelect.value;
+  const when = size === SLICE_SIZES.hour
+    ? `${formatZoned(slice.start, timeZone)} ${timeZoneLabel(timeZone)}`
+    : `${size === SLICE_SIZES.week ? 'Week of ' : ''}${formatZoned(slice.start, timeZone, { withTime: false })}`;
+  return `${when} · ${slice.postCount} post${slice.postCount === 1 ? '' : 's'}, ` +
+    `${slice.nodes.size} hashtags, ${slice.links.size} links (${slice.newLinks.size} new)`;
+}
+
+function stopSlicePlayback() {
+  clearInterval(slicePlayTimer);
+  slicePlayTimer = null;
+  slicePlayBtn.textContent = '▶';
+}
+
+// Recompute slices for the network just built, keeping the slice size setting
+function rebuildTimeSlices() {
+  stopSlicePlayback();
+  timeSlices = null;
+  activeSliceIndex = 0;
+
+  const size = SLICE_SIZES[sliceSizeSelect.value];
+  if (size && SLICEABLE_NETWORK_TYPES.has(networkTypeSelect.value) && nodes.length) {
+    const slices = buildTimeSlices(filteredData, size, coHashtagActivity, timeZoneSelect.value);
+    if (slices === null) {
+      sliceLabel.textContent = `More than ${MAX_SLICES} slices — choose a larger slice size or narrow the time range.`;
+    } else if (slices.length === 0) {
+      sliceLabel.textContent = 'No timestamped posts to slice.';
+    } else {
+      timeSlices = slices;
+    }
+  }
+
+  slicePlayer.style.display = size && SLICEABLE_NETWORK_TYPES.has(networkTypeSelect.value) ? 'block' : 'none';
+  [sliceRange, slicePrevBtn, slicePlayBtn, sliceNextBtn].forEach(el => { el.disabled = !timeSlices; });
+  if (timeSlices) {
+    sliceRange.max = String(timeSlices.length - 1);
+    showSlice(0);
+  } else {
+    sliceRange.max = '0';
+    sliceRange.value = '0';
+    applySliceLinkStyling();
+    refreshCosmosStyling({ updateClusters: false });
+  }
+}
+
+function showSlice(index) {
+  if (!timeSlices) return;
+  activeSliceIndex = Math.max(0, Math.min(index, timeSlices.length - 1));
+  sliceRange.value = String(activeSliceIndex);
+  sliceLabel.textContent = `${activeSliceIndex + 1}/${timeSlices.length}: ${formatSliceLabel(currentSlice())}`;
+  applySliceLinkStyling();
+  refreshCosmosStyling({ updateClusters: false });
+}
+
+function defaultLinkColor(weight) {
+  return hexToFloatColor('#d1d5db', Math.min(0.15 + weight * 0.08, 0.55));
+}
+
+function defaultLinkWidth(weight) {
+  return Math.max(0.4, Math.min(weight * 0.6, 2.5));
+}
+
+// Links outside the active slice are hidden, links first seen in it are orange.
+// Without a slice, restores the normal weight-based styling.
+function applySliceLinkStyling() {
+  if (!cosmosGraph || !graphData) return;
+  const slice = currentSlice();
+  const colors = [];
+  const widths = [];
+
+  // Same link order as buildCosmosGeometry
+  graphData.links.forEach(link => {
+    if (!cosmosNodeIndex.has(link.source) || !cosmosNodeIndex.has(link.target)) return;
+    const key = linkKey(link.source, link.target);
+    const weight = slice ? slice.links.get(key) || 0 : link.weight || 1;
+
+    if (slice && weight === 0) {
+      colors.push(0, 0, 0, 0);
+      widths.push(0);
+    } else if (slice?.newLinks.has(key)) {
+      colors.push(...hexToFloatColor('#f97316', 0.8));
+      widths.push(defaultLinkWidth(weight) + 0.4);
+    } else {
+      colors.push(...defaultLinkColor(weight));
+      widths.push(defaultLinkWidth(weight));
+    }
+  });
+
+  cosmosGraph.setLinkColors(new Float32Array(colors));
+  cosmosGraph.setLinkWidths(new Float32Array(widths));
+}
+
+// =========================
+// Timeline brushing
+// =========================
+const PLATFORM_COLORS = {
+  tiktok: '#111827', instagram: '#db2777', twitter: '#0ea5e9', threads: '#6b7280',
+  youtube: '#dc2626', linkedin: '#0a66c2', csv: '#a16207', unknown: '#d1d5db',
+};
+
+// Ids of the nodes a post contributes to, following each extractor's id scheme.
+// Ids missing from the rendered graph are ignored by the callers.
+function postNodeIds(post, networkType) {
+  const data = post.data || {};
+  const authorId = data.author?.id;
+  const tags = data.challenges || [];
+
+  switch (networkType) {
+    case 'mention':
+      return [authorId, ...(data.textExtra || [])
+        .filter(m => m.type === 0)
+        .map(m => m.userId || `user_${m.userUniqueId}`)];
+    case 'coHashtag':
+    case 'hashtag':
+      return tags.map(tag => tag.id);
+    case 'userHashtag':
+      return [`u_${authorId}`, ...tags.map(tag => `h_${tag.id}`)];
+    case 'photoTag':
+      return [`u_${authorId}`, ...(data._instagram?.usertags?.in || []).map(tag => `u_${tag.user?.id}`)];
+    case 'location':
+      return [`u_${authorId}`, `loc_${data._instagram?.location?.pk}`];
+    case 'domain':
+      return [`u_${authorId}`, ...extractPostLinks(post).map(link => `d_${link.domain}`)];
+    case 'userSound':
+    case 'soundCoUse':
+      return [`u_${authorId}`, `s_${data.music?.id}`];
+    case 'retweet':
+    case 'quote':
+    case 'reply':
+    case 'amplification':
+      return [authorId, ...Object.values(TWITTER_INTERACTIONS).map(({ field }) => data._twitter?.[field]?.author?.id)];
+    default:
+      return [authorId];
+  }
+}
+
+function postCommunity(post, networkType) {
+  for (const id of postNodeIds(post, networkType)) {
+    const cid = communities?.communities?.get(id);
+    if (cid !== undefined) return cid;
+  }
+  return null;
+}
+
+function timelineGrouping() {
+  if (timelineStackSelect.value === 'community' && communities?.communities) {
+    const networkType = networkTypeSelect.value;
+    const noiseId = communities.noiseClusterId;
+    return {
+      groupOf: post => postCommunity(post, networkType) ?? 'none',
+      colorOf: cid => (cid === 'none' || cid === noiseId || cid === 0
+        ? NODE_TYPE_COLORS.noise
+        : communityColors[(cid - 1) % communityColors.length]),
+      labelOf: cid => (cid === 'none' ? 'Not in graph' : cid === noiseId || cid === 0 ? 'Noise' : `Community ${cid}`),
+    };
+  }
+  return {
+    groupOf: post => post.platform || 'unknown',
+    colorOf: platform => PLATFORM_COLORS[platform] || PLATFORM_COLORS.unknown,
+    labelOf: platform => `${PLATFORM_ICONS[platform] || '❓'} ${platform}`,
+  };
+}
+
+// Histogram of the filtered posts. `keepSelection` only restacks the bars,
+// keeping the brush and the highlighted node.
+function renderTimeline({ keepSelection = false } = {}) {
+  const grouping = timelineGrouping();
+  const histogram = filteredData.length ? binPosts(filteredData, grouping.groupOf, timeZoneSelect.value) : null;
+  if (!histogram) {
+    timelinePanel.style.display = 'none';
+    timelineBrush = null;
+    return;
+  }
+  timelinePanel.style.display = 'block';
+
+  if (!timelineChart) timelineChart = new TimelineChart(timelineCanvas, { onBrush: handleTimelineBrush });
+  if (keepSelection) {
+    timelineChart.setGrouping(histogram, grouping.colorOf);
+  } else {
+    timelineBrush = null;
+    timelineChart.setData(histogram, grouping.colorOf);
+    updateTimelineStatus();
+  }
+
+  const shown = histogram.groups.slice(0, 12);
+  timelineLegend.innerHTML = shown
+    .map(group => `<span style="--swatch:${grouping.colorOf(group)}">${String(grouping.labelOf(group)).replace(/</g, '&lt;')}</span>`)
+    .join('') + (histogram.groups.length > shown.length ? `<span style="--swatch:transparent">+${histogram.groups.length - shown.length} more</span>` : '');
+}
+
+function formatBrushDate(seconds) {
+  return formatZoned(seconds, timeZoneSelect.value);
+}
+
+function updateTimelineStatus(postCount, nodeCount) {
+  const brushed = Boolean(timelineBrush);
+  timelineApplyBtn.style.display = brushed ? '' : 'none';
+  timelineClearBtn.style.display = brushed ? '' : 'none';
+  timelineStatus.textContent = brushed
+    ? `${formatBrushDate(timelineBrush.start)} – ${formatBrushDate(timelineBrush.end)} ${timeZoneLabel(timeZoneSelect.value)} · ${postCount} posts · ${nodeCount} nodes`
+    : 'Drag across the chart to highlight a time range in the graph';
+}
+
+function handleTimelineBrush(range) {
+  timelineBrush = range;
+  applyTimelineBrush();
+}
+
+// Grey out every node without a post in the brushed range
+function applyTimelineBrush() {
+  if (!timelineBrush) {
+    cosmosGraph?.unselectPoints();
+    updateTimelineStatus();
+    return;
+  }
+
+  const networkType = networkTypeSelect.value;
+  const indices = new Set();
+  let postCount = 0;
+  filteredData.forEach(post => {
+    const time = post.data?.createTime;
+    if (!time || time < timelineBrush.start || time >= timelineBrush.end) return;
+    postCount++;
+    postNodeIds(post, networkType).forEach(id => {
+      const index = cosmosNodeIndex.get(id);
+      if (index !== undefined) indices.add(index);
+    });
+  });
+
+  cosmosGraph?.selectPointsByIndices([...indices]);
+  updateTimelineStatus(postCount, indices.size);
+}
+
+// Draw the node's posts on top of the bars; null clears
+function highlightNodeOnTimeline(node) {
+  if (!timelineChart) return;
+  const times = node ? gatherPostsForNode(node).map(post => post.data?.createTime).filter(Boolean) : null;
+  timelineChart.setHighlight(times);
+}
+
+// =========================
+// Activity heatmaps
+// =========================
+// Post sets the node modal can draw a heatmap for: the node itself, the
+// community it belongs to, and every account flagged by CIB detection
+function heatmapScopes(node) {
+  const networkType = networkTypeSelect.value;
+  const scopes = [{
+    value: 'node',
+    label: node.type === 'user' ? 'This account' : `This ${node.type}`,
+    posts: () => gatherPostsForNode(node),
+  }];
+
+  const cid = communities?.communities?.get(node.id);
+  if (cid !== undefined && cid !== communities.noiseClusterId && cid !== 0) {
+    scopes.push({
+      value: 'community',
+      label: `Community ${cid}`,
+      posts: () => filteredData.filter(post => postCommunity(post, networkType) === cid),
+    });
+  }
+
+  const flagged = cibDetection?.suspiciousUsers;
+  if (flagged?.size) {
+    scopes.push({
+      value: 'flagged',
+      label: `All flagged accounts (${flagged.size})`,
+      posts: () => filteredData.filter(post => flagged.has(post.data?.author?.id)),
+    });
+  }
+  return scopes;
+}
+
+// Starts in the analysis timezone; an account's own inferred zone is offered
+// first when its posting has a clear daily trough
+function heatmapSectionHTML(scopes, node) {
+  const selected = timeZoneSelect.value;
+  const inferred = node.type === 'user'
+    ? inferTimeZone(gatherPostsForNode(node).map(post => post.data?.createTime))
+    : null;
+  const zoneOptions = (inferred ? `<option value="${inferred.timeZone}">${timeZoneLabel(inferred.timeZone)} (inferred)</option>` : '') +
+    timeZoneOptions()
+      .map(zone => `<option value="${zone}"${zone === selected ? ' selected' : ''}>${zone}</option>`)
+      .join('');
+  const scopeOptions = scopes.map(scope => `<option value="${scope.value}">${scope.label}</option>`).join('');
+  return `
+    <div style="display:flex; align-items:center; gap:.5rem; margin:.9rem 0 .35rem; flex-wrap:wrap;">
+      <div style="font-weight:700; flex:1;">Activity by hour &amp; weekday</div>
+      <select id="heatmap-scope" class="small" style="padding:.2rem .3rem; border:1px solid #e5e7eb; border-radius:6px;">${scopeOptions}</select>
+      <select id="heatmap-timezone" class="small" style="padding:.2rem .3rem; border:1px solid #e5e7eb; border-radius:6px; max-width:180px;">${zoneOptions}</select>
+    </div>
+    <div id="heatmap-container"></div>
+  `;
+}
+
+// Fill in and wire the section rendered by heatmapSectionHTML()
+function wireHeatmapSection(container, scopes) {
+  const scopeSelect = container.querySelector('#heatmap-scope');
+  const zoneSelect = container.querySelector('#heatmap-timezone');
+  const target = container.querySelector('#heatmap-container');
+  if (!scopeSelect || !zoneSelect || !target) return;
+
+  const render = () => {
+    const scope = scopes.find(s => s.value === scopeSelect.value) || scopes[0];
+    const times = scope.posts().map(post => post.data?.createTime).filter(Boolean);
+    target.innerHTML = renderActivityHeatmap(activityMatrix(times, zoneSelect.value), zoneSelect.value);
+  };
+
+  scopeSelect.addEventListener('change', render);
+  zoneSelect.addEventListener('change', render);
+  render();
+}
+
+// =========================
+// Community profiles
+// =========================
+// Members, posts and per-bin activity of every community except noise. The
+// activity bins are shared, so the sparklines of different communities line up.
+function communityGroups() {
+  const networkType = networkTypeSelect.value;
+  const noiseId = communities.noiseClusterId;
+  const groups = new Map();
+
+  nodes.forEach(node => {
+    const cid = communities.communities.get(node.id);
+    if (cid === undefined || cid === noiseId || cid === 0) return;
+    if (!groups.has(cid)) {
+      const stability = communities.stability?.communityStability.get(cid) ?? null;
+      groups.set(cid, { members: [], posts: [], activity: [], stability });
+    }
+    groups.get(cid).members.push(node);
+  });
+
+  const postGroups = new Map();
+  filteredData.forEach(post => {
+    const cid = postCommunity(post, networkType);
+    if (!groups.has(cid)) return;
+    groups.get(cid).posts.push(post);
+    postGroups.set(post, cid);
+  });
+
+  const timeline = binPosts([...postGroups.keys()], post => postGroups.get(post), timeZoneSelect.value);
+  if (timeline) {
+    groups.forEach((group, cid) => {
+      group.activity = timeline.bins.map(bin => bin.groups.get(cid) || 0);
+    });
+  }
+  return { groups, timeline };
+}
+
+// Rebuilds the profiles; called when communities, CIB flags or centralities change
+function renderCommunityPanel() {
+  if (!communities?.communities || nodes.length === 0) {
+    communityProfiles = null;
+    communityPanel.style.display = 'none';
+    return;
+  }
+
+  const { groups, timeline } = communityGroups();
+  if (groups.size === 0) {
+    communityProfiles = null;
+    communityPanel.style.display = 'none';
+    return;
+  }
+  communityProfiles = { profiles: buildCommunityProfiles(groups), timeline };
+
+  const previous = communityProfileSelect.value;
+  const ids = [...communityProfiles.profiles.keys()].sort((a, b) => a - b);
+  communityProfileSelect.innerHTML = ids.map(cid => {
+    const profile = communityProfiles.profiles.get(cid);
+    const stable = profile.stability === null ? '' : ` · ${(profile.stability * 100).toFixed(0)}% stable`;
+    return `<option value="${cid}">Community ${cid} · ${profile.size} nodes${stable}${profile.flagged ? ` · ${profile.flagged} flagged` : ''}</option>`;
+  }).join('');
+  if (ids.some(cid => String(cid) === previous)) communityProfileSelect.value = previous;
+
+  communityPanel.style.display = 'block';
+  showCommunityProfile();
+}
+
+function showCommunityProfile() {
+  const cid = Number(communityProfileSelect.value);
+  const profile = communityProfiles?.profiles.get(cid);
+  if (!profile) {
+    communityProfileBody.innerHTML = '';
+    return;
+  }
+  communityProfileBody.innerHTML = renderCommunityProfile(profile, {
+    timeline: communityProfiles.timeline,
+    color: communityColors[(cid - 1) % communityColors.length],
+  });
+}
+
+communityProfileSelect.addEventListener('change', showCommunityProfile);
+communityProfileBody.addEventListener('click', (e) => {
+  const link = e.target.closest('.community-account');
+  if (!link) return;
+  e.preventDefault();
+  const node = nodes.find(n => String(n.id) === link.dataset.nodeId);
+  if (!node) return;
+  showNodeInfo(node);
+  openNodeModal(node);
+});
+
 // =========================
 // GPU Renderer (WebGL)
 // =========================
@@ -2826,6 +4516,8 @@ function initializeVisualization() {
 
   const geometry = buildCosmosGeometry();
   const graph = ensureCosmosGraph();
+  // Arrowheads show who mentioned, retweeted or replied to whom
+  graph.setConfig({ linkArrows: DIRECTED_NETWORK_TYPES.has(networkTypeSelect.value), linkArrowsSizeScale: 1.5 });
 
   graph.setPointPositions(geometry.pointPositions);
   graph.setPointSizes(geometry.pointSizes);
@@ -2872,10 +4564,8 @@ function buildCosmosGeometry() {
     linkPairs.push(sourceIndex, targetIndex);
 
     const weight = link.weight || 1;
-    const alpha = Math.min(0.15 + weight * 0.08, 0.55);
-    const [r, g, b, a] = hexToFloatColor('#d1d5db', alpha);
-    linkColorValues.push(r, g, b, a);
-    linkWidths.push(Math.max(0.4, Math.min(weight * 0.6, 2.5)));
+    linkColorValues.push(...defaultLinkColor(weight));
+    linkWidths.push(defaultLinkWidth(weight));
   });
 
   return {
@@ -2896,8 +4586,12 @@ function refreshCosmosStyling({ updateClusters = true } = {}) {
   const sizes = new Float32Array(nodes.length);
   const clusters = updateClusters ? new Float32Array(nodes.length) : null;
 
+  // During time-slice playback, nodes inactive in the slice fade out
+  const slice = currentSlice();
+
   nodes.forEach((node, index) => {
-    const [r, g, b, a] = hexToFloatColor(getNodeColor(node));
+    const alpha = slice && !slice.nodes.has(node.id) ? SLICE_FADED_ALPHA : 1;
+    const [r, g, b, a] = hexToFloatColor(getNodeColor(node), alpha);
     colors.set([r, g, b, a], index * 4);
     sizes[index] = Math.max(4, nodeSize(node));
     if (clusters) {
@@ -3028,6 +4722,7 @@ function handleCosmosPointClick(index) {
   const node = nodes[index];
   if (!node) return;
   showNodeInfo(node);
+  highlightNodeOnTimeline(node);
   openNodeModal(node);
 }
 
@@ -3037,6 +4732,7 @@ function handleCosmosBackgroundClick() {
   graphContainer.classList.remove('hovering');
   hideTooltip();
   clearHighlight();
+  highlightNodeOnTimeline(null);
 }
 
 function showTooltip(node, event) {
@@ -3047,6 +4743,8 @@ function showTooltip(node, event) {
   if (node.type === 'user') prefix = '@';
   else if (node.type === 'hashtag') prefix = '#';
   else if (node.type === 'location') prefix = '📍';
+  else if (node.type === 'domain') prefix = '🌐';
+  else if (node.type === 'sound') prefix = '🎵';
 
   const meta = node.type === 'user'
     ? `${node.verified ? 'Verified · ' : ''}${(node.followers || 0).toLocaleString()} followers`
@@ -3110,7 +4808,12 @@ function highlightNeighbors(node) {
   cosmosGraph.selectPointByIndex(index, true);
 }
 
+// Back to the timeline brush selection if there is one, otherwise no selection
 function clearHighlight() {
+  if (timelineBrush) {
+    applyTimelineBrush();
+    return;
+  }
   cosmosGraph?.unselectPoints();
 }
 
@@ -3187,11 +4890,16 @@ function postMatchesNode(post, node) {
     return false;
   }
 
+  if (type === 'domain') {
+    return extractPostLinks(post).some(link => link.domain === nodeLabel);
+  }
+
   if (type === 'sound' || type === 'music') {
     const music = post?.data?.music || {};
     const musicId = music?.id != null ? String(music.id).toLowerCase() : null;
     const musicTitle = music?.title ? String(music.title).toLowerCase() : null;
-    if (musicId && musicId === nodeId) return true;
+    // Titles like "original sound" are shared by unrelated sounds, so an id decides
+    if (musicId) return musicId === nodeId.replace(/^s_/, '');
     if (nodeLabel && musicTitle && nodeLabel === musicTitle) return true;
     return false;
   }
@@ -3223,6 +4931,18 @@ function getAllPostsForNode(node) {
   return [...matches].sort((a, b) => postEngagement(b) - postEngagement(a));
 }
 
+// Post links partly come straight from imported files (CSV url columns,
+// TikTok share URLs); only plain web links are ever put in an href
+function safeWebUrl(value) {
+  if (!value) return null;
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
 // Helper function to render a single post HTML
 function renderPostHTML(p) {
   const a = p?.data?.author || {};
@@ -3252,22 +4972,43 @@ function renderPostHTML(p) {
     const tweetId = p?.data?.id || p?.id;
     postUrl = (username && tweetId) ? `https://x.com/${username}/status/${tweetId}` : null;
     platformIcon = '🐦';
+  } else if (platform === 'threads') {
+    profileUrl = a?.uniqueId ? `https://www.threads.net/@${a.uniqueId}` : null;
+    const postCode = p?.data?._threads?.code;
+    postUrl = (a?.uniqueId && postCode) ? `https://www.threads.net/@${a.uniqueId}/post/${postCode}` : null;
+    platformIcon = '🧵';
+  } else if (platform === 'youtube') {
+    profileUrl = a?.id && String(a.id).startsWith('UC') ? `https://www.youtube.com/channel/${a.id}` : null;
+    const videoId = p?.data?.id;
+    postUrl = videoId ? `https://www.youtube.com/watch?v=${videoId}` : null;
+    platformIcon = '▶️';
+  } else if (platform === 'linkedin') {
+    const isCompany = p?.data?._linkedin?.isCompany;
+    profileUrl = a?.uniqueId ? `https://www.linkedin.com/${isCompany ? 'company' : 'in'}/${a.uniqueId}` : null;
+    const urn = p?.data?._linkedin?.urn;
+    postUrl = urn ? `https://www.linkedin.com/feed/update/${urn}/` : null;
+    platformIcon = '💼';
   } else {
     profileUrl = null;
     postUrl = null;
-    platformIcon = '❓';
+    platformIcon = platform === 'csv' ? '📄' : '❓';
   }
+  // CSV imports carry their own post URL column
+  postUrl = safeWebUrl(postUrl || p?.data?._csv?.url);
+  const attr = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
   
   const cap = (p?.data?.desc || '').slice(0, 220).replace(/</g,'<');
   const eng = postEngagement(p);
-  const t = p?.data?.createTime ? new Date(p.data.createTime*1000).toLocaleString() : '';
+  const t = p?.data?.createTime ? `${formatZoned(p.data.createTime, timeZoneSelect.value)} ${timeZoneLabel(timeZoneSelect.value)}` : '';
   
   // Instagram-specific: location
   const location = p?.data?._instagram?.location;
   const locationText = location ? ` · 📍 ${location.name}` : '';
+  // Which uploads contained this post; only informative once several are merged
+  const batchText = loadedBatches.length > 1 && p?.batches ? ` · 📁 ${p.batches.join(', ').replace(/</g, '&lt;')}` : '';
   
   const postLink = postUrl 
-    ? `<a href="${postUrl}" target="_blank" rel="noopener" style="color:#059669; text-decoration:underline; font-weight:600;">🔗 view post</a>`
+    ? `<a href="${attr(postUrl)}" target="_blank" rel="noopener" style="color:#059669; text-decoration:underline; font-weight:600;">🔗 view post</a>`
     : `<span style="color:#9ca3af; font-size:0.75rem;">no link available</span>`;
   
   return `<div style="padding:.6rem .6rem; border:1px solid #eee; border-radius:8px; margin:.45rem 0;">
@@ -3276,7 +5017,7 @@ function renderPostHTML(p) {
       <div style="flex-shrink:0;">${postLink}</div>
     </div>
     <div style="opacity:.95; margin-top:0.25rem;">${cap}${cap.length===220?'…':''}</div>
-    <div style="opacity:.7; margin-top:.2rem">time: ${t} · engagement: ${eng.toLocaleString()}${locationText}</div>
+    <div style="opacity:.7; margin-top:.2rem">time: ${t} · engagement: ${eng.toLocaleString()}${locationText}${batchText}</div>
   </div>`;
 }
 
@@ -3401,16 +5142,23 @@ function openNodeModal(node) {
   if (node.type === 'user') prefix = '@';
   else if (node.type === 'hashtag') prefix = '#';
   else if (node.type === 'location') prefix = '📍';
+  else if (node.type === 'domain') prefix = '🌐';
+  else if (node.type === 'sound') prefix = '🎵';
   modalTitle.textContent = `${prefix}${node.label || node.id}`;
+  // Sound titles and artist names come straight from scraped TikTok items
+  const attr = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
 
   const nbs = Array.from(adjacency.get(node.id) || []);
   const neighborHTML = nbs.slice(0, 14).map(id => {
     const lab = idToNode.get(id)?.label || id;
-    return `<code style="background:#f3f4f6; padding:.15rem .35rem; border-radius:6px; margin:.12rem; display:inline-block;">${lab}</code>`;
+    return `<code style="background:#f3f4f6; padding:.15rem .35rem; border-radius:6px; margin:.12rem; display:inline-block;">${attr(lab)}</code>`;
   }).join('');
 
-  // Get all posts for hashtag and location nodes, sample for user nodes
-  const posts = (node.type === 'hashtag' || node.type === 'location') ? getAllPostsForNode(node) : samplePostsForNode(node, 6);
+  const heatmapScopeList = heatmapScopes(node);
+
+  // Get all posts for hashtag, location and domain nodes, sample for user nodes
+  const listsAllPosts = ['hashtag', 'location', 'domain', 'sound'].includes(node.type);
+  const posts = listsAllPosts ? getAllPostsForNode(node) : samplePostsForNode(node, 6);
   const postsHTML = posts.map(p => renderPostHTML(p)).join('');
 
   const teach = (() => {
@@ -3420,11 +5168,11 @@ function openNodeModal(node) {
     return `Mid-degree ${node.type}. Check neighbors and example posts to see whether it bridges topics or audiences.`;
   })();
 
-  const postsSectionTitle = (node.type === 'hashtag' || node.type === 'location')
+  const postsSectionTitle = listsAllPosts
     ? `All posts (${posts.length})` 
     : `Example posts (${posts.length})`;
 
-  const postsContainerStyle = (node.type === 'hashtag' || node.type === 'location') 
+  const postsContainerStyle = listsAllPosts
     ? `max-height:300px; overflow-y:auto; border:1px solid #e5e7eb; border-radius:8px; padding:.5rem; background:#fafafa;`
     : '';
   
@@ -3481,15 +5229,30 @@ function openNodeModal(node) {
   modalBody.innerHTML = `
     <div style="display:grid; grid-template-columns: 1fr 1fr; gap:10px; margin-bottom:8px;">
       <div><div class="small" style="color:#6b7280;">Type</div><div><b>${node.type}</b></div></div>
-      <div><div class="small" style="color:#6b7280;">Degree</div><div><b>${node.degree ?? 0}</b></div></div>
+      <div><div class="small" style="color:#6b7280;">Degree</div><div><b>${node.degree ?? 0}</b>${node.inDegree !== undefined ? ` <span class="small" style="color:#6b7280;">(${node.inDegree} in / ${node.outDegree} out)</span>` : ''}</div></div>
       ${node.type==='user'
         ? `<div><div class="small" style="color:#6b7280;">Followers</div><div><b>${(node.followers||0).toLocaleString()}</b></div></div>
            <div><div class="small" style="color:#6b7280;">Verified</div><div><b>${node.verified? 'Yes':'No'}</b></div></div>`
         : node.type==='location'
         ? `<div><div class="small" style="color:#6b7280;">Posts at location</div><div><b>${node.count||0}</b></div></div>
            <div><div class="small" style="color:#6b7280;">Coordinates</div><div><b>${node.lat?.toFixed(4) || '?'}, ${node.lng?.toFixed(4) || '?'}</b></div></div>`
+        : node.type==='sound'
+        ? `<div><div class="small" style="color:#6b7280;">Posts using it</div><div><b>${node.count||0}</b> by ${node.userCount||0} account${node.userCount===1?'':'s'}</div></div>
+           <div><div class="small" style="color:#6b7280;">Original sound</div><div><b>${node.original ? 'Yes' : 'No'}</b>${node.authorName ? ` · ${attr(node.authorName)}` : ''}</div></div>`
+        : node.type==='domain'
+        ? `<div><div class="small" style="color:#6b7280;">Posts linking here</div><div><b>${node.count||0}</b></div></div>
+           <div><div class="small" style="color:#6b7280;">Distinct URLs</div><div><b>${node.urlCount||0}</b></div></div>`
         : `<div><div class="small" style="color:#6b7280;">Usage count</div><div><b>${node.count||0}</b></div></div><div></div>`}
     </div>
+    <div style="display:grid; grid-template-columns: repeat(4, 1fr); gap:10px; margin-bottom:8px;" title="Betweenness and closeness are normalised to 0–1; eigenvector is relative to the most central node; PageRank sums to 1 over the network. '…' means the network metrics are still being computed.">
+      ${centralityEntries(node).map(({ label, value }) => `<div><div class="small" style="color:#6b7280;">${label}</div><div><b>${value}</b></div></div>`).join('')}
+    </div>
+
+    ${node.linkedAccounts?.length > 1 ? `
+    <div class="small" style="background:#ecfeff; border:1px solid #a5f3fc; padding:.5rem .7rem; border-radius:8px; margin:.4rem 0;">
+      <b>🔗 Linked accounts:</b> ${node.linkedAccounts.map(m => `${PLATFORM_ICONS[m.platform] || '❓'} @${m.handle}`).join(' · ')}
+    </div>
+    ` : ''}
 
     ${node.suspicious ? `
     <div class="warning-box" style="margin:.5rem 0;">
@@ -3509,14 +5272,18 @@ function openNodeModal(node) {
     <div style="margin:.6rem 0 .25rem; font-weight:700;">Neighbors (${nbs.length})</div>
     <div>${neighborHTML || '<span class="small" style="color:#6b7280;">No neighbors</span>'}</div>
 
+    ${heatmapSectionHTML(heatmapScopeList, node)}
+
     <div style="margin:.9rem 0 .35rem; font-weight:700;">${postsSectionTitle}</div>
     <div style="${postsContainerStyle}" id="posts-container">
       ${postsHTML || '<div class="small" style="color:#6b7280;">No posts found for this node given current filters.</div>'}
     </div>
-    ${(node.type === 'hashtag' || node.type === 'location') && posts.length > 0 ? 
+    ${listsAllPosts && posts.length > 0 ? 
       `<div class="small" style="color:#6b7280; margin-top:.25rem; text-align:center;">Scroll to see all ${posts.length} posts</div>` : ''}
   `;
   
+  wireHeatmapSection(modalBody, heatmapScopeList);
+
   // Add event listeners for comparison links
   setTimeout(() => {
     const comparisonLinks = modalBody.querySelectorAll('.comparison-link');
@@ -3535,11 +5302,20 @@ modalClose.addEventListener('click', ()=> modalEl.style.display = 'none');
 modalEl.addEventListener('click', (e)=> { if (e.target === modalEl) modalEl.style.display = 'none'; });
 
 function showNodeInfo(node) {
-  let html = `<div class="info-row"><span class="info-label">Label:</span> <span class="info-value">${node.label}</span></div>`;
+  const attr = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  let html = `<div class="info-row"><span class="info-label">Label:</span> <span class="info-value">${attr(node.label)}</span></div>`;
   html += `<div class="info-row"><span class="info-label">Type:</span> <span class="info-value">${node.type}</span></div>`;
   if (node.degree !== undefined) html += `<div class="info-row"><span class="info-label">Degree:</span> <span class="info-value">${node.degree}</span></div>`;
+  if (node.inDegree !== undefined) html += `<div class="info-row"><span class="info-label">In / Out:</span> <span class="info-value">${node.inDegree} / ${node.outDegree}</span></div>`;
   if (node.followers !== undefined) html += `<div class="info-row"><span class="info-label">Followers:</span> <span class="info-value">${(node.followers||0).toLocaleString()}</span></div>`;
   if (node.count !== undefined) html += `<div class="info-row"><span class="info-label">Usage:</span> <span class="info-value">${node.count} posts</span></div>`;
+  if (node.type === 'sound') {
+    html += `<div class="info-row"><span class="info-label">Accounts:</span> <span class="info-value">${node.userCount || 0}</span></div>`;
+    html += `<div class="info-row"><span class="info-label">Original:</span> <span class="info-value">${node.original ? 'Yes' : 'No'}</span></div>`;
+  }
+  centralityEntries(node).forEach(({ label, value }) => {
+    html += `<div class="info-row"><span class="info-label">${label}:</span> <span class="info-value">${value}</span></div>`;
+  });
   if (node.suspicious) {
     html += `<div class="info-row"><span class="cib-indicator">⚠ SUSPICIOUS ACTIVITY</span></div>`;
     if (node.cibScore) html += `<div class="info-row"><span class="info-label">CIB Score:</span> <span class="cib-score">${node.cibScore}/100</span></div>`;
@@ -3549,6 +5325,10 @@ function showNodeInfo(node) {
     const isNoise = cid === communities.noiseClusterId;
     const clusterLabel = isNoise ? 'Noise' : `#${cid}`;
     html += `<div class="info-row"><span class="info-label">Community:</span> <span class="info-value">${clusterLabel}</span></div>`;
+    const stability = communities.stability?.nodeStability.get(node.id);
+    if (stability !== null && stability !== undefined) {
+      html += `<div class="info-row" title="Mean overlap between this node's community here and its community in each of the other ${communities.stability.runs - 1} runs"><span class="info-label">Stability:</span> <span class="info-value">${(stability * 100).toFixed(0)}%</span></div>`;
+    }
   }
   if (node.verified) html += `<div class="info-row" style="color:#2563eb; font-weight: 600;">✓ Verified</div>`;
   nodeDetails.innerHTML = html;
@@ -3583,51 +5363,120 @@ resetCibParamsBtn.addEventListener('click', () => {
   alert(`CIB parameters reset to ${currentLevel} sensitivity preset`);
 });
 
-detectBtn.addEventListener('click', () => {
-  if (!graphData || graphData.nodes.length === 0) return;
-  loading.classList.add('active');
-  loadingText.textContent = 'Detecting communities...';
-  setTimeout(() => {
-    communities = detectCommunities(graphData);
-    if (communities && statElements.communities) statElements.communities.textContent = communities.count;
-
-    // Calculate and display network metrics (including modularity)
-    if (!networkMetrics) {
-      networkMetrics = calculateNetworkMetrics(graphData);
-    }
-    displayMetrics(networkMetrics);
-
-    refreshCosmosStyling();
-    loading.classList.remove('active');
-    updateCoach();
-  }, 100);
-});
+detectBtn.addEventListener('click', runCommunityDetection);
 
 // =========================
 // Controls wiring
 // =========================
-networkTypeSelect.addEventListener('change', updateNetwork);
+networkTypeSelect.addEventListener('change', () => {
+  updateProjectionControls();
+  updateSliceControls();
+  updateNetwork();
+});
+timelineStackSelect.addEventListener('change', () => renderTimeline({ keepSelection: true }));
+timelineClearBtn.addEventListener('click', () => timelineChart?.setBrush(null, { notify: true }));
+timelineApplyBtn.addEventListener('click', () => {
+  if (!timelineBrush) return;
+  // The date filter works in whole days; the end date is inclusive
+  dateStart.value = formatZoned(timelineBrush.start, timeZoneSelect.value, { withTime: false });
+  dateEnd.value = formatZoned(timelineBrush.end - 1, timeZoneSelect.value, { withTime: false });
+  updateNetwork();
+});
+sliceSizeSelect.addEventListener('change', () => {
+  rebuildTimeSlices();
+  scheduleSessionSave();
+});
+sliceRange.addEventListener('input', () => {
+  stopSlicePlayback();
+  showSlice(parseInt(sliceRange.value, 10));
+});
+slicePrevBtn.addEventListener('click', () => {
+  stopSlicePlayback();
+  showSlice(activeSliceIndex - 1);
+});
+sliceNextBtn.addEventListener('click', () => {
+  stopSlicePlayback();
+  showSlice(activeSliceIndex + 1);
+});
+slicePlayBtn.addEventListener('click', () => {
+  if (slicePlayTimer) {
+    stopSlicePlayback();
+    return;
+  }
+  if (!timeSlices) return;
+  if (activeSliceIndex >= timeSlices.length - 1) showSlice(0);
+  slicePlayBtn.textContent = '⏸';
+  slicePlayTimer = setInterval(() => {
+    if (!timeSlices || activeSliceIndex >= timeSlices.length - 1) {
+      stopSlicePlayback();
+      return;
+    }
+    showSlice(activeSliceIndex + 1);
+  }, SLICE_PLAY_INTERVAL);
+});
+projectionMethodSelect.addEventListener('change', updateNetwork);
+projectionMinWeightInput.addEventListener('change', updateNetwork);
 nodeSizeBySelect.addEventListener('change', () => {
   // Clear cached stats when sizing mode changes
   nodeSizeStats = null;
   if (nodes.length > 0) refreshCosmosStyling({ updateClusters: false });
 });
+nodeColorBySelect.addEventListener('change', () => {
+  if (nodes.length > 0) refreshCosmosStyling({ updateClusters: false });
+  scheduleSessionSave();
+});
+// Community settings take effect on the next detection run
+communityAlgorithmSelect.addEventListener('change', () => {
+  updateCommunityControls();
+  scheduleSessionSave();
+});
+communityResolutionInput.addEventListener('change', scheduleSessionSave);
+communityModularitySelect.addEventListener('change', scheduleSessionSave);
+communityRunCountInput.addEventListener('change', () => {
+  updateCommunityControls();
+  scheduleSessionSave();
+});
+communityResolutionToInput.addEventListener('change', scheduleSessionSave);
 engagementFilter.addEventListener('input', (e) => {
   const value = e.target.value; engagementValue.textContent = `${value}+ interactions`;
   updateNetwork();
 });
 dateStart.addEventListener('change', updateNetwork);
 dateEnd.addEventListener('change', updateNetwork);
+// UTC (the default) and the analyst's own zone first, then every zone the browser knows
+timeZoneSelect.innerHTML = timeZoneOptions().map(zone => `<option value="${zone}">${zone}</option>`).join('');
+timeZoneSelect.value = DEFAULT_TIME_ZONE;
+timeZoneSelect.addEventListener('change', () => {
+  // Day boundaries of the date filter, the timeline and the slices all move
+  updateNetwork();
+  scheduleSessionSave();
+});
 
 exportBtn.addEventListener('click', () => {
   if (!graphData) return;
   const exportData = {
     ...graphData,
-    metrics: networkMetrics,
+    settings: currentSettings(),
+    // Per-node centralities are exported on the nodes themselves
+    metrics: networkMetrics ? { ...networkMetrics, centralities: undefined } : null,
     communities: communities ? {
       count: communities.count,
       noiseClusterId: communities.noiseClusterId,
       minClusterSize: communities.minClusterSize,
+      algorithm: communities.algorithm || 'louvain',
+      resolution: communities.resolution ?? DEFAULT_RESOLUTION,
+      modularity: communities.modularity,
+      directedModularity: Boolean(communities.directed),
+      stability: communities.stability ? {
+        runs: communities.stability.runs,
+        resolutions: communities.stability.resolutions,
+        modularities: communities.stability.modularities,
+        meanNMI: communities.stability.meanNMI,
+        minNMI: communities.stability.minNMI,
+        nmi: communities.stability.nmi,
+        communities: Array.from(communities.stability.communityStability.entries()),
+        nodes: Array.from(communities.stability.nodeStability.entries()),
+      } : null,
       assignments: Array.from(communities.communities.entries())
     } : null,
     cibDetection: cibDetection ? {
@@ -3665,9 +5514,15 @@ exportCsvBtn.addEventListener('click', () => {
     'Verified',
     'Post Count',
     'Avg Engagement',
+    'Betweenness',
+    'Closeness',
+    'Eigenvector',
+    'PageRank',
     'Detailed Reasons'
   ]);
 
+  const analysedNodes = new Map((fullGraphData?.nodes || []).map(node => [node.id, node]));
+
   // Collect data for each suspicious user
   cibDetection.suspiciousUsers.forEach(userId => {
     const score = cibDetection.userScores.get(userId) || 0;
@@ -3696,11 +5551,17 @@ exportCsvBtn.addEventListener('click', () => {
       totalEngagement += (stats.diggCount || 0) + (stats.commentCount || 0) + (stats.shareCount || 0);
     });
     const avgEngagement = postCount > 0 ? Math.round(totalEngagement / postCount) : 0;
+
+    // Empty when the account is not a node of the current network
+    const node = analysedNodes.get(userId) || analysedNodes.get(`u_${userId}`) || {};
+    const centralities = Object.keys(CENTRALITY_MEASURES).map(key => (Number.isFinite(node[key]) ? node[key] : ''));
     
     // Extract indicator types
     const indicatorTypes = new Set();
     reasons.forEach(reason => {
       if (reason.includes('synchronized')) indicatorTypes.add('synchronized_posting');
+      if (reason.includes('same posts/links')) indicatorTypes.add('co_amplification');
+      if (reason.includes('same URLs')) indicatorTypes.add('coordinated_link_sharing');
       if (reason.includes('hashtag')) indicatorTypes.add('rare_hashtags');
       if (reason.includes('username')) indicatorTypes.add('similar_username');
       if (reason.includes('high volume') || reason.includes('volume')) indicatorTypes.add('high_volume');
@@ -3723,6 +5584,7 @@ exportCsvBtn.addEventListener('click', () => {
       verified,
       postCount,
       avgEngagement,
+      ...centralities,
       reasons.join('; ')
     ]);
   });
@@ -3771,8 +5633,8 @@ exportReportBtn.addEventListener('click', () => {
   const totalPosts = filteredData.length;
   const uniqueUsers = new Set(filteredData.map(p => p.data?.author?.id).filter(Boolean)).size;
   const timestamps = filteredData.map(p => p.data?.createTime).filter(Boolean);
-  const minDate = timestamps.length > 0 ? new Date(Math.min(...timestamps) * 1000).toLocaleDateString() : 'N/A';
-  const maxDate = timestamps.length > 0 ? new Date(Math.max(...timestamps) * 1000).toLocaleDateString() : 'N/A';
+  const minDate = timestamps.length > 0 ? formatZoned(Math.min(...timestamps), params.timeZone, { withTime: false }) : 'N/A';
+  const maxDate = timestamps.length > 0 ? formatZoned(Math.max(...timestamps), params.timeZone, { withTime: false }) : 'N/A';
   
   // Get platform indicator
   const platformText = document.getElementById('platform-indicator')?.textContent || 'Unknown';
@@ -3897,7 +5759,7 @@ exportReportBtn.addEventListener('click', () => {
         </div>
       </div>
 
-      <p><strong>Data Range:</strong> ${minDate} to ${maxDate}</p>
+      <p><strong>Data Range:</strong> ${minDate} to ${maxDate} (${timeZoneLabel(params.timeZone)})</p>
       <p><strong>CIB Sensitivity Level:</strong> ${document.getElementById('threshold-value')?.textContent || 'N/A'}</p>
     </div>
 
@@ -3909,6 +5771,8 @@ exportReportBtn.addEventListener('click', () => {
           ${critical > 0 ? `<li><strong>${critical} accounts</strong> flagged as <strong>CRITICAL RISK</strong> - Multiple indicators suggest coordinated inauthentic behavior</li>` : ''}
           ${high > 0 ? `<li><strong>${high} accounts</strong> flagged as <strong>HIGH RISK</strong> - Strong evidence of coordination</li>` : ''}
           ${cibDetection.indicators.synchronized > 0 ? `<li><strong>Synchronized posting detected:</strong> ${cibDetection.indicators.synchronized} account pairs posting within narrow time windows</li>` : ''}
+          ${cibDetection.indicators.coAmplification > 0 ? `<li><strong>Co-amplification detected:</strong> ${cibDetection.indicators.coAmplification} account pairs repeatedly sharing the same posts or links within the time window</li>` : ''}
+          ${cibDetection.indicators.coordinatedLinks > 0 ? `<li><strong>Coordinated link sharing:</strong> ${cibDetection.indicators.coordinatedLinks} account pairs repeatedly posting the same URLs within seconds of each other</li>` : ''}
           ${cibDetection.indicators.identicalHashtags > 0 ? `<li><strong>Coordinated hashtag usage:</strong> ${cibDetection.indicators.identicalHashtags} users sharing rare hashtag combinations</li>` : ''}
           ${cibDetection.indicators.similarUsernames > 0 ? `<li><strong>Username pattern matching:</strong> ${cibDetection.indicators.similarUsernames} users with similar account names</li>` : ''}
           ${cibDetection.indicators.accountCreationClusters > 0 ? `<li><strong>Bot farm indicators:</strong> ${cibDetection.indicators.accountCreationClusters} clusters of accounts created simultaneously</li>` : ''}
@@ -3924,6 +5788,14 @@ exportReportBtn.addEventListener('click', () => {
           <strong>⏱️ Synchronized Posting</strong>
           ${cibDetection.indicators.synchronized || 0} account pairs detected
         </div>
+        <div class="indicator-box">
+          <strong>🔁 Co-amplification</strong>
+          ${cibDetection.indicators.coAmplification || 0} account pairs detected
+        </div>
+        <div class="indicator-box">
+          <strong>🔗 Coordinated Link Sharing</strong>
+          ${cibDetection.indicators.coordinatedLinks || 0} account pairs detected
+        </div>
         <div class="indicator-box">
           <strong>🏷️ Rare Hashtag Combos</strong>
           ${cibDetection.indicators.identicalHashtags || 0} users flagged
@@ -4014,6 +5886,7 @@ exportReportBtn.addEventListener('click', () => {
           <li>Burst Min Posts: ${params.burstPosts}</li>
           <li>Rhythm CV Threshold: ${params.rhythmCV}</li>
           <li>Night Gap: ${params.nightGap}s</li>
+          <li>Timezone: ${timeZoneLabel(params.timeZone)}${params.inferTimeZones ? ' (per-account zones inferred from activity troughs where possible)' : ''}</li>
           <li>Cluster Min Size: ${params.clusterSize}</li>
           <li>Cross-Indicator Bonus: ${params.crossMultiplier}</li>
         </ul>
@@ -4070,7 +5943,7 @@ if (searchInput) {
   searchInput.addEventListener('input', (e) => {
     const term = e.target.value.trim().toLowerCase();
     if (!term || !nodes.length) {
-      cosmosGraph?.unselectPoints();
+      clearHighlight();
       graphContainer.classList.remove('hovering');
       hideTooltip();
       return;
@@ -4084,7 +5957,7 @@ if (searchInput) {
     console.log(`Search: Found ${matches.length} nodes matching "${term}"`);
 
     if (!matches.length) {
-      cosmosGraph?.unselectPoints();
+      clearHighlight();
       return;
     }
 
@@ -4133,7 +6006,10 @@ function updateCoach() {
 
   let hint = '';
   const networkType = networkTypeSelect.value;
-  if (networkType === 'coHashtag') {
+  const projection = activeProjection();
+  if (projection) {
+    hint = `👥 Projected onto users (${PROJECTION_METHODS[projection.method]}): accounts are linked when they share the same entities. Thick edges between otherwise unconnected accounts deserve a look; raise the minimum edge weight if popular entities tie everyone together.`;
+  } else if (networkType === 'coHashtag') {
     hint = `You're looking at hashtag co-occurrence. Dense cliques can reflect coordinated messaging or just memes — check example posts in the modal.`;
   } else if (networkType === 'userHashtag') {
     hint = `This is a bipartite user↔hashtag graph. Click a hashtag hub: who uses it? One community or many?`;
@@ -4141,6 +6017,16 @@ function updateCoach() {
     hint = `Mention networks highlight attention-giving. Are hubs amplifying each other, or bridging clusters?`;
   } else if (networkType === 'photoTag') {
     hint = `📷 Instagram photo tag network: see who tags whom in photos. This reveals collaboration and relationship patterns.`;
+  } else if (networkType in TWITTER_INTERACTIONS || networkType === 'amplification') {
+    hint = `🔁 X amplification: each edge runs from the amplifying account to the original author. Many accounts pointing at one hub, or a tight group retweeting each other, is the classic retweet-cascade signature — check timing in the CIB results.`;
+  } else if (networkType === 'coAmplification') {
+    hint = `🔗 Co-amplification: accounts are linked when they shared the same post or URL within the time window. Heavy edges between accounts with no other ties are the strongest coordination signal — widen or narrow the window to test it.`;
+  } else if (networkType === 'domain') {
+    hint = `🌐 Domain network: users connect to the websites they link to. A small set of accounts all pushing the same obscure domain is worth a look — compare with the Coordinated Link Sharing indicator in the CIB results.`;
+  } else if (networkType === 'userSound') {
+    hint = `🎵 TikTok sound network: users connect to the audio they posted with. Trending sounds are big hubs; a small cluster of accounts around an original sound nobody else uses is the pattern to check.`;
+  } else if (networkType === 'soundCoUse') {
+    hint = `🎵 Sound co-use: accounts are linked when they posted with the same sound (trending sounds used by more than ${MAX_SOUND_USERS} accounts are left out). Heavy edges mean many shared sounds — compare posting times in the CIB results.`;
   } else if (networkType === 'location') {
     hint = `📍 Instagram location network: where are users posting from? Shared locations can indicate coordinated campaigns or events.`;
   } else {
@@ -0,0 +1,209 @@
+// Node centralities for the network metrics job: betweenness and closeness
+// from breadth-first searches (Brandes 2001), eigenvector centrality and
+// PageRank by power iteration. Links are treated as undirected; shortest paths
+// ignore link weights, eigenvector and PageRank use them.
+
+import { buildAdjacency } from './graph-metrics.js';
+
+export const CENTRALITY_MEASURES = {
+  betweenness: 'Betweenness',
+  closeness: 'Closeness',
+  eigenvector: 'Eigenvector',
+  pagerank: 'PageRank',
+};
+
+// Above this many nodes, betweenness and closeness are estimated from
+// SAMPLE_SOURCES breadth-first searches instead of one per node
+export const MAX_EXACT_NODES = 1500;
+export const SAMPLE_SOURCES = 300;
+
+const PAGERANK_DAMPING = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-8;
+
+// Small seeded generator (mulberry32) so sampled scores are the same on every run
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pickSources(n, count) {
+  const indices = Array.from({ length: n }, (_, i) => i);
+  if (count >= n) return indices;
+  const random = seededRandom(n);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (n - i));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices.slice(0, count);
+}
+
+/**
+ * Brandes betweenness plus Wasserman–Faust closeness from the same searches.
+ * With sampled sources, betweenness is scaled up by n / sources and closeness
+ * uses the distances to the sampled sources only.
+ * Both are normalised to [0, 1].
+ */
+async function shortestPathCentralities(adjacency, { maxExactNodes, samples, checkpoint }) {
+  const { neighbours } = adjacency;
+  const n = neighbours.length;
+  const sources = n > maxExactNodes ? pickSources(n, samples) : pickSources(n, n);
+  const sampled = sources.length < n;
+
+  const betweenness = new Float64Array(n);
+  const distanceSum = new Float64Array(n);
+  const reachedBy = new Uint32Array(n);
+
+  const sigma = new Float64Array(n);
+  const distance = new Int32Array(n);
+  const delta = new Float64Array(n);
+  const predecessors = Array.from({ length: n }, () => []);
+  const order = new Int32Array(n);
+  const queue = new Int32Array(n);
+
+  for (let k = 0; k < sources.length; k++) {
+    await checkpoint(k / sources.length, 'Computing betweenness and closeness');
+    const s = sources[k];
+
+    sigma.fill(0);
+    distance.fill(-1);
+    delta.fill(0);
+    for (let i = 0; i < n; i++) predecessors[i].length = 0;
+    sigma[s] = 1;
+    distance[s] = 0;
+
+    let head = 0;
+    let tail = 0;
+    let visited = 0;
+    queue[tail++] = s;
+    while (head < tail) {
+      const v = queue[head++];
+      order[visited++] = v;
+      if (v !== s) {
+        distanceSum[v] += distance[v];
+        reachedBy[v]++;
+      }
+      for (const w of neighbours[v]) {
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          queue[tail++] = w;
+        }
+        if (distance[w] === distance[v] + 1) {
+          sigma[w] += sigma[v];
+          predecessors[w].push(v);
+        }
+      }
+    }
+
+    for (let i = visited - 1; i > 0; i--) {
+      const w = order[i];
+      for (const v of predecessors[w]) delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      betweenness[w] += delta[w];
+    }
+  }
+
+  // Every pair is counted from both ends in an undirected graph
+  const pairs = ((n - 1) * (n - 2)) / 2;
+  const scale = (n / sources.length) / 2 / (pairs || 1);
+  const isSource = new Uint8Array(n);
+  sources.forEach(s => { isSource[s] = 1; });
+  const closeness = new Float64Array(n);
+  for (let v = 0; v < n; v++) {
+    betweenness[v] *= scale;
+    // Distances from a source equal distances to it; the source itself never counts
+    const others = sources.length - isSource[v];
+    if (reachedBy[v] > 0 && others > 0) {
+      closeness[v] = (reachedBy[v] / others) * (reachedBy[v] / distanceSum[v]);
+    }
+  }
+
+  return { betweenness, closeness, sampled, sources: sources.length };
+}
+
+// Power iteration on (A + I): the identity shift keeps bipartite networks,
+// whose plain adjacency matrix oscillates, converging. Scaled to a maximum of 1.
+async function eigenvectorCentrality({ neighbours, weights }, checkpoint) {
+  const n = neighbours.length;
+  let scores = new Float64Array(n).fill(1);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    await checkpoint(iteration / MAX_ITERATIONS, 'Computing eigenvector centrality');
+    const next = Float64Array.from(scores);
+    for (let v = 0; v < n; v++) {
+      for (let i = 0; i < neighbours[v].length; i++) next[v] += weights[v][i] * scores[neighbours[v][i]];
+    }
+    const max = next.reduce((a, b) => Math.max(a, b), 0) || 1;
+    let change = 0;
+    for (let v = 0; v < n; v++) {
+      next[v] /= max;
+      change += Math.abs(next[v] - scores[v]);
+    }
+    scores = next;
+    if (change < TOLERANCE * n) break;
+  }
+  return scores;
+}
+
+// Weighted PageRank; isolated nodes spread their rank evenly
+async function pageRank({ neighbours, weights }, checkpoint) {
+  const n = neighbours.length;
+  const strength = weights.map(list => list.reduce((a, b) => a + b, 0));
+  let ranks = new Float64Array(n).fill(1 / n);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    await checkpoint(iteration / MAX_ITERATIONS, 'Computing PageRank');
+    let dangling = 0;
+    for (let v = 0; v < n; v++) if (strength[v] === 0) dangling += ranks[v];
+
+    const next = new Float64Array(n).fill((1 - PAGERANK_DAMPING) / n + (PAGERANK_DAMPING * dangling) / n);
+    for (let v = 0; v < n; v++) {
+      if (strength[v] === 0) continue;
+      const share = (PAGERANK_DAMPING * ranks[v]) / strength[v];
+      for (let i = 0; i < neighbours[v].length; i++) next[neighbours[v][i]] += share * weights[v][i];
+    }
+
+    let change = 0;
+    for (let v = 0; v < n; v++) change += Math.abs(next[v] - ranks[v]);
+    ranks = next;
+    if (change < TOLERANCE) break;
+  }
+  return ranks;
+}
+
+/**
+ * Betweenness, closeness, eigenvector and PageRank for every node.
+ * `checkpoint(fraction, message)` is awaited between units of work (0-1).
+ * Returns { scores: Map(node id -> { betweenness, closeness, eigenvector,
+ * pagerank }), sampled, sources } where `sampled` says whether the
+ * shortest-path measures are estimates from `sources` searches.
+ */
+export async function computeCentralities(graph, {
+  maxExactNodes = MAX_EXACT_NODES,
+  samples = SAMPLE_SOURCES,
+  checkpoint = async () => {},
+} = {}) {
+  const adjacency = buildAdjacency(graph);
+  const stage = (from, to) => (fraction, message) => checkpoint(from + fraction * (to - from), message);
+
+  const paths = await shortestPathCentralities(adjacency, { maxExactNodes, samples, checkpoint: stage(0, 0.8) });
+  const eigenvector = await eigenvectorCentrality(adjacency, stage(0.8, 0.9));
+  const pagerank = await pageRank(adjacency, stage(0.9, 1));
+
+  const scores = new Map();
+  graph.nodes.forEach((node, index) => {
+    scores.set(node.id, {
+      betweenness: paths.betweenness[index],
+      closeness: paths.closeness[index],
+      eigenvector: eigenvector[index],
+      pagerank: pagerank[index],
+    });
+  });
+
+  return { scores, sampled: paths.sampled, sources: paths.sources };
+}
@@ -0,0 +1,539 @@
+// CIB detection pipeline shared by the worker (cib-worker.js) and any other caller.
+// No DOM access here: progress is reported through callbacks so the same code runs
+// on the main thread or inside a Web Worker.
+
+import {
+  calculateDatasetStatistics,
+  calculateTFIDF,
+  ngramOverlap,
+  levenshteinDistance,
+  analyzePostingRhythm,
+  analyzeNightPosting,
+  detectAccountCreationClusters,
+  detectTemporalBursts,
+  detectSynchronizedPostingOptimized,
+  detectCoAmplification,
+  detectCoordinatedLinkSharing,
+} from './analytics.js';
+import { DEFAULT_TIME_ZONE, inferTimeZone, timeZoneLabel } from './timezone.js';
+
+// Caption -> embedding. Lives as long as the worker, so re-running detection with
+// different thresholds or filters does not recompute embeddings for known captions.
+const captionEmbeddingCache = new Map();
+
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// Zone a user's days are read in for the 24/7 check: the analyst's setting,
+// or the zone inferred from the user's own quiet hours when that is enabled
+// and the user has a clear daily trough
+function userTimeZone(timedPosts, params) {
+  const fallback = params.timeZone || DEFAULT_TIME_ZONE;
+  if (!params.inferTimeZones) return fallback;
+  return inferTimeZone(timedPosts.map(p => p.timestamp))?.timeZone || fallback;
+}
+
+/**
+ * Run every CIB indicator over the filtered posts.
+ * Returns JSON-serializable results (see serializeCIBResults).
+ */
+export async function detectCIB(filteredData, params, timeWindow, { onProgress = () => {}, onLog = console.log } = {}) {
+  const results = { suspiciousUsers: new Set(), indicators: {} };
+
+  onProgress(5, 'Calculating dataset statistics...');
+
+  // Calculate dataset statistics for adaptive thresholds
+  const stats = calculateDatasetStatistics(filteredData);
+
+  // Group posts per author once; timestamped posts feed the temporal indicators,
+  // all posts feed the per-user score breakdown.
+  const postsByUser = new Map();
+  const allPostsByUser = new Map();
+  filteredData.forEach(post => {
+    const userId = post.data?.author?.id;
+    if (!userId) return;
+    if (!allPostsByUser.has(userId)) allPostsByUser.set(userId, []);
+    allPostsByUser.get(userId).push(post);
+
+    const timestamp = post.data?.createTime;
+    if (!timestamp) return;
+    if (!postsByUser.has(userId)) postsByUser.set(userId, []);
+    postsByUser.get(userId).push({ timestamp, post });
+  });
+
+  onProgress(10, 'Detecting synchronized posting...');
+
+  // 1) Synchronized posting (spatial indexing)
+  const synchGroups = detectSynchronizedPostingOptimized(postsByUser, timeWindow, params.minSyncPosts);
+  synchGroups.forEach(group => {
+    results.suspiciousUsers.add(group.u1);
+    results.suspiciousUsers.add(group.u2);
+  });
+  results.indicators.synchronized = synchGroups.length;
+
+  onProgress(15, 'Detecting co-amplification...');
+
+  // 1b) Co-amplification: the same post or URL retweeted/shared by both accounts
+  const coAmplifiedPairs = detectCoAmplification(filteredData, timeWindow, params.minCoAmplifications);
+  coAmplifiedPairs.forEach(pair => {
+    results.suspiciousUsers.add(pair.u1);
+    results.suspiciousUsers.add(pair.u2);
+  });
+  results.indicators.coAmplification = coAmplifiedPairs.length;
+
+  // 1c) Coordinated link sharing (CooRnet): the same URL within seconds, repeatedly
+  const linkSharingPairs = detectCoordinatedLinkSharing(filteredData, params.linkShareInterval, params.minLinkShares);
+  linkSharingPairs.forEach(pair => {
+    results.suspiciousUsers.add(pair.u1);
+    results.suspiciousUsers.add(pair.u2);
+  });
+  results.indicators.coordinatedLinks = linkSharingPairs.length;
+
+  onProgress(20, 'Analyzing hashtag patterns...');
+
+  // 2) Rare hashtag sequences with TF-IDF weighting
+  const userHashtagSets = new Map();
+  filteredData.forEach(post => {
+    const userId = post.data?.author?.id;
+    const hashtags = post.data?.challenges?.map(c => c.title) || [];
+    if (!userId || !hashtags.length) return;
+
+    if (!userHashtagSets.has(userId)) userHashtagSets.set(userId, []);
+    hashtags.forEach(h => userHashtagSets.get(userId).push(h));
+  });
+
+  const allSets = Array.from(userHashtagSets.values()).map(arr => new Set(arr));
+  const hashtagSequences = new Map();
+  filteredData.forEach(post => {
+    const userId = post.data?.author?.id;
+    const hashtags = post.data?.challenges?.map(c => c.title) || [];
+    if (!userId || !hashtags.length) return;
+
+    const tfidfScore = hashtags.reduce((sum, h) => {
+      return sum + calculateTFIDF(h, userHashtagSets.get(userId), allSets);
+    }, 0) / hashtags.length;
+
+    if (tfidfScore > params.tfidfThreshold) {
+      const key = [...hashtags].sort().join(',');
+      if (!hashtagSequences.has(key)) hashtagSequences.set(key, { users: new Set(), tfidf: tfidfScore });
+      hashtagSequences.get(key).users.add(userId);
+    }
+  });
+
+  let identicalHashtagUsers = 0;
+  hashtagSequences.forEach(data => {
+    if (data.users.size >= params.minHashtagGroupSize) {
+      data.users.forEach(u => results.suspiciousUsers.add(u));
+      identicalHashtagUsers += data.users.size;
+    }
+  });
+  results.indicators.identicalHashtags = identicalHashtagUsers;
+
+  onProgress(30, 'Comparing usernames...');
+
+  // 3) Similar usernames with Levenshtein distance
+  const usernames = new Map();
+  filteredData.forEach(post => {
+    const author = post.data?.author;
+    if (!author) return;
+    const username = author.uniqueId || author.nickname || '';
+    const userId = author.id;
+    if (username.length < 4) return;
+
+    usernames.set(userId, username);
+  });
+
+  const usernameGroups = new Map();
+  const usernameArray = Array.from(usernames.entries());
+
+  for (let i = 0; i < usernameArray.length; i++) {
+    for (let j = i + 1; j < usernameArray.length; j++) {
+      const [id1, name1] = usernameArray[i];
+      const [id2, name2] = usernameArray[j];
+
+      const distance = levenshteinDistance(name1, name2);
+      const maxLen = Math.max(name1.length, name2.length);
+      const similarity = 1 - (distance / maxLen);
+
+      if (similarity >= params.usernameThreshold) {
+        const key = [name1, name2].sort().join('|');
+        if (!usernameGroups.has(key)) usernameGroups.set(key, new Set());
+        usernameGroups.get(key).add(id1);
+        usernameGroups.get(key).add(id2);
+      }
+    }
+  }
+
+  let similarUsernameCount = 0;
+  usernameGroups.forEach(users => {
+    if (users.size >= params.minUsernameGroupSize) {
+      users.forEach(u => results.suspiciousUsers.add(u));
+      similarUsernameCount += users.size;
+    }
+  });
+  results.indicators.similarUsernames = similarUsernameCount;
+
+  onProgress(40, 'Detecting high-volume posters...');
+
+  // 4) High-volume posting with z-score normalization
+  results.indicators.highVolume = 0;
+  postsByUser.forEach((posts, userId) => {
+    if (posts.length >= params.minHighVolumePosts) {
+      const zScore = (posts.length - stats.posts.mean) / stats.posts.stdDev;
+
+      if (zScore > params.zscoreThreshold) {
+        results.suspiciousUsers.add(userId);
+        results.indicators.highVolume++;
+      }
+    }
+  });
+
+  onProgress(50, 'Analyzing posting bursts...');
+
+  // 5) Temporal burst detection
+  const bursts = detectTemporalBursts(postsByUser, timeWindow, params.burstPosts);
+  results.indicators.temporalBursts = bursts.length;
+
+  onProgress(55, 'Checking posting rhythms...');
+
+  // 6) Posting rhythm regularity & 24/7 activity
+  const userTimeZones = new Map();
+  postsByUser.forEach((posts, userId) => {
+    const rhythm = analyzePostingRhythm(posts, params.rhythmCV);
+    if (rhythm.regular) {
+      results.suspiciousUsers.add(userId);
+    }
+
+    const timeZone = userTimeZone(posts, params);
+    userTimeZones.set(userId, timeZone);
+    const nightPosting = analyzeNightPosting(posts, params.nightGap, timeZone);
+    if (nightPosting.suspicious) {
+      results.suspiciousUsers.add(userId);
+    }
+  });
+
+  onProgress(60, 'Analyzing captions...');
+
+  // 7) Semantic duplicate captions (AI-powered similarity)
+  const semanticGroups = [];
+
+  if (params.semanticEnabled) {
+    try {
+      onProgress(62, 'Loading AI model for semantic analysis...');
+
+      // Loaded lazily so runs without semantic analysis never fetch the model library
+      const { getEmbedding, cosineSimilarity } = await import('./embeddings.js');
+
+      // One caption per user (the last one seen, as before)
+      const captionsToAnalyze = new Map();
+      filteredData.forEach(post => {
+        const userId = post.data?.author?.id;
+        const caption = post.data?.desc || '';
+        if (userId && caption.length >= 20) {
+          captionsToAnalyze.set(userId, caption);
+        }
+      });
+
+      onLog(`Processing ${captionsToAnalyze.size} captions for semantic similarity`);
+
+      const captionEmbeddings = [];
+      let processed = 0;
+      for (const [userId, caption] of captionsToAnalyze) {
+        try {
+          if (!captionEmbeddingCache.has(caption)) {
+            captionEmbeddingCache.set(caption, await getEmbedding(caption));
+          }
+          captionEmbeddings.push({ caption, embedding: captionEmbeddingCache.get(caption), userId });
+        } catch (error) {
+          onLog(`Failed to generate embedding for user ${userId}: ${error.message}`);
+        }
+
+        processed++;
+        if (processed % 20 === 0) {
+          const embedProgress = 62 + Math.floor((processed / captionsToAnalyze.size) * 13);
+          onProgress(embedProgress, `Generating embeddings (${processed}/${captionsToAnalyze.size})...`);
+        }
+      }
+
+      onProgress(75, 'Comparing semantic similarity...');
+
+      // Compare all pairs (O(n²) but necessary for accuracy)
+      for (let i = 0; i < captionEmbeddings.length; i++) {
+        for (let j = i + 1; j < captionEmbeddings.length; j++) {
+          const similarity = cosineSimilarity(captionEmbeddings[i].embedding, captionEmbeddings[j].embedding);
+
+          if (similarity >= params.semanticThreshold) {
+            results.suspiciousUsers.add(captionEmbeddings[i].userId);
+            results.suspiciousUsers.add(captionEmbeddings[j].userId);
+            semanticGroups.push({
+              users: [captionEmbeddings[i].userId, captionEmbeddings[j].userId],
+              similarity: similarity.toFixed(3),
+              captions: [captionEmbeddings[i].caption.slice(0, 50), captionEmbeddings[j].caption.slice(0, 50)]
+            });
+          }
+        }
+
+        if (i % 100 === 0 && i > 0) {
+          await yieldToEventLoop();
+        }
+      }
+
+      onLog(`✓ Semantic analysis complete: ${semanticGroups.length} similar pairs found`);
+    } catch (error) {
+      // Continue with other indicators even if semantic analysis fails
+      onLog(`⚠️ Semantic analysis failed, continuing with other indicators: ${error.message}`);
+      onProgress(78, 'Semantic analysis failed, continuing with other indicators...');
+    }
+  }
+
+  results.indicators.semanticDuplicates = semanticGroups.length;
+
+  onProgress(80, 'Detecting template captions...');
+
+  // 8) N-gram template captions
+  const captionPairs = [];
+  const captions = new Map();
+
+  filteredData.forEach(post => {
+    const userId = post.data?.author?.id;
+    const caption = post.data?.desc || '';
+    if (!userId || caption.length < 20) return;
+
+    captions.set(userId, caption);
+  });
+
+  const captionArray = Array.from(captions.entries());
+  for (let i = 0; i < captionArray.length; i++) {
+    for (let j = i + 1; j < captionArray.length; j++) {
+      const overlap = ngramOverlap(captionArray[i][1], captionArray[j][1]);
+
+      if (overlap >= params.ngramThreshold) {
+        captionPairs.push({
+          users: [captionArray[i][0], captionArray[j][0]],
+          overlap: overlap
+        });
+        results.suspiciousUsers.add(captionArray[i][0]);
+        results.suspiciousUsers.add(captionArray[j][0]);
+      }
+    }
+  }
+
+  results.indicators.templateCaptions = captionPairs.length;
+  results.indicators.duplicateCaptions = semanticGroups.length + captionPairs.length;
+
+  onProgress(85, 'Checking account creation patterns...');
+
+  // 9) Account creation clustering
+  const creationClusters = detectAccountCreationClusters(filteredData, 86400, params.clusterSize);
+  results.indicators.accountCreationClusters = creationClusters.length;
+
+  if (creationClusters.length > 0) {
+    onLog(`Found ${creationClusters.length} account creation clusters`);
+  }
+
+  onProgress(90, 'Calculating risk scores...');
+
+  // Build userId -> username lookup
+  const userIdToName = new Map();
+  filteredData.forEach(post => {
+    const author = post.data?.author;
+    if (author?.id) {
+      userIdToName.set(author.id, author.uniqueId || author.nickname || `user_${author.id}`);
+    }
+  });
+
+  // Calculate risk scores and reasons
+  results.userScores = new Map();
+  results.userReasons = new Map();
+  results.suspiciousUsers.forEach(userId => {
+    let score = 0;
+    const reasons = [];
+
+    // Check synchronized posting
+    const userSyncGroups = synchGroups.filter(g => g.u1 === userId || g.u2 === userId);
+    if (userSyncGroups.length > 0) {
+      score += 25;
+      const partners = userSyncGroups.map(g => {
+        const partnerId = g.u1 === userId ? g.u2 : g.u1;
+        return userIdToName.get(partnerId) || partnerId;
+      }).slice(0, 5);
+      const more = userSyncGroups.length > 5 ? ` and ${userSyncGroups.length - 5} more` : '';
+      reasons.push(`Synchronized posting with: ${partners.join(', ')}${more}`);
+    }
+
+    // Check co-amplification
+    const userCoAmplified = coAmplifiedPairs.filter(p => p.u1 === userId || p.u2 === userId);
+    if (userCoAmplified.length > 0) {
+      score += 25;
+      const items = Math.max(...userCoAmplified.map(p => p.count));
+      const partners = userCoAmplified.map(p => {
+        const partnerId = p.u1 === userId ? p.u2 : p.u1;
+        return userIdToName.get(partnerId) || partnerId;
+      }).slice(0, 5);
+      const more = userCoAmplified.length > 5 ? ` and ${userCoAmplified.length - 5} more` : '';
+      reasons.push(`Amplified up to ${items} of the same posts/links within the time window as: ${partners.join(', ')}${more}`);
+    }
+
+    // Check coordinated link sharing
+    const userLinkPairs = linkSharingPairs.filter(p => p.u1 === userId || p.u2 === userId);
+    if (userLinkPairs.length > 0) {
+      score += 25;
+      const links = Math.max(...userLinkPairs.map(p => p.count));
+      const partners = userLinkPairs.map(p => {
+        const partnerId = p.u1 === userId ? p.u2 : p.u1;
+        return userIdToName.get(partnerId) || partnerId;
+      }).slice(0, 5);
+      const more = userLinkPairs.length > 5 ? ` and ${userLinkPairs.length - 5} more` : '';
+      reasons.push(`Shared up to ${links} of the same URLs within ${params.linkShareInterval}s of: ${partners.join(', ')}${more}`);
+    }
+
+    // Check rare hashtag sequences
+    const userPosts = allPostsByUser.get(userId) || [];
+    const hashtagPartners = [];
+    hashtagSequences.forEach(data => {
+      if (data.users.has(userId) && data.users.size >= params.minHashtagGroupSize) {
+        const others = Array.from(data.users).filter(u => u !== userId).map(u => userIdToName.get(u) || u);
+        hashtagPartners.push(...others);
+      }
+    });
+    if (hashtagPartners.length > 0) {
+      score += 20;
+      const display = hashtagPartners.slice(0, 5);
+      const more = hashtagPartners.length > 5 ? ` and ${hashtagPartners.length - 5} more` : '';
+      reasons.push(`Rare hashtag combinations with: ${display.join(', ')}${more}`);
+    }
+
+    // Check similar usernames
+    usernameGroups.forEach(users => {
+      if (users.has(userId) && users.size >= params.minUsernameGroupSize) {
+        score += 10;
+        const similarUsers = Array.from(users).filter(u => u !== userId).map(u => userIdToName.get(u) || u);
+        const display = similarUsers.slice(0, 5);
+        const more = similarUsers.length > 5 ? ` and ${similarUsers.length - 5} more` : '';
+        reasons.push(`Similar username pattern with: ${display.join(', ')}${more}`);
+      }
+    });
+
+    // Check high-volume posting
+    if (userPosts.length >= params.minHighVolumePosts) {
+      const zScore = (userPosts.length - stats.posts.mean) / stats.posts.stdDev;
+      if (zScore > params.zscoreThreshold) {
+        score += 15;
+        reasons.push(`High-volume posting (z-score: ${zScore.toFixed(1)})`);
+      }
+    }
+
+    // Check temporal bursts
+    const userBursts = bursts.filter(b => b.userId === userId);
+    if (userBursts.length > 0) {
+      score += 15;
+      userBursts.forEach(burst => {
+        const timeDesc = timeWindow < 60 ? `${timeWindow} second${timeWindow !== 1 ? 's' : ''}` :
+                         `${Math.floor(timeWindow/60)} minute${Math.floor(timeWindow/60) !== 1 ? 's' : ''}`;
+        reasons.push(`Posting burst: ${burst.count} posts in ${timeDesc}`);
+      });
+    }
+
+    const timedPosts = userPosts.map(p => ({ timestamp: p.data?.createTime })).filter(p => p.timestamp);
+
+    // Check posting rhythm regularity
+    const rhythm = analyzePostingRhythm(timedPosts, params.rhythmCV);
+    if (rhythm.regular) {
+      score += 20;
+      reasons.push(`Highly regular posting rhythm (CV: ${(rhythm.cv * 100).toFixed(1)}%)`);
+    }
+
+    // Check 24/7 posting
+    const timeZone = userTimeZones.get(userId) || userTimeZone(timedPosts, params);
+    const nightPosting = analyzeNightPosting(timedPosts, params.nightGap, timeZone);
+    if (nightPosting.suspicious) {
+      score += 25;
+      reasons.push(`24/7 posting pattern (max gap: ${Math.floor(nightPosting.avgMaxGap / 3600)}h, days in ${timeZoneLabel(timeZone)})`);
+    }
+
+    // Check semantic duplicates
+    semanticGroups.forEach(group => {
+      if (group.users.includes(userId)) {
+        score += 25;
+        const partner = group.users.find(u => u !== userId);
+        const partnerName = userIdToName.get(partner) || partner;
+        reasons.push(`Semantically similar captions (${group.similarity}) with ${partnerName}`);
+      }
+    });
+
+    // Check n-gram template captions
+    captionPairs.forEach(pair => {
+      if (pair.users.includes(userId)) {
+        score += 20;
+        const partner = pair.users.find(u => u !== userId);
+        const partnerName = userIdToName.get(partner) || partner;
+        reasons.push(`Template caption (${(pair.overlap * 100).toFixed(0)}% overlap) with ${partnerName}`);
+      }
+    });
+
+    // Check account creation clusters
+    creationClusters.forEach(cluster => {
+      if (cluster.has(userId)) {
+        score += 30;
+        reasons.push(`Account created with ${cluster.size - 1} others within 24 hours`);
+      }
+    });
+
+    results.userScores.set(userId, score);
+    results.userReasons.set(userId, reasons);
+  });
+
+  onProgress(95, 'Finalizing analysis...');
+
+  // Cross-indicator bonus multiplier
+  results.suspiciousUsers.forEach(userId => {
+    const reasons = results.userReasons.get(userId) || [];
+    const numIndicators = reasons.length;
+    let baseScore = results.userScores.get(userId) || 0;
+
+    if (numIndicators >= 2) {
+      const multiplier = 1 + (params.crossMultiplier * numIndicators);
+      baseScore = Math.min(100, baseScore * multiplier);
+      results.userScores.set(userId, Math.round(baseScore));
+    }
+
+    const reasonText = reasons.join(' ').toLowerCase();
+
+    if (reasonText.includes('similar username') && reasonText.includes('created with')) {
+      const currentScore = results.userScores.get(userId);
+      results.userScores.set(userId, Math.min(100, currentScore + 20));
+    }
+
+    if (reasonText.includes('synchronized') && reasonText.includes('regular posting')) {
+      const currentScore = results.userScores.get(userId);
+      results.userScores.set(userId, Math.min(100, currentScore + 15));
+    }
+  });
+
+  onProgress(100, 'Analysis complete!');
+
+  return serializeCIBResults(results);
+}
+
+/**
+ * Convert Sets and Maps to arrays so results survive postMessage / JSON.
+ */
+export function serializeCIBResults(results) {
+  return {
+    suspiciousUsers: Array.from(results.suspiciousUsers),
+    indicators: results.indicators,
+    userScores: Array.from(results.userScores.entries()),
+    userReasons: Array.from(results.userReasons.entries())
+  };
+}
+
+/**
+ * Inverse of serializeCIBResults.
+ */
+export function deserializeCIBResults(serialized) {
+  return {
+    suspiciousUsers: new Set(serialized?.suspiciousUsers || []),
+    indicators: serialized?.indicators || {},
+    userScores: new Map(serialized?.userScores || []),
+    userReasons: new Map(serialized?.userReasons || [])
+  };
+}
@@ -0,0 +1,392 @@
+// Community detection beyond the Louvain method in app.js: Leiden (Traag,
+// Waltman & van Eck 2019), which refines each partition before aggregating so
+// that no community ends up internally disconnected, and label propagation
+// (Raghavan, Albert & Kumara 2007), a fast baseline without an objective.
+// Both return Map(node id -> community number); filtering small clusters into
+// noise and scoring the partition are left to the caller.
+
+export const COMMUNITY_ALGORITHMS = {
+  louvain: 'Louvain',
+  leiden: 'Leiden',
+  labelPropagation: 'Label propagation',
+};
+
+// Algorithms that optimise modularity, and therefore take a resolution
+export const RESOLUTION_ALGORITHMS = new Set(['louvain', 'leiden']);
+
+export const DEFAULT_RESOLUTION = 1;
+
+// Randomness of the refinement step (θ in the Leiden paper): how often a node
+// joins a sub-community other than the best one
+const REFINEMENT_RANDOMNESS = 0.01;
+const MAX_LEVELS = 20;
+const MAX_PASSES = 10;
+const MAX_LABEL_ROUNDS = 100;
+const EPSILON = 1e-12;
+
+const endpointId = end => (typeof end === 'object' ? end.id : end);
+
+function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * Index-based graph for modularity optimisation. Neighbour weights sum both
+ * directions of a link; direction only enters through the out- and
+ * in-strengths. Undirected links count half in each direction, which turns
+ * the directed (Leicht–Newman) gain into the usual undirected one.
+ * Self-loops add strength but no neighbour.
+ */
+function buildFlowGraph(graph, directed) {
+  const n = graph.nodes.length;
+  const indexOf = new Map(graph.nodes.map((node, index) => [node.id, index]));
+  const maps = Array.from({ length: n }, () => new Map());
+  const outStrength = new Float64Array(n);
+  const inStrength = new Float64Array(n);
+  let totalWeight = 0;
+
+  graph.links.forEach(link => {
+    const s = indexOf.get(endpointId(link.source));
+    const t = indexOf.get(endpointId(link.target));
+    if (s === undefined || t === undefined) return;
+    const w = Number(link.weight) > 0 ? Number(link.weight) : 1;
+    totalWeight += w;
+    if (directed) {
+      outStrength[s] += w;
+      inStrength[t] += w;
+    } else {
+      outStrength[s] += w / 2;
+      inStrength[s] += w / 2;
+      outStrength[t] += w / 2;
+      inStrength[t] += w / 2;
+    }
+    if (s === t) return;
+    maps[s].set(t, (maps[s].get(t) || 0) + w);
+    maps[t].set(s, (maps[t].get(s) || 0) + w);
+  });
+
+  return toFlowGraph(maps, outStrength, inStrength, totalWeight);
+}
+
+function toFlowGraph(maps, outStrength, inStrength, totalWeight) {
+  return {
+    n: maps.length,
+    neighbours: maps.map(map => Int32Array.from(map.keys())),
+    weights: maps.map(map => Float64Array.from(map.values())),
+    outStrength,
+    inStrength,
+    totalWeight,
+  };
+}
+
+// Renumber community labels 0..count-1 in order of first appearance
+function relabel(labels) {
+  const remap = new Map();
+  const result = new Int32Array(labels.length);
+  labels.forEach((label, v) => {
+    if (!remap.has(label)) remap.set(label, remap.size);
+    result[v] = remap.get(label);
+  });
+  return { labels: result, count: remap.size };
+}
+
+/**
+ * Leiden's fast local moving: visit nodes from a queue, move each to the
+ * neighbouring (or an empty) community with the largest modularity gain, and
+ * requeue the neighbours of nodes that moved. Updates `community` in place.
+ */
+async function fastLocalMove(g, community, resolution, random, checkpoint) {
+  const { n, neighbours, weights, outStrength, inStrength, totalWeight } = g;
+  const communityOut = new Float64Array(n);
+  const communityIn = new Float64Array(n);
+  const size = new Int32Array(n);
+  for (let v = 0; v < n; v++) {
+    communityOut[community[v]] += outStrength[v];
+    communityIn[community[v]] += inStrength[v];
+    size[community[v]]++;
+  }
+  const empty = [];
+  for (let c = 0; c < n; c++) if (size[c] === 0) empty.push(c);
+
+  // Link weight expected between node v and community c, scaled by the resolution
+  const expected = (v, c) => resolution
+    * (outStrength[v] * communityIn[c] + inStrength[v] * communityOut[c]) / totalWeight;
+
+  const queue = Int32Array.from(shuffle(Array.from({ length: n }, (_, i) => i), random));
+  const queued = new Uint8Array(n).fill(1);
+  let head = 0;
+  let pending = n;
+  const weightTo = new Float64Array(n);
+  const touched = [];
+
+  while (pending > 0) {
+    await checkpoint();
+    const v = queue[head];
+    head = (head + 1) % n;
+    pending--;
+    queued[v] = 0;
+
+    const current = community[v];
+    communityOut[current] -= outStrength[v];
+    communityIn[current] -= inStrength[v];
+    size[current]--;
+    if (size[current] === 0) empty.push(current);
+
+    touched.length = 0;
+    for (let i = 0; i < neighbours[v].length; i++) {
+      const c = community[neighbours[v][i]];
+      if (weightTo[c] === 0) touched.push(c);
+      weightTo[c] += weights[v][i];
+    }
+
+    let best = current;
+    let bestGain = weightTo[current] - expected(v, current);
+    touched.forEach(c => {
+      const gain = weightTo[c] - expected(v, c);
+      if (gain > bestGain + EPSILON) {
+        best = c;
+        bestGain = gain;
+      }
+    });
+    // Being alone gains nothing, which beats a community that loses
+    if (bestGain < -EPSILON && size[current] > 0) {
+      while (size[empty[empty.length - 1]] > 0) empty.pop();
+      best = empty.pop();
+    }
+
+    communityOut[best] += outStrength[v];
+    communityIn[best] += inStrength[v];
+    size[best]++;
+    community[v] = best;
+    touched.forEach(c => { weightTo[c] = 0; });
+
+    if (best === current) continue;
+    for (const u of neighbours[v]) {
+      if (queued[u] || community[u] === best) continue;
+      queue[(head + pending) % n] = u;
+      queued[u] = 1;
+      pending++;
+    }
+  }
+}
+
+/**
+ * Leiden refinement: split every community into well-connected
+ * sub-communities. Starting from singletons, each node still on its own that
+ * is well connected to its community may merge into a sub-community of the
+ * same community, chosen at random with a preference for larger gains.
+ * Returns the sub-community of each node.
+ */
+function refinePartition(g, community, resolution, random) {
+  const { n, neighbours, weights, outStrength, inStrength, totalWeight } = g;
+  const refined = Int32Array.from({ length: n }, (_, i) => i);
+  const refinedOut = Float64Array.from(outStrength);
+  const refinedIn = Float64Array.from(inStrength);
+  const refinedSize = new Int32Array(n).fill(1);
+  // Link weight from each sub-community to the rest of its community
+  const external = new Float64Array(n);
+
+  const communityOut = new Float64Array(n);
+  const communityIn = new Float64Array(n);
+  const members = Array.from({ length: n }, () => []);
+  for (let v = 0; v < n; v++) {
+    const c = community[v];
+    communityOut[c] += outStrength[v];
+    communityIn[c] += inStrength[v];
+    members[c].push(v);
+    for (let i = 0; i < neighbours[v].length; i++) {
+      if (community[neighbours[v][i]] === c) external[v] += weights[v][i];
+    }
+  }
+
+  // A part of community c is well connected when its links to the rest of c
+  // reach what the null model expects between them
+  const wellConnected = (c, out, inn, links) => links >= resolution
+    * (out * (communityIn[c] - inn) + inn * (communityOut[c] - out)) / totalWeight - EPSILON;
+
+  const weightTo = new Float64Array(n);
+  const touched = [];
+
+  members.forEach((list, c) => {
+    if (list.length < 2) return;
+    shuffle(list, random).forEach(v => {
+      if (refinedSize[v] !== 1 || refined[v] !== v) return;
+      if (!wellConnected(c, outStrength[v], inStrength[v], external[v])) return;
+
+      touched.length = 0;
+      for (let i = 0; i < neighbours[v].length; i++) {
+        const u = neighbours[v][i];
+        if (community[u] !== c) continue;
+        const r = refined[u];
+        if (weightTo[r] === 0) touched.push(r);
+        weightTo[r] += weights[v][i];
+      }
+
+      // Staying alone gains 0; other candidates need a gain of at least that
+      const candidates = [{ r: v, gain: 0 }];
+      touched.forEach(r => {
+        if (!wellConnected(c, refinedOut[r], refinedIn[r], external[r])) return;
+        const gain = weightTo[r] - resolution
+          * (outStrength[v] * refinedIn[r] + inStrength[v] * refinedOut[r]) / totalWeight;
+        if (gain >= 0) candidates.push({ r, gain });
+      });
+
+      const maxGain = candidates.reduce((max, candidate) => Math.max(max, candidate.gain), 0);
+      const odds = candidates.map(({ gain }) => Math.exp((gain - maxGain) / (totalWeight * REFINEMENT_RANDOMNESS)));
+      let pick = random() * odds.reduce((a, b) => a + b, 0);
+      let chosen = candidates[candidates.length - 1].r;
+      for (let i = 0; i < candidates.length; i++) {
+        pick -= odds[i];
+        if (pick <= 0) {
+          chosen = candidates[i].r;
+          break;
+        }
+      }
+
+      if (chosen !== v) {
+        external[chosen] += external[v] - 2 * weightTo[chosen];
+        refinedOut[chosen] += outStrength[v];
+        refinedIn[chosen] += inStrength[v];
+        refinedSize[chosen]++;
+        refinedSize[v] = 0;
+        refined[v] = chosen;
+      }
+      touched.forEach(r => { weightTo[r] = 0; });
+    });
+  });
+
+  return refined;
+}
+
+// One node per group; links inside a group are dropped, links between groups summed
+function aggregateFlowGraph(g, groups, count) {
+  const maps = Array.from({ length: count }, () => new Map());
+  const outStrength = new Float64Array(count);
+  const inStrength = new Float64Array(count);
+  for (let v = 0; v < g.n; v++) {
+    const a = groups[v];
+    outStrength[a] += g.outStrength[v];
+    inStrength[a] += g.inStrength[v];
+    for (let i = 0; i < g.neighbours[v].length; i++) {
+      const b = groups[g.neighbours[v][i]];
+      if (a !== b) maps[a].set(b, (maps[a].get(b) || 0) + g.weights[v][i]);
+    }
+  }
+  return toFlowGraph(maps, outStrength, inStrength, g.totalWeight);
+}
+
+// One run of the Leiden levels from a starting partition of the base graph;
+// returns the community of every base node
+async function leidenPass(base, initial, resolution, random, checkpoint) {
+  let g = base;
+  let community = Int32Array.from(initial);
+  // Aggregate node that each base node is part of
+  const nodeOf = Int32Array.from({ length: base.n }, (_, i) => i);
+
+  for (let level = 0; level < MAX_LEVELS; level++) {
+    await checkpoint(level, g.n);
+    await fastLocalMove(g, community, resolution, random, checkpoint);
+    ({ labels: community } = relabel(community));
+
+    const { labels: refined, count } = relabel(refinePartition(g, community, resolution, random));
+    // Nothing left to merge: the current communities are final
+    if (count === g.n) break;
+
+    for (let v = 0; v < base.n; v++) nodeOf[v] = refined[nodeOf[v]];
+    // Aggregate by sub-community, but start the next level from the communities
+    const next = new Int32Array(count);
+    for (let v = 0; v < g.n; v++) next[refined[v]] = community[v];
+    g = aggregateFlowGraph(g, refined, count);
+    community = next;
+  }
+
+  return relabel(nodeOf.map(v => community[v])).labels;
+}
+
+/**
+ * Leiden community detection maximising (directed) modularity at the given
+ * resolution: higher values give more, smaller communities. Passes are
+ * repeated from the previous result until the partition stops changing,
+ * since one pass can leave communities that only a later one splits.
+ * `checkpoint(fraction, message)` is awaited between levels (0-1) and, without
+ * arguments, inside the node loop. `random` returns numbers in [0, 1).
+ */
+export async function leidenCommunities(graph, {
+  directed = false,
+  resolution = DEFAULT_RESOLUTION,
+  random = Math.random,
+  checkpoint = async () => {},
+} = {}) {
+  const base = buildFlowGraph(graph, directed);
+  let community = Int32Array.from({ length: base.n }, (_, i) => i);
+
+  if (base.totalWeight > 0) {
+    for (let pass = 0; pass < MAX_PASSES; pass++) {
+      const progress = async (level, nodes) => {
+        if (level === undefined) return checkpoint();
+        return checkpoint(
+          Math.min(0.95, (pass + Math.min(level, 4) / 5) / MAX_PASSES),
+          `Leiden pass ${pass + 1}, level ${level + 1}: ${nodes} nodes`
+        );
+      };
+      const next = await leidenPass(base, community, resolution, random, progress);
+      const unchanged = next.every((c, v) => c === community[v]);
+      community = next;
+      if (unchanged) break;
+    }
+  }
+
+  const assignments = new Map();
+  graph.nodes.forEach((node, index) => assignments.set(node.id, community[index]));
+  return assignments;
+}
+
+/**
+ * Asynchronous label propagation: every node repeatedly takes the label with
+ * the most link weight among its neighbours (keeping its own on a tie) until
+ * no label changes. Link direction is ignored. `checkpoint` as for Leiden.
+ */
+export async function labelPropagationCommunities(graph, {
+  random = Math.random,
+  checkpoint = async () => {},
+} = {}) {
+  const { n, neighbours, weights } = buildFlowGraph(graph, false);
+  const labels = Int32Array.from({ length: n }, (_, i) => i);
+  const order = Array.from({ length: n }, (_, i) => i);
+  const weightTo = new Float64Array(n);
+  const touched = [];
+
+  for (let round = 0; round < MAX_LABEL_ROUNDS; round++) {
+    await checkpoint(round / MAX_LABEL_ROUNDS, `Label propagation round ${round + 1}`);
+    let changed = false;
+
+    for (const v of shuffle(order, random)) {
+      await checkpoint();
+      if (neighbours[v].length === 0) continue;
+
+      touched.length = 0;
+      for (let i = 0; i < neighbours[v].length; i++) {
+        const label = labels[neighbours[v][i]];
+        if (weightTo[label] === 0) touched.push(label);
+        weightTo[label] += weights[v][i];
+      }
+      const max = touched.reduce((best, label) => Math.max(best, weightTo[label]), 0);
+      const best = touched.filter(label => weightTo[label] >= max - EPSILON);
+      touched.forEach(label => { weightTo[label] = 0; });
+
+      if (best.includes(labels[v])) continue;
+      labels[v] = best[Math.floor(random() * best.length)];
+      changed = true;
+    }
+
+    if (!changed) break;
+  }
+
+  const assignments = new Map();
+  graph.nodes.forEach((node, index) => assignments.set(node.id, labels[index]));
+  return assignments;
+}
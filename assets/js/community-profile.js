@@ -0,0 +1,197 @@
+// Per-community summaries for describing what a detected cluster is about:
+// its most central accounts, the hashtags and phrases that set it apart from
+// the other communities, when it was active, which platforms it posts from and
+// how many of its members CIB detection flagged.
+
+import { getNGrams } from './analytics.js';
+import { formatZoned, timeZoneLabel } from './timezone.js';
+
+// Words per characteristic phrase
+export const PHRASE_LENGTH = 3;
+const TOP_ITEMS = 8;
+// A phrase has to turn up in this many posts of a community to be listed
+const MIN_PHRASE_POSTS = 2;
+
+// Phrases made of nothing but these say nothing about a community
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'i', 'if', 'in',
+  'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'so', 'that', 'the', 'this', 'to', 'was',
+  'we', 'with', 'you', 'your', 'de', 'het', 'een', 'en', 'van', 'op', 'te', 'dat', 'die',
+]);
+
+const escapeHTML = value => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+function postHashtags(post) {
+  return (post.data?.challenges || [])
+    .map(tag => (tag.title || '').toLowerCase())
+    .filter(Boolean);
+}
+
+// Distinct n-grams of a post's text, skipping those of only stopwords or links
+function postPhrases(post) {
+  const text = post.data?.desc || '';
+  if (!text) return [];
+  return [...new Set(getNGrams(text, PHRASE_LENGTH))].filter(phrase => {
+    const words = phrase.split(' ');
+    if (words.some(word => !word || word.startsWith('http'))) return false;
+    return words.some(word => !STOPWORDS.has(word));
+  });
+}
+
+/**
+ * TF-IDF with communities as documents: a term's share of its community's
+ * terms, times log(1 + communities / communities using the term). Terms every
+ * community uses still score, just lower, so a single community gets a list too.
+ * `counts` maps community id -> Map(term -> count); returns community id ->
+ * [{ term, count, score }], best first.
+ */
+export function distinctiveTerms(counts, { limit = TOP_ITEMS, minCount = 1 } = {}) {
+  const documentFrequency = new Map();
+  counts.forEach(terms => terms.forEach((_, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+
+  const result = new Map();
+  counts.forEach((terms, cid) => {
+    let total = 0;
+    terms.forEach(count => { total += count; });
+    const scored = [];
+    terms.forEach((count, term) => {
+      if (count < minCount) return;
+      const idf = Math.log(1 + counts.size / documentFrequency.get(term));
+      scored.push({ term, count, score: (count / total) * idf });
+    });
+    scored.sort((a, b) => b.score - a.score || b.count - a.count);
+    result.set(cid, scored.slice(0, limit));
+  });
+  return result;
+}
+
+function increment(map, key, amount = 1) {
+  map.set(key, (map.get(key) || 0) + amount);
+}
+
+/**
+ * Profiles for every community. `groups` maps community id ->
+ * { members: [node], posts: [post], activity: [posts per timeline bin],
+ * stability } where `stability` is the mean member stability over consensus
+ * runs, or null after a single run.
+ * Accounts (or, in networks without them, all members) are ranked by
+ * PageRank once the metrics job has computed it, by degree until then.
+ * Returns Map(community id -> { size, accounts, rankedBy, hashtags, phrases,
+ * activity, posts, platforms: [{ platform, count }], flagged, users,
+ * stability }).
+ */
+export function buildCommunityProfiles(groups) {
+  const hashtagCounts = new Map();
+  const phraseCounts = new Map();
+  groups.forEach(({ posts }, cid) => {
+    const hashtags = new Map();
+    const phrases = new Map();
+    posts.forEach(post => {
+      postHashtags(post).forEach(tag => increment(hashtags, tag));
+      postPhrases(post).forEach(phrase => increment(phrases, phrase));
+    });
+    hashtagCounts.set(cid, hashtags);
+    phraseCounts.set(cid, phrases);
+  });
+  const hashtags = distinctiveTerms(hashtagCounts);
+  const phrases = distinctiveTerms(phraseCounts, { minCount: MIN_PHRASE_POSTS });
+
+  const profiles = new Map();
+  groups.forEach(({ members, posts, activity, stability = null }, cid) => {
+    const users = members.filter(node => node.type === 'user');
+    const candidates = users.length ? users : members;
+    const rankedBy = candidates.some(node => Number.isFinite(node.pagerank)) ? 'pagerank' : 'degree';
+    const accounts = [...candidates]
+      .sort((a, b) => (b[rankedBy] || 0) - (a[rankedBy] || 0))
+      .slice(0, TOP_ITEMS);
+
+    const platformCounts = new Map();
+    posts.forEach(post => increment(platformCounts, post.platform || 'unknown'));
+
+    profiles.set(cid, {
+      size: members.length,
+      accounts,
+      rankedBy,
+      hashtags: hashtags.get(cid),
+      phrases: phrases.get(cid),
+      activity,
+      posts: posts.length,
+      platforms: Array.from(platformCounts, ([platform, count]) => ({ platform, count }))
+        .sort((a, b) => b.count - a.count),
+      flagged: users.filter(node => node.suspicious).length,
+      users: users.length,
+      stability,
+    });
+  });
+  return profiles;
+}
+
+// Bar sparkline of posts per timeline bin
+function activitySparkline(activity, color) {
+  const max = Math.max(0, ...activity);
+  if (!max) return '';
+  const width = 100 / activity.length;
+  const bars = activity.map((count, index) => {
+    const height = count ? Math.max(2, (count / max) * 100) : 0;
+    return `<rect x="${(index * width).toFixed(3)}" y="${(100 - height).toFixed(3)}" width="${Math.max(width - 0.3, 0.2).toFixed(3)}" height="${height.toFixed(3)}" fill="${color}"></rect>`;
+  }).join('');
+  return `<svg viewBox="0 0 100 100" preserveAspectRatio="none" style="width:100%; height:40px; display:block; background:#f9fafb; border-radius:4px;">${bars}</svg>`;
+}
+
+function formatPageRank(value) {
+  if (!Number.isFinite(value) || value === 0) return '0';
+  return value >= 0.001 ? value.toFixed(3) : value.toExponential(2);
+}
+
+function termList(items, prefix = '') {
+  if (!items?.length) return '<span style="color:#9ca3af;">none</span>';
+  return items.map(({ term, count }) => (
+    `<span title="${count} post${count === 1 ? '' : 's'}" style="display:inline-block; margin:0 .25rem .25rem 0; padding:.05rem .4rem; background:#f3f4f6; border-radius:999px;">${escapeHTML(prefix + term)}</span>`
+  )).join('');
+}
+
+const section = (title, body) => `
+  <div style="margin-top:.6rem;">
+    <div class="small" style="color:#6b7280; font-weight:600; margin-bottom:.2rem;">${title}</div>
+    ${body}
+  </div>`;
+
+/**
+ * HTML for one profile. `timeline` is the { start, end, timeZone } of the
+ * bins in profile.activity; `color` the community's colour in the graph.
+ */
+export function renderCommunityProfile(profile, { timeline, color = '#6366f1' } = {}) {
+  const flaggedShare = profile.users ? profile.flagged / profile.users : 0;
+  const measure = profile.rankedBy === 'pagerank' ? 'PageRank' : 'degree';
+
+  const accounts = profile.accounts.length
+    ? `<ol style="margin:0; padding-left:1.2rem;">${profile.accounts.map(node => `
+        <li><a href="#" class="community-account" data-node-id="${escapeHTML(node.id)}" style="color:#4f46e5;">${escapeHTML(node.label || node.id)}</a>
+          <span class="small" style="color:#9ca3af;">${profile.rankedBy === 'pagerank' ? formatPageRank(node.pagerank) : node.degree ?? 0}</span>${node.suspicious ? ' <span style="color:#dc2626;" title="Flagged by CIB detection">⚠</span>' : ''}</li>`).join('')}
+      </ol>`
+    : '<span class="small" style="color:#9ca3af;">none</span>';
+
+  const platforms = profile.platforms.length
+    ? profile.platforms.map(({ platform, count }) => `${escapeHTML(platform)} ${Math.round((count / profile.posts) * 100)}%`).join(' · ')
+    : 'no posts';
+
+  const sparkline = activitySparkline(profile.activity, color);
+  const range = timeline
+    ? `<div class="small" style="display:flex; justify-content:space-between; color:#9ca3af;"><span>${formatZoned(timeline.start, timeline.timeZone, { withTime: false })}</span><span>${formatZoned(timeline.end - 1, timeline.timeZone, { withTime: false })} · ${escapeHTML(timeZoneLabel(timeline.timeZone))}</span></div>`
+    : '';
+
+  return `
+    <div class="small" style="color:#374151;">
+      <b>${profile.size}</b> nodes · <b>${profile.posts}</b> posts
+      ${profile.users ? `· <span style="color:${profile.flagged ? '#dc2626' : '#374151'};"><b>${profile.flagged}</b> of ${profile.users} accounts flagged by CIB detection (${(flaggedShare * 100).toFixed(0)}%)</span>` : ''}
+    </div>
+    ${profile.stability === null ? '' : `<div class="small" style="color:#6b7280;" title="How consistently the consensus runs put these members together (mean Jaccard overlap with their community in each other run)">Stability across runs: <b>${(profile.stability * 100).toFixed(0)}%</b></div>`}
+    ${section(`Top ${profile.users ? 'accounts' : 'nodes'} (by ${measure})`, accounts)}
+    ${section('Distinctive hashtags', termList(profile.hashtags, '#'))}
+    ${section(`Characteristic ${PHRASE_LENGTH}-word phrases`, termList(profile.phrases))}
+    ${section('Activity', sparkline ? sparkline + range : '<span class="small" style="color:#9ca3af;">No timestamped posts</span>')}
+    ${section('Platforms', `<div class="small">${platforms}</div>`)}
+  `;
+}
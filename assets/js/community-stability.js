@@ -0,0 +1,140 @@
+// Agreement between repeated community detection runs. Louvain, Leiden and
+// label propagation all visit nodes in random order, so one run is one
+// sample; comparing several shows which communities are robust enough to cite
+// and which nodes only land in them by chance.
+
+export const MAX_CONSENSUS_RUNS = 50;
+// Mean member stability from which a community counts as robust
+export const ROBUST_COMMUNITY_STABILITY = 0.9;
+
+// Labels for one run, in `ids` order. Noise is not a community: every noise
+// node gets a label of its own (negative, so it never collides with a cluster).
+function runLabels(run, ids) {
+  return ids.map((id, index) => {
+    const cid = run.communities.get(id);
+    return cid === undefined || cid === run.noiseClusterId || cid === 0 ? -(index + 1) : cid;
+  });
+}
+
+function entropy(counts, n) {
+  let h = 0;
+  counts.forEach(count => {
+    const p = count / n;
+    h -= p * Math.log(p);
+  });
+  return h;
+}
+
+function labelCounts(labels) {
+  const counts = new Map();
+  labels.forEach(label => counts.set(label, (counts.get(label) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Normalized mutual information of two labelings of the same nodes,
+ * 2·I(A;B) / (H(A) + H(B)): 1 for identical partitions (up to renaming),
+ * near 0 for unrelated ones.
+ */
+export function normalizedMutualInformation(a, b) {
+  const n = a.length;
+  if (n === 0) return 1;
+  const joint = new Map();
+  for (let i = 0; i < n; i++) {
+    const key = `${a[i]}|${b[i]}`;
+    joint.set(key, (joint.get(key) || 0) + 1);
+  }
+  const countsA = labelCounts(a);
+  const countsB = labelCounts(b);
+  const hA = entropy(countsA, n);
+  const hB = entropy(countsB, n);
+  // Both partitions put everything in one community
+  if (hA + hB === 0) return 1;
+
+  let mutual = 0;
+  joint.forEach((count, key) => {
+    const [x, y] = key.split('|').map(Number);
+    mutual += (count / n) * Math.log((count * n) / (countsA.get(x) * countsB.get(y)));
+  });
+  return Math.max(0, Math.min(1, (2 * mutual) / (hA + hB)));
+}
+
+/**
+ * Compare the results of repeated runs ({ communities: Map(id -> cid),
+ * noiseClusterId }) on the same graph. The reference run is the one with the
+ * highest mean NMI to the others, i.e. the most typical partition. A node's
+ * stability is the mean Jaccard overlap, over the other runs, between its
+ * community in the reference and its community in that run: 1 when the
+ * same group forms around it every time. Noise nodes of the reference get null.
+ * Returns { reference, nmi (matrix), meanNMI, minNMI, nodeStability: Map,
+ * communityStability: Map(cid -> mean over members) }.
+ */
+export function compareRuns(runs) {
+  const ids = [...runs[0].communities.keys()];
+  const labels = runs.map(run => runLabels(run, ids));
+  const count = runs.length;
+
+  const nmi = Array.from({ length: count }, () => new Array(count).fill(1));
+  const pairs = [];
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      nmi[i][j] = nmi[j][i] = normalizedMutualInformation(labels[i], labels[j]);
+      pairs.push(nmi[i][j]);
+    }
+  }
+
+  let reference = 0;
+  let bestMean = -Infinity;
+  nmi.forEach((row, i) => {
+    const mean = count > 1 ? (row.reduce((a, b) => a + b, 0) - 1) / (count - 1) : 1;
+    if (mean > bestMean) {
+      bestMean = mean;
+      reference = i;
+    }
+  });
+
+  const referenceLabels = labels[reference];
+  const referenceSizes = labelCounts(referenceLabels);
+  const overlapSum = new Float64Array(ids.length);
+  labels.forEach((other, j) => {
+    if (j === reference) return;
+    const otherSizes = labelCounts(other);
+    const shared = new Map();
+    ids.forEach((_, i) => {
+      const key = `${referenceLabels[i]}|${other[i]}`;
+      shared.set(key, (shared.get(key) || 0) + 1);
+    });
+    ids.forEach((_, i) => {
+      const both = shared.get(`${referenceLabels[i]}|${other[i]}`);
+      overlapSum[i] += both / (referenceSizes.get(referenceLabels[i]) + otherSizes.get(other[i]) - both);
+    });
+  });
+
+  const nodeStability = new Map();
+  const communityTotals = new Map();
+  ids.forEach((id, i) => {
+    const cid = referenceLabels[i];
+    if (cid < 0) {
+      nodeStability.set(id, null);
+      return;
+    }
+    const value = count > 1 ? overlapSum[i] / (count - 1) : 1;
+    nodeStability.set(id, value);
+    const total = communityTotals.get(cid) || { sum: 0, members: 0 };
+    total.sum += value;
+    total.members++;
+    communityTotals.set(cid, total);
+  });
+
+  const communityStability = new Map();
+  communityTotals.forEach(({ sum, members }, cid) => communityStability.set(cid, sum / members));
+
+  return {
+    reference,
+    nmi,
+    meanNMI: pairs.length ? pairs.reduce((a, b) => a + b, 0) / pairs.length : 1,
+    minNMI: pairs.length ? Math.min(...pairs) : 1,
+    nodeStability,
+    communityStability,
+  };
+}
@@ -0,0 +1,268 @@
+// CSV import: 4CAT exports and generic spreadsheets mapped onto the normalized
+// post schema that normalizeRawData() produces for Zeeschuimer items.
+
+// Fields the mapping dialog offers, with header aliases used to pre-fill it.
+// Aliases cover the column names of 4CAT's TikTok, Instagram, X, Threads and
+// LinkedIn exports as well as common scraper spreadsheets.
+export const CSV_FIELDS = [
+  { key: 'postId', label: 'Post ID', aliases: ['id', 'item_id', 'post_id', 'tweet_id', 'video_id', 'status_id'] },
+  { key: 'authorId', label: 'Author ID', aliases: ['author_id', 'user_id', 'author_pk', 'owner_id', 'channel_id', 'uid'] },
+  { key: 'authorHandle', label: 'Author handle', aliases: ['author', 'username', 'author_username', 'screen_name', 'user', 'handle', 'user_name', 'channel'] },
+  { key: 'authorName', label: 'Author display name', aliases: ['author_fullname', 'author_full', 'author_name', 'full_name', 'name', 'display_name', 'nickname'] },
+  { key: 'timestamp', label: 'Timestamp', required: true, aliases: ['unix_timestamp', 'timestamp', 'created_at', 'create_time', 'createtime', 'date', 'published_at', 'time', 'taken_at'] },
+  { key: 'text', label: 'Text', aliases: ['body', 'text', 'desc', 'caption', 'content', 'full_text', 'message', 'description', 'title'] },
+  { key: 'hashtags', label: 'Hashtags', aliases: ['hashtags', 'challenges', 'tags', 'hashtag'] },
+  { key: 'mentions', label: 'Mentions', aliases: ['mentions', 'mentioned', 'user_mentions', 'usertags', 'tagged_users'] },
+  { key: 'likes', label: 'Likes', aliases: ['likes', 'like_count', 'favorite_count', 'likes_count', 'digg_count', 'diggcount', 'reactions'] },
+  { key: 'comments', label: 'Comments', aliases: ['comments', 'comment_count', 'reply_count', 'replies', 'num_comments', 'commentcount'] },
+  { key: 'shares', label: 'Shares', aliases: ['shares', 'share_count', 'retweet_count', 'reposts', 'repost_count', 'sharecount'] },
+  { key: 'views', label: 'Views', aliases: ['plays', 'views', 'view_count', 'play_count', 'playcount', 'impressions'] },
+  { key: 'url', label: 'Post URL', aliases: ['url', 'tiktok_url', 'post_url', 'link', 'permalink'] },
+  { key: 'platform', label: 'Platform column', aliases: ['platform', 'source_platform', 'network'] },
+];
+
+export const CSV_PLATFORMS = ['tiktok', 'instagram', 'twitter', 'threads', 'youtube', 'linkedin', 'csv'];
+
+// 4CAT writes these columns for every datasource
+const FOURCAT_SIGNATURE = ['thread_id', 'body', 'author', 'timestamp'];
+
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') >= 0 ? text.indexOf('\n') : text.length);
+  const candidates = [',', ';', '\t'];
+  let best = ',';
+  let bestCount = 0;
+  candidates.forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * RFC 4180 parser: quoted fields may contain delimiters, doubled quotes and newlines
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text; // strip BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      field = '';
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const headers = (rows.shift() || []).map(h => h.trim());
+  return { headers, rows, delimiter };
+}
+
+// Platform-specific columns in 4CAT exports; 'csv' when nothing gives it away
+export function guessCsvPlatform(headers) {
+  const lower = new Set(headers.map(h => h.toLowerCase()));
+  if (lower.has('tiktok_url') || lower.has('music_name')) return 'tiktok';
+  if (lower.has('retweet_count') || lower.has('is_retweet') || (lower.has('quote_count') && lower.has('reply_count'))) return 'twitter';
+  if (lower.has('usertags') || lower.has('location_name')) return 'instagram';
+  if (lower.has('channel_id') || lower.has('video_id')) return 'youtube';
+  return 'csv';
+}
+
+export function isFourCatExport(headers) {
+  const lower = new Set(headers.map(h => h.toLowerCase()));
+  return FOURCAT_SIGNATURE.every(column => lower.has(column));
+}
+
+/**
+ * Labels of the fields a mapping still needs before rows can be imported.
+ * Either author column will do: mapCsvRows falls back from one to the other.
+ */
+export function missingCsvFields(mapping) {
+  const mapped = key => (mapping[key] ?? -1) >= 0;
+  const missing = CSV_FIELDS.filter(field => field.required && !mapped(field.key)).map(field => field.label);
+  if (!mapped('authorHandle') && !mapped('authorId')) missing.unshift('Author handle or Author ID');
+  return missing;
+}
+
+/**
+ * Pre-fill the mapping dialog: field key -> column index (or -1 when unmapped)
+ */
+export function suggestColumnMapping(headers) {
+  const lower = headers.map(h => h.toLowerCase().replace(/[\s-]+/g, '_'));
+  const taken = new Set();
+  const mapping = {};
+
+  CSV_FIELDS.forEach(field => {
+    const index = field.aliases
+      .map(alias => lower.indexOf(alias))
+      .find(i => i >= 0 && !taken.has(i));
+    mapping[field.key] = index ?? -1;
+    if (index !== undefined) taken.add(index);
+  });
+
+  return mapping;
+}
+
+// Largest Unix time, in seconds, that a Date can hold
+const MAX_TIMESTAMP = 8.64e12;
+
+// Seconds after the epoch that a Date can represent, else null
+function validTimestamp(seconds) {
+  return seconds > 0 && seconds <= MAX_TIMESTAMP ? seconds : null;
+}
+
+// Unix seconds or milliseconds, ISO 8601, or 4CAT's "YYYY-MM-DD HH:MM:SS" (UTC)
+function parseTimestamp(value) {
+  const text = (value || '').trim();
+  if (!text) return null;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = parseFloat(text);
+    return validTimestamp(Math.floor(number > 1e12 ? number / 1000 : number));
+  }
+  const isoLike = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(text) ? `${text.replace(' ', 'T')}Z` : text;
+  const ms = Date.parse(isoLike);
+  return Number.isNaN(ms) ? null : validTimestamp(Math.floor(ms / 1000));
+}
+
+function parseNumber(value) {
+  const number = parseFloat(String(value || '').replace(/[,\s]/g, ''));
+  return Number.isFinite(number) ? number : 0;
+}
+
+// "a,b", "#a #b", "['a', 'b']" and JSON arrays all become ['a', 'b']
+function parseList(value, prefix) {
+  const text = (value || '').trim();
+  if (!text) return [];
+  return text
+    .replace(/^\[|\]$/g, '')
+    .split(/[\s,;|]+/)
+    .map(item => item.replace(/^['"]|['"]$/g, '').replace(prefix, '').trim())
+    .filter(Boolean);
+}
+
+function extractFromText(text, pattern) {
+  return (text.match(pattern) || []).map(match => match.substring(1));
+}
+
+/**
+ * Build normalized posts from parsed CSV rows. Rows without an author or a
+ * parseable timestamp are skipped and counted.
+ */
+export function mapCsvRows(headers, rows, mapping, { platform = 'csv', fileName = '' } = {}) {
+  const column = key => mapping[key] ?? -1;
+  const cell = (row, key) => (column(key) >= 0 ? (row[column(key)] ?? '') : '');
+  const posts = [];
+  const skipped = { noAuthor: 0, noTimestamp: 0 };
+  const collectedAt = Date.now();
+
+  rows.forEach((row, index) => {
+    const handle = cell(row, 'authorHandle').trim().replace(/^@/, '');
+    const authorId = cell(row, 'authorId').trim() || handle;
+    if (!authorId) {
+      skipped.noAuthor++;
+      return;
+    }
+
+    const createTime = parseTimestamp(cell(row, 'timestamp'));
+    if (createTime === null) {
+      skipped.noTimestamp++;
+      return;
+    }
+
+    const text = cell(row, 'text');
+    const hashtags = column('hashtags') >= 0
+      ? parseList(cell(row, 'hashtags'), /^#/)
+      : extractFromText(text, /#(\w+)/g);
+    const mentions = column('mentions') >= 0
+      ? parseList(cell(row, 'mentions'), /^@/)
+      : extractFromText(text, /@(\w+)/g);
+
+    const rowPlatform = cell(row, 'platform').trim().toLowerCase();
+    const postId = cell(row, 'postId').trim() || `${fileName || 'csv'}_${index + 1}`;
+
+    posts.push({
+      id: postId,
+      item_id: postId,
+      timestamp_collected: collectedAt,
+      source_platform: 'csv',
+      platform: CSV_PLATFORMS.includes(rowPlatform) ? rowPlatform : platform,
+      data: {
+        id: postId,
+        author: {
+          id: authorId,
+          uniqueId: handle || authorId,
+          nickname: cell(row, 'authorName').trim() || handle || authorId,
+          verified: false
+        },
+        createTime,
+        desc: text,
+        challenges: [...new Set(hashtags)].map(tag => ({ id: tag, title: tag })),
+        textExtra: [...new Set(mentions)].map(username => ({
+          type: 0,
+          userUniqueId: username,
+          userId: null
+        })),
+        stats: {
+          diggCount: parseNumber(cell(row, 'likes')),
+          commentCount: parseNumber(cell(row, 'comments')),
+          shareCount: parseNumber(cell(row, 'shares')),
+          playCount: parseNumber(cell(row, 'views'))
+        },
+        authorStats: {
+          followerCount: null
+        },
+        _csv: {
+          file: fileName,
+          row: index + 2, // 1-based, after the header line
+          url: cell(row, 'url').trim() || null
+        }
+      }
+    });
+  });
+
+  // A CSV has no ids for mentioned accounts; point mentions of handles that
+  // also author posts in the file at those authors' nodes
+  const authorIdsByHandle = new Map(posts.map(post => [post.data.author.uniqueId.toLowerCase(), post.data.author.id]));
+  posts.forEach(post => {
+    post.data.textExtra.forEach(mention => {
+      mention.userId = authorIdsByHandle.get(mention.userUniqueId.toLowerCase()) || null;
+    });
+  });
+
+  return { posts, skipped };
+}
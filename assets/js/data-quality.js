@@ -0,0 +1,155 @@
+// Data quality report: how much of each field the normalizers could actually
+// fill, per platform, and which CIB indicators that coverage undermines.
+
+// Post fields are counted per post, author fields per unique author. Low
+// coverage of `content` fields can be genuine (posts without hashtags) rather
+// than something the export lost.
+export const QUALITY_FIELDS = [
+  {
+    key: 'timestamp',
+    label: 'Post timestamps',
+    scope: 'posts',
+    test: data => Number.isFinite(data.createTime) && data.createTime > 0,
+  },
+  {
+    key: 'exactTimestamp',
+    label: 'Exact timestamps',
+    scope: 'posts',
+    // YouTube and LinkedIn fall back to relative labels such as "3 days ago"
+    test: data => Number.isFinite(data.createTime) && data.createTime > 0 && !data.createTimeApproximate,
+  },
+  {
+    key: 'text',
+    label: 'Post text',
+    content: true,
+    scope: 'posts',
+    test: data => Boolean(data.desc?.trim()),
+  },
+  {
+    key: 'hashtags',
+    label: 'Posts with hashtags',
+    content: true,
+    scope: 'posts',
+    test: data => (data.challenges?.length || 0) > 0,
+  },
+  {
+    key: 'mentions',
+    label: 'Posts with mentions',
+    content: true,
+    scope: 'posts',
+    test: data => (data.textExtra || []).some(t => t.type === 0),
+  },
+  {
+    key: 'authorCreated',
+    label: 'Account creation dates',
+    scope: 'authors',
+    test: data => Boolean(data.author?.createTime),
+  },
+  {
+    key: 'followers',
+    label: 'Follower counts',
+    scope: 'authors',
+    test: data => Number.isFinite(data.authorStats?.followerCount),
+  },
+];
+
+// Coverage below `min` makes an indicator unreliable, below `good` limited
+const INDICATOR_REQUIREMENTS = [
+  { indicator: 'Synchronized posting', field: 'exactTimestamp', min: 0.5, good: 0.9,
+    impact: 'pairs of accounts posting within the time window are missed or invented' },
+  { indicator: 'Co-amplification', field: 'exactTimestamp', min: 0.5, good: 0.9,
+    impact: 'shares of the same post or link cannot be placed inside the time window' },
+  { indicator: 'Coordinated link sharing', field: 'exactTimestamp', min: 0.5, good: 0.9,
+    impact: 'shares seconds apart cannot be told from shares hours apart' },
+  { indicator: 'Temporal bursts', field: 'exactTimestamp', min: 0.5, good: 0.9,
+    impact: 'bursts are measured on rounded or missing times' },
+  { indicator: 'Posting rhythm & 24/7 activity', field: 'timestamp', min: 0.5, good: 0.9,
+    impact: 'accounts are judged on a fraction of their posts' },
+  { indicator: 'High-volume posting', field: 'timestamp', min: 0.5, good: 0.9,
+    impact: 'only timestamped posts are counted per account' },
+  { indicator: 'Rare hashtag sharing (TF-IDF)', field: 'hashtags', min: 0.1, good: 0.25,
+    impact: 'too few posts carry hashtags to compare accounts' },
+  { indicator: 'Semantic & template captions', field: 'text', min: 0.3, good: 0.6,
+    impact: 'most posts have no text to compare' },
+  { indicator: 'Account creation clustering', field: 'authorCreated', min: 0.3, good: 0.7,
+    impact: 'clusters are found among the few accounts with a creation date' },
+];
+
+function emptyCoverage() {
+  const coverage = {};
+  QUALITY_FIELDS.forEach(field => { coverage[field.key] = 0; });
+  return coverage;
+}
+
+function summarize(group) {
+  const coverage = {};
+  QUALITY_FIELDS.forEach(field => {
+    const total = field.scope === 'authors' ? group.authors.size : group.posts;
+    const count = field.scope === 'authors'
+      ? [...group.authors.values()].filter(fields => fields.has(field.key)).length
+      : group.counts[field.key];
+    coverage[field.key] = { count, total, ratio: total ? count / total : 0 };
+  });
+  return {
+    platform: group.platform,
+    posts: group.posts,
+    authors: group.authors.size,
+    noAuthor: group.noAuthor,
+    coverage,
+  };
+}
+
+/**
+ * Field coverage per platform and overall, posts the networks cannot use, and
+ * the CIB indicators that coverage makes unreliable. `loadIssues` are the
+ * per-file parse problems reported by the loaders and passed through as-is.
+ */
+export function assessDataQuality(posts, { loadIssues = [] } = {}) {
+  const newGroup = platform => ({ platform, posts: 0, noAuthor: 0, counts: emptyCoverage(), authors: new Map() });
+  const groups = new Map();
+  const overall = newGroup('all');
+
+  posts.forEach(post => {
+    const platform = post.platform || 'unknown';
+    if (!groups.has(platform)) groups.set(platform, newGroup(platform));
+    const data = post.data || {};
+    const authorId = data.author?.id;
+
+    [groups.get(platform), overall].forEach(group => {
+      group.posts++;
+      if (!authorId) group.noAuthor++;
+
+      // An author field counts as covered if any of the author's posts has it
+      const authorKey = `${platform}:${authorId}`;
+      if (authorId && !group.authors.has(authorKey)) group.authors.set(authorKey, new Set());
+
+      QUALITY_FIELDS.forEach(field => {
+        if (!field.test(data)) return;
+        if (field.scope === 'posts') group.counts[field.key]++;
+        else if (authorId) group.authors.get(authorKey).add(field.key);
+      });
+    });
+  });
+
+  const summary = summarize(overall);
+  const indicators = INDICATOR_REQUIREMENTS.map(requirement => {
+    const { ratio } = summary.coverage[requirement.field];
+    const status = ratio < requirement.min ? 'unreliable' : ratio < requirement.good ? 'limited' : 'ok';
+    return {
+      ...requirement,
+      fieldLabel: QUALITY_FIELDS.find(f => f.key === requirement.field).label,
+      coverage: ratio,
+      status,
+    };
+  });
+
+  return {
+    overall: summary,
+    platforms: [...groups.values()]
+      .map(summarize)
+      .sort((a, b) => b.posts - a.posts),
+    indicators,
+    loadIssues: loadIssues.filter(issue => issue.failed > 0 || issue.truncated),
+    unknownPlatform: groups.get('unknown')?.posts || 0,
+  };
+}
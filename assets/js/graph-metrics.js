@@ -0,0 +1,207 @@
+// Whole-network statistics for the metrics panel, computed on an indexed
+// adjacency structure so they stay fast on networks with tens of thousands of
+// edges: clustering, connected components, a diameter estimate, degree
+// assortativity and, for directed networks, reciprocity.
+
+// Double-sweep BFS runs for the diameter estimate, each from a different start
+const DIAMETER_SWEEPS = 4;
+
+const endpointId = end => (typeof end === 'object' ? end.id : end);
+
+/**
+ * Undirected, index-based adjacency of a { nodes, links } graph. Parallel
+ * links are merged (their weights summed) and self-loops dropped.
+ * Returns { indexOf: Map(id -> index), neighbours: [[index]], weights: [[weight]] }
+ * with weights[i][j] belonging to neighbours[i][j].
+ */
+export function buildAdjacency(graph) {
+  const indexOf = new Map(graph.nodes.map((node, index) => [node.id, index]));
+  const maps = graph.nodes.map(() => new Map());
+
+  graph.links.forEach(link => {
+    const a = indexOf.get(endpointId(link.source));
+    const b = indexOf.get(endpointId(link.target));
+    if (a === undefined || b === undefined || a === b) return;
+    const weight = Number(link.weight) > 0 ? Number(link.weight) : 1;
+    maps[a].set(b, (maps[a].get(b) || 0) + weight);
+    maps[b].set(a, (maps[b].get(a) || 0) + weight);
+  });
+
+  return {
+    indexOf,
+    neighbours: maps.map(map => Array.from(map.keys())),
+    weights: maps.map(map => Array.from(map.values())),
+  };
+}
+
+// Triangles through each node. Every edge is oriented from the lower- to the
+// higher-ranked end (by degree), so each triangle is found exactly once.
+function countTriangles(neighbours) {
+  const n = neighbours.length;
+  const rank = new Int32Array(n);
+  Array.from({ length: n }, (_, i) => i)
+    .sort((a, b) => neighbours[a].length - neighbours[b].length || a - b)
+    .forEach((node, position) => { rank[node] = position; });
+  const forward = neighbours.map((list, v) => list.filter(u => rank[u] > rank[v]));
+
+  const triangles = new Float64Array(n);
+  const mark = new Int32Array(n).fill(-1);
+  for (let v = 0; v < n; v++) {
+    forward[v].forEach(u => { mark[u] = v; });
+    for (const u of forward[v]) {
+      for (const w of forward[u]) {
+        if (mark[w] !== v) continue;
+        triangles[v]++;
+        triangles[u]++;
+        triangles[w]++;
+      }
+    }
+  }
+  return triangles;
+}
+
+// Component index of each node, plus the component sizes
+function findComponents(neighbours) {
+  const n = neighbours.length;
+  const component = new Int32Array(n).fill(-1);
+  const sizes = [];
+  const queue = new Int32Array(n);
+
+  for (let start = 0; start < n; start++) {
+    if (component[start] >= 0) continue;
+    const id = sizes.length;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    component[start] = id;
+    while (head < tail) {
+      const v = queue[head++];
+      for (const w of neighbours[v]) {
+        if (component[w] >= 0) continue;
+        component[w] = id;
+        queue[tail++] = w;
+      }
+    }
+    sizes.push(tail);
+  }
+  return { component, sizes };
+}
+
+// Farthest node from `source` and its distance
+function farthestFrom(neighbours, source) {
+  const distance = new Int32Array(neighbours.length).fill(-1);
+  const queue = [source];
+  distance[source] = 0;
+  let farthest = source;
+  for (let head = 0; head < queue.length; head++) {
+    const v = queue[head];
+    if (distance[v] > distance[farthest]) farthest = v;
+    for (const w of neighbours[v]) {
+      if (distance[w] >= 0) continue;
+      distance[w] = distance[v] + 1;
+      queue.push(w);
+    }
+  }
+  return { node: farthest, distance: distance[farthest] };
+}
+
+// Lower bound on the diameter of the component holding `members`: from a
+// start node, go to the farthest node, then measure the farthest from there
+function estimateDiameter(neighbours, members) {
+  let best = 0;
+  const step = Math.max(1, Math.floor(members.length / DIAMETER_SWEEPS));
+  for (let sweep = 0; sweep < DIAMETER_SWEEPS && sweep * step < members.length; sweep++) {
+    const first = farthestFrom(neighbours, members[sweep * step]);
+    best = Math.max(best, farthestFrom(neighbours, first.node).distance);
+  }
+  return best;
+}
+
+// Newman's degree assortativity over the distinct undirected edges; null
+// when every edge joins nodes of equal degree
+function degreeAssortativity(neighbours) {
+  let edges = 0;
+  let product = 0;
+  let sum = 0;
+  let squares = 0;
+  neighbours.forEach((list, v) => {
+    const j = list.length;
+    list.forEach(u => {
+      if (u < v) return;
+      const k = neighbours[u].length;
+      edges++;
+      product += j * k;
+      sum += (j + k) / 2;
+      squares += (j * j + k * k) / 2;
+    });
+  });
+  if (edges === 0) return null;
+  const mean = sum / edges;
+  const variance = squares / edges - mean * mean;
+  if (variance <= 0) return null;
+  return (product / edges - mean * mean) / variance;
+}
+
+// Share of directed ties (distinct source -> target pairs) that are returned
+function linkReciprocity(links) {
+  const ties = new Set();
+  links.forEach(link => {
+    const source = endpointId(link.source);
+    const target = endpointId(link.target);
+    if (source !== target) ties.add(`${source}\u0000${target}`);
+  });
+  if (ties.size === 0) return null;
+  let returned = 0;
+  ties.forEach(tie => {
+    const [source, target] = tie.split('\u0000');
+    if (ties.has(`${target}\u0000${source}`)) returned++;
+  });
+  return returned / ties.size;
+}
+
+/**
+ * Structural statistics of a { nodes, links } graph.
+ * `checkpoint(fraction, message)` is awaited between stages (0-1).
+ * Returns { uniqueEdges, density, avgClustering, components,
+ * largestComponent, largestComponentShare, diameter, assortativity,
+ * reciprocity } where reciprocity is null unless `directed` is set.
+ */
+export async function computeGraphMetrics(graph, { directed = false, checkpoint = async () => {} } = {}) {
+  const { neighbours } = buildAdjacency(graph);
+  const n = neighbours.length;
+  const uniqueEdges = neighbours.reduce((total, list) => total + list.length, 0) / 2;
+  const maxEdges = (n * (n - 1)) / 2;
+
+  await checkpoint(0, 'Computing clustering coefficients');
+  const triangles = countTriangles(neighbours);
+  let totalClustering = 0;
+  let validNodes = 0;
+  neighbours.forEach((list, v) => {
+    const k = list.length;
+    if (k < 2) return;
+    totalClustering += triangles[v] / ((k * (k - 1)) / 2);
+    validNodes++;
+  });
+
+  await checkpoint(0.4, 'Finding connected components');
+  const { component, sizes } = findComponents(neighbours);
+  const largestId = sizes.indexOf(Math.max(0, ...sizes));
+  const largestMembers = [];
+  for (let v = 0; v < n; v++) if (component[v] === largestId) largestMembers.push(v);
+
+  await checkpoint(0.6, 'Estimating diameter');
+  const diameter = largestMembers.length ? estimateDiameter(neighbours, largestMembers) : 0;
+
+  await checkpoint(0.9, 'Computing assortativity');
+  return {
+    uniqueEdges,
+    density: maxEdges > 0 ? uniqueEdges / maxEdges : 0,
+    avgClustering: validNodes > 0 ? totalClustering / validNodes : 0,
+    components: sizes.length,
+    largestComponent: largestMembers.length,
+    largestComponentShare: n > 0 ? largestMembers.length / n : 0,
+    diameter,
+    assortativity: degreeAssortativity(neighbours),
+    reciprocity: directed ? linkReciprocity(graph.links) : null,
+  };
+}
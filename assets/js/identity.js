@@ -0,0 +1,269 @@
+// Cross-platform identity resolution: proposes links between accounts on
+// different platforms that are probably run by the same actor. Nothing is
+// merged until the analyst accepts a proposal.
+
+import { levenshteinDistance } from './analytics.js';
+import { canonicalizeUrl, extractUrls } from './links.js';
+
+// Groups bigger than this (a link or handle shared by many accounts) describe a
+// campaign or a link aggregator's landing page, not one actor
+const MAX_GROUP_SIZE = 10;
+
+export function accountKey(platform, authorId) {
+  return `${platform || 'unknown'}:${authorId}`;
+}
+
+// foo.bar, foo_bar and Foo-Bar are the same handle for matching purposes
+function normalizeHandle(handle) {
+  return String(handle || '').toLowerCase().replace(/^@/, '').replace(/[._-]/g, '');
+}
+
+// Bio links compare in the same canonical form as links shared in posts. A
+// bare domain says nothing about who owns the account, so those are dropped.
+function bioLinkKey(raw) {
+  const link = raw ? canonicalizeUrl(raw) : null;
+  return link && link.url.includes('/') ? link.url : null;
+}
+
+function authorBioLinks(author) {
+  const links = [
+    author.bioLink?.link, // TikTok
+    ...(author.bioLinks || []),
+    ...extractUrls(author.signature),
+  ];
+  return links.map(bioLinkKey).filter(Boolean);
+}
+
+export function collectAccounts(posts) {
+  const accounts = new Map();
+  posts.forEach(post => {
+    const author = post.data?.author;
+    if (!author?.id) return;
+    const key = accountKey(post.platform, author.id);
+    if (!accounts.has(key)) {
+      accounts.set(key, {
+        key,
+        platform: post.platform || 'unknown',
+        id: author.id,
+        handle: author.uniqueId || String(author.id),
+        nickname: author.nickname || '',
+        bioLinks: new Set(),
+        postCount: 0
+      });
+    }
+    const account = accounts.get(key);
+    account.postCount++;
+    authorBioLinks(author).forEach(link => account.bioLinks.add(link));
+  });
+  return accounts;
+}
+
+// The string itself and every string made by deleting up to `maxDeletions` characters
+function deletionVariants(text, maxDeletions) {
+  const variants = new Set([text]);
+  let frontier = [text];
+  for (let round = 0; round < maxDeletions; round++) {
+    const next = [];
+    frontier.forEach(value => {
+      for (let i = 0; i < value.length; i++) {
+        const variant = value.slice(0, i) + value.slice(i + 1);
+        if (!variants.has(variant)) {
+          variants.add(variant);
+          next.push(variant);
+        }
+      }
+    });
+    frontier = next;
+  }
+  return variants;
+}
+
+/**
+ * Candidate links between accounts on different platforms, strongest first.
+ * Each proposal is { id, a, b, reasons, score }.
+ */
+export function proposeIdentityLinks(posts, { maxEditDistance = 1, minFuzzyLength = 5 } = {}) {
+  const accounts = [...collectAccounts(posts).values()];
+  const proposals = new Map();
+
+  const propose = (a, b, reason, score) => {
+    if (a.platform === b.platform) return;
+    const [first, second] = a.key < b.key ? [a, b] : [b, a];
+    const id = `${first.key}|${second.key}`;
+    if (!proposals.has(id)) {
+      proposals.set(id, { id, a: first, b: second, reasons: [], score: 0 });
+    }
+    const proposal = proposals.get(id);
+    if (!proposal.reasons.includes(reason)) proposal.reasons.push(reason);
+    proposal.score = Math.max(proposal.score, score);
+  };
+
+  const proposeWithinGroups = (groups, reason, score) => {
+    for (const members of groups) {
+      if (members.length < 2 || members.length > MAX_GROUP_SIZE) continue;
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          propose(members[i], members[j], reason, score);
+        }
+      }
+    }
+  };
+
+  // 1. Exact handle match
+  const byHandle = new Map();
+  accounts.forEach(account => {
+    const handle = normalizeHandle(account.handle);
+    if (!handle) return;
+    if (!byHandle.has(handle)) byHandle.set(handle, []);
+    byHandle.get(handle).push(account);
+  });
+  proposeWithinGroups(byHandle.values(), 'same handle', 1);
+
+  // 2. Shared bio link
+  const byLink = new Map();
+  accounts.forEach(account => {
+    account.bioLinks.forEach(link => {
+      if (!byLink.has(link)) byLink.set(link, []);
+      byLink.get(link).push(account);
+    });
+  });
+  byLink.forEach((members, link) => proposeWithinGroups([members], `shared bio link ${link}`, 0.9));
+
+  // 3. Similar handles. Two strings within k edits share a string reachable
+  // from each by at most k deletions (the shorter one itself for an insertion,
+  // both minus the changed character for a substitution), so accounts are only
+  // compared within such deletion-variant blocks.
+  const blocks = new Map();
+  byHandle.forEach((members, handle) => {
+    if (handle.length < minFuzzyLength) return;
+    const entry = { handle, members };
+    deletionVariants(handle, maxEditDistance).forEach(variant => {
+      if (!blocks.has(variant)) blocks.set(variant, []);
+      blocks.get(variant).push(entry);
+    });
+  });
+
+  const compared = new Set();
+  blocks.forEach(entries => {
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const x = entries[i];
+        const y = entries[j];
+        if (Math.abs(x.handle.length - y.handle.length) > maxEditDistance) continue;
+        const pairKey = x.handle < y.handle ? `${x.handle}|${y.handle}` : `${y.handle}|${x.handle}`;
+        if (compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const distance = levenshteinDistance(x.handle, y.handle);
+        if (distance === 0 || distance > maxEditDistance) continue;
+        const score = 0.5 + 0.3 * (1 - distance / Math.max(x.handle.length, y.handle.length));
+        x.members.forEach(a => y.members.forEach(b => propose(a, b, `similar handle (${distance} edit${distance > 1 ? 's' : ''})`, score)));
+      }
+    }
+  });
+
+  return [...proposals.values()].sort((p, q) => q.score - p.score || p.id.localeCompare(q.id));
+}
+
+/**
+ * Union accepted proposals into actors. Returns lookups from platform account
+ * (by id and by handle) to { id, label, members }.
+ */
+export function buildActorMap(acceptedProposals) {
+  const parent = new Map();
+  const accountsByKey = new Map();
+  const find = key => {
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+  const add = account => {
+    if (!parent.has(account.key)) parent.set(account.key, account.key);
+    accountsByKey.set(account.key, account);
+  };
+
+  acceptedProposals.forEach(({ a, b }) => {
+    add(a);
+    add(b);
+    const rootA = find(a.key);
+    const rootB = find(b.key);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  });
+
+  const groups = new Map();
+  parent.forEach((_, key) => {
+    const root = find(key);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(accountsByKey.get(key));
+  });
+
+  const byAccount = new Map();
+  const byHandle = new Map();
+  groups.forEach(members => {
+    members.sort((x, y) => y.postCount - x.postCount || x.key.localeCompare(y.key));
+    const lead = members[0];
+    const actor = {
+      id: `actor_${lead.key}`,
+      label: lead.handle,
+      members: members.map(m => ({ platform: m.platform, id: m.id, handle: m.handle }))
+    };
+    members.forEach(member => {
+      byAccount.set(member.key, actor);
+      byHandle.set(`${member.platform}:${String(member.handle).toLowerCase()}`, actor);
+    });
+  });
+
+  return { byAccount, byHandle, actorCount: groups.size };
+}
+
+/**
+ * Posts as seen through the actor map: linked authors and mentions of them
+ * share one actor id, so every network and CIB indicator treats them as one
+ * account. Unaffected posts are returned as-is.
+ */
+export function applyActorMap(posts, actorMap) {
+  if (!actorMap || actorMap.byAccount.size === 0) return posts;
+
+  return posts.map(post => {
+    const author = post.data?.author;
+    const platform = post.platform || 'unknown';
+    const actor = author?.id ? actorMap.byAccount.get(accountKey(platform, author.id)) : null;
+
+    let mentionsChanged = false;
+    const textExtra = (post.data?.textExtra || []).map(mention => {
+      if (mention.type !== 0) return mention;
+      const mentioned = (mention.userId && actorMap.byAccount.get(accountKey(platform, mention.userId)))
+        || (mention.userUniqueId && actorMap.byHandle.get(`${platform}:${String(mention.userUniqueId).toLowerCase()}`));
+      if (!mentioned) return mention;
+      mentionsChanged = true;
+      return { ...mention, userId: mentioned.id, platformUserId: mention.userId };
+    });
+
+    // Retweeted, quoted and replied-to authors are edge targets in the X networks
+    let referencesChanged = false;
+    const twitter = post.data?._twitter && Object.fromEntries(
+      Object.entries(post.data._twitter).map(([kind, reference]) => {
+        const referenced = reference?.author?.id && actorMap.byAccount.get(accountKey(platform, reference.author.id));
+        if (!referenced) return [kind, reference];
+        referencesChanged = true;
+        return [kind, { ...reference, author: { ...reference.author, id: referenced.id, platformId: reference.author.id } }];
+      })
+    );
+
+    if (!actor && !mentionsChanged && !referencesChanged) return post;
+
+    return {
+      ...post,
+      data: {
+        ...post.data,
+        author: actor
+          ? { ...author, id: actor.id, platformId: author.id, linkedAccounts: actor.members }
+          : author,
+        textExtra,
+        ...(referencesChanged ? { _twitter: twitter } : {})
+      }
+    };
+  });
+}
@@ -0,0 +1,132 @@
+// Links shared in posts: extraction from captions and platform URL fields, and
+// canonicalisation so the same article shared through different wrappers,
+// mobile hosts or tracking parameters compares equal. Works offline: shorteners
+// are only rewritten when their structure gives the target away.
+
+// Full URLs, www. hosts, and bare hosts on common link-in-bio TLDs when a path follows
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"')\]]+|\bwww\.[a-z0-9-]+(?:\.[a-z0-9-]+)+[^\s<>"')\]]*|(?<![.@\w-])[a-z0-9-]+\.(?:com|net|org|io|me|ee|bio|link|page|co|tv)\/[^\s<>"')\]]+/gi;
+
+// Query parameters that identify the click, not the page
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_[ce]id|igshid|igsh|ref_src|ref_url|_hsenc|_hsmi|mkt_tok|share_id|si|feature)$/i;
+
+// Parameters that only say which client shared the link or where playback starts
+const SITE_IGNORED_PARAMS = {
+  'twitter.com': ['s', 't'],
+  'youtube.com': ['t', 'list', 'index', 'pp'],
+};
+
+// Same site, different host
+const HOST_ALIASES = {
+  'x.com': 'twitter.com',
+  'mobile.twitter.com': 'twitter.com',
+  'mobile.x.com': 'twitter.com',
+  'm.youtube.com': 'youtube.com',
+  'music.youtube.com': 'youtube.com',
+  'm.facebook.com': 'facebook.com',
+  'mbasic.facebook.com': 'facebook.com',
+  'web.facebook.com': 'facebook.com',
+  'fb.me': 'facebook.com',
+  'instagr.am': 'instagram.com',
+  'm.tiktok.com': 'tiktok.com',
+  'old.reddit.com': 'reddit.com',
+  'm.reddit.com': 'reddit.com',
+  'mobile.reddit.com': 'reddit.com',
+  'en.m.wikipedia.org': 'en.wikipedia.org',
+};
+
+// Shorteners whose target can only be learned by following the redirect.
+// t.co is left out: every tweet wraps links in its own t.co URL, and X
+// exports carry the expanded URL next to it.
+const OPAQUE_SHORTENERS = new Set([
+  'bit.ly', 'bitly.com', 'tinyurl.com', 'ow.ly', 'buff.ly', 'goo.gl', 'is.gd', 'lnkd.in',
+  'dlvr.it', 'trib.al', 'shorturl.at', 'rebrand.ly', 'cutt.ly', 'tiny.cc', 'rb.gy',
+  'soo.gd', 'shorte.st', 'vm.tiktok.com', 'vt.tiktok.com', 'aka.ms', 'amzn.to', 'wp.me',
+]);
+
+// Shorteners and redirectors that carry their target in the URL itself
+const STRUCTURAL_REWRITES = [
+  { host: 'youtu.be', rewrite: url => `https://youtube.com/watch?v=${url.pathname.slice(1)}` },
+  { host: 'youtube.com', rewrite: url => {
+    const shorts = url.pathname.match(/^\/(?:shorts|live|embed)\/([\w-]+)/);
+    return shorts ? `https://youtube.com/watch?v=${shorts[1]}` : null;
+  } },
+  { host: 'redd.it', rewrite: url => `https://reddit.com/comments/${url.pathname.slice(1)}` },
+  { host: 'l.facebook.com', rewrite: url => url.searchParams.get('u') },
+  { host: 'lm.facebook.com', rewrite: url => url.searchParams.get('u') },
+  { host: 'l.instagram.com', rewrite: url => url.searchParams.get('u') },
+  { host: 'l.threads.net', rewrite: url => url.searchParams.get('u') },
+  { host: 'out.reddit.com', rewrite: url => url.searchParams.get('url') },
+  { host: 'google.com', rewrite: url => {
+    if (url.pathname === '/url') return url.searchParams.get('q') || url.searchParams.get('url');
+    const amp = url.pathname.match(/^\/amp\/s\/(.+)/);
+    return amp ? `https://${amp[1]}` : null;
+  } },
+  { host: 'linkedin.com', rewrite: url => (url.pathname.startsWith('/redir/') ? url.searchParams.get('url') : null) },
+];
+
+function parseUrl(raw) {
+  const text = String(raw || '').trim().replace(/[.,;:!?]+$/, '');
+  try {
+    return new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+  } catch {
+    return null;
+  }
+}
+
+function normalizeHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+  return HOST_ALIASES[host] || host;
+}
+
+/**
+ * Canonical form of a shared URL: { url, domain, shortened } where `url` is
+ * host + path + sorted non-tracking query, without scheme, www. or fragment.
+ * `shortened` marks opaque shorteners that could not be expanded offline.
+ * Returns null for t.co wrappers and strings that are not URLs.
+ */
+export function canonicalizeUrl(raw) {
+  let url = parseUrl(raw);
+  // Redirect wrappers can nest (an AMP page behind a Facebook redirect)
+  for (let hops = 0; url && hops < 3; hops++) {
+    const host = normalizeHost(url.hostname);
+    const rule = STRUCTURAL_REWRITES.find(r => r.host === host);
+    const target = rule?.rewrite(url);
+    if (!target) break;
+    url = parseUrl(target);
+  }
+  if (!url || !url.hostname.includes('.')) return null;
+
+  const domain = normalizeHost(url.hostname);
+  if (domain === 't.co') return null;
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .filter(([key]) => !SITE_IGNORED_PARAMS[domain]?.includes(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : '';
+  const path = url.pathname.replace(/\/+$/, '');
+
+  return {
+    url: `${domain}${path}${query}`,
+    domain,
+    shortened: OPAQUE_SHORTENERS.has(domain),
+  };
+}
+
+export function extractUrls(text) {
+  return String(text || '').match(URL_PATTERN) || [];
+}
+
+/**
+ * Canonical links a post shares, deduplicated: the expanded URLs the platform
+ * exported (data.urls) plus any URL written in the caption.
+ */
+export function extractPostLinks(post) {
+  const data = post?.data || {};
+  const links = new Map();
+  [...(data.urls || []), ...extractUrls(data.desc)].forEach(raw => {
+    const link = canonicalizeUrl(raw);
+    if (link && !links.has(link.url)) links.set(link.url, link);
+  });
+  return [...links.values()];
+}
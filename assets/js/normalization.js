@@ -3,6 +3,9 @@ function detectPlatform(post) {
   if (platform.includes('instagram')) return 'instagram';
   if (platform.includes('tiktok')) return 'tiktok';
   if (platform.includes('twitter') || platform.includes('x.com')) return 'twitter';
+  if (platform.includes('threads')) return 'threads';
+  if (platform.includes('youtube')) return 'youtube';
+  if (platform.includes('linkedin')) return 'linkedin';
   return 'unknown';
 }
 
@@ -23,6 +26,93 @@ function extractMentionsFromText(text) {
   }));
 }
 
+// Mentions and hashtags taken from structured fields, topped up with whatever
+// the caption regexes find that the structured fields missed
+function mergeByKey(primary, secondary, keyFn) {
+  const seen = new Set(primary.map(keyFn));
+  return [...primary, ...secondary.filter(item => {
+    const key = keyFn(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  })];
+}
+
+// YouTube renderer objects store text either as simpleText or as a list of runs
+function rendererText(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  if (value.simpleText) return value.simpleText;
+  return (value.runs || []).map(run => run.text).join('');
+}
+
+// "1,234 views", "1.2K", "3M subscribers", "No views" -> number
+function parseCount(value) {
+  if (typeof value === 'number') return value;
+  const text = rendererText(value).replace(/,/g, '').trim();
+  const match = text.match(/([\d.]+)\s*([KMB])?/i);
+  if (!match) return 0;
+  const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[(match[2] || '').toUpperCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Relative ages as shown in feeds ("3 days ago", "2w", "1mo • Edited") resolved
+// against the moment Zeeschuimer captured the item. Only as precise as the label.
+const RELATIVE_UNITS = [
+  [/^(s|sec|secs|second|seconds)$/, 1],
+  [/^(m|min|mins|minute|minutes)$/, 60],
+  [/^(h|hr|hrs|hour|hours)$/, 3600],
+  [/^(d|day|days)$/, 86400],
+  [/^(w|wk|wks|week|weeks)$/, 604800],
+  [/^(mo|mos|month|months)$/, 2592000],
+  [/^(y|yr|yrs|year|years)$/, 31536000],
+];
+
+function parseRelativeTime(text, collectedAtMs) {
+  if (!text || !collectedAtMs) return null;
+  const match = String(text).toLowerCase().match(/(\d+)\s*([a-z]+)/);
+  if (!match) return null;
+  const unit = RELATIVE_UNITS.find(([pattern]) => pattern.test(match[2]));
+  if (!unit) return null;
+  return Math.floor(collectedAtMs / 1000) - parseInt(match[1], 10) * unit[1];
+}
+
+// LinkedIn activity ids embed their creation time (ms) in the top 41 bits
+function linkedinIdToTimestamp(activityId) {
+  if (!/^\d{15,}$/.test(activityId || '')) return null;
+  try {
+    return Math.floor(Number(BigInt(activityId) >> 22n) / 1000);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Instagram-family profiles (also used by Threads) expose an external URL and bio links
+function profileLinks(profile) {
+  return [profile.external_url, ...(profile.bio_links || []).map(link => link.url)].filter(Boolean);
+}
+
+// Author summary for tweets referenced by a retweet, quote or reply. Newer X
+// payloads keep screen_name in `core`, older ones in `legacy`.
+function twitterUserSummary(userResult) {
+  return {
+    id: userResult?.rest_id || null,
+    uniqueId: userResult?.core?.screen_name || userResult?.legacy?.screen_name || '',
+    nickname: userResult?.core?.name || userResult?.legacy?.name || ''
+  };
+}
+
+// Retweeted and quoted tweets are embedded as tweet results, sometimes wrapped
+// in a TweetWithVisibilityResults envelope
+function referencedTweet(result) {
+  const tweet = result?.tweet || result;
+  if (!tweet?.rest_id) return null;
+  return {
+    id: tweet.rest_id,
+    author: twitterUserSummary(tweet.core?.user_results?.result)
+  };
+}
+
 function normalizePost(post) {
   const platform = detectPlatform(post);
   const normalized = { ...post, platform };
@@ -38,7 +128,9 @@ function normalizePost(post) {
         id: owner.pk || owner.id,
         uniqueId: owner.username,
         nickname: owner.full_name || owner.username,
-        verified: owner.is_verified || false
+        verified: owner.is_verified || false,
+        signature: owner.biography || '',
+        bioLinks: profileLinks(owner)
       },
       createTime: ig.taken_at,
       desc: caption,
@@ -55,7 +147,7 @@ function normalizePost(post) {
         playCount: ig.view_count || 0
       },
       authorStats: {
-        followerCount: 0
+        followerCount: null // not part of feed items
       },
       _instagram: {
         location: ig.location,
@@ -105,10 +197,17 @@ function normalizePost(post) {
         uniqueId: userCore.screen_name || '',
         nickname: userCore.name || '',
         verified: userResult.is_blue_verified || userResult.verification?.verified || false,
-        createTime: parseTwitterDate(userCore.created_at)
+        createTime: parseTwitterDate(userCore.created_at),
+        signature: userResult.profile_bio?.description || userLegacy.description || '',
+        bioLinks: [
+          ...(userLegacy.entities?.url?.urls || []),
+          ...(userLegacy.entities?.description?.urls || [])
+        ].map(u => u.expanded_url).filter(Boolean)
       },
       createTime: parseTwitterDate(tweetLegacy.created_at),
       desc: tweetLegacy.full_text || '',
+      // full_text only carries t.co wrappers; the expansions are in the entities
+      urls: (tweetLegacy.entities?.urls || []).map(u => u.expanded_url).filter(Boolean),
       challenges: hashtags,
       textExtra: mentions,
       stats: {
@@ -118,10 +217,211 @@ function normalizePost(post) {
         playCount: parseInt(tweet.views?.count || '0')
       },
       authorStats: {
-        followerCount: userLegacy.followers_count || 0,
+        followerCount: userLegacy.followers_count ?? null,
         followingCount: userLegacy.friends_count || 0,
         heartCount: userLegacy.favourites_count || 0,
         videoCount: userLegacy.statuses_count || 0
+      },
+      _twitter: {
+        retweetOf: referencedTweet(tweetLegacy.retweeted_status_result?.result),
+        quoteOf: referencedTweet(tweet.quoted_status_result?.result),
+        replyTo: tweetLegacy.in_reply_to_user_id_str || tweetLegacy.in_reply_to_screen_name
+          ? {
+            id: tweetLegacy.in_reply_to_status_id_str || null,
+            author: {
+              // Same fallback id the mention network uses for accounts known only by handle
+              id: tweetLegacy.in_reply_to_user_id_str || `user_${tweetLegacy.in_reply_to_screen_name}`,
+              uniqueId: tweetLegacy.in_reply_to_screen_name || '',
+              nickname: ''
+            }
+          }
+          : null
+      }
+    };
+  } else if (platform === 'threads') {
+    // Threads items share Instagram's media shape, plus text_post_app_info
+    const thread = post.data || {};
+    const user = thread.user || {};
+    const caption = thread.caption?.text || '';
+    const appInfo = thread.text_post_app_info || {};
+    const fragments = appInfo.text_fragments?.fragments || [];
+
+    const fragmentMentions = fragments
+      .filter(f => f.fragment_type === 'mention' && f.mention_fragment?.mentioned_user)
+      .map(f => ({
+        type: 0,
+        userUniqueId: f.mention_fragment.mentioned_user.username,
+        userId: f.mention_fragment.mentioned_user.pk || f.mention_fragment.mentioned_user.id || null
+      }));
+    const captionMentions = extractMentionsFromText(caption).map(m => ({
+      type: 0,
+      userUniqueId: m.username,
+      userId: null
+    }));
+
+    // Threads allows one topic tag per post, shown above the text rather than inline
+    const topicTag = appInfo.tag_header?.display_name;
+    const hashtags = extractHashtagsFromText(caption).map(h => ({ id: h.title.toLowerCase(), title: h.title }));
+    if (topicTag) hashtags.unshift({ id: topicTag.toLowerCase(), title: topicTag });
+
+    normalized.data = {
+      ...thread,
+      id: thread.pk || thread.id,
+      author: {
+        id: user.pk || user.id,
+        uniqueId: user.username,
+        nickname: user.full_name || user.username,
+        verified: user.is_verified || false,
+        signature: user.biography || '',
+        bioLinks: profileLinks(user)
+      },
+      createTime: thread.taken_at,
+      desc: caption,
+      urls: [
+        ...fragments.filter(f => f.fragment_type === 'link').map(f => f.link_fragment?.uri),
+        appInfo.link_preview_attachment?.url
+      ].filter(Boolean),
+      challenges: mergeByKey([], hashtags, h => h.title.toLowerCase()),
+      textExtra: mergeByKey(fragmentMentions, captionMentions, m => String(m.userUniqueId).toLowerCase()),
+      stats: {
+        diggCount: thread.like_count || 0,
+        commentCount: appInfo.direct_reply_count || 0,
+        shareCount: (appInfo.repost_count || 0) + (appInfo.quote_count || 0) + (appInfo.reshare_count || 0),
+        playCount: 0
+      },
+      authorStats: {
+        followerCount: user.follower_count ?? null
+      },
+      _threads: {
+        code: thread.code,
+        quotedPost: appInfo.share_info?.quoted_post?.pk || null,
+        repostedPost: appInfo.share_info?.reposted_post?.pk || null,
+        replyTo: appInfo.reply_to_author?.username || null
+      }
+    };
+  } else if (platform === 'youtube') {
+    // Accepts both Data API resources (snippet/statistics) and the
+    // videoRenderer objects captured from youtube.com pages
+    const raw = post.data || {};
+    const video = raw.videoRenderer || raw.gridVideoRenderer || raw.reelItemRenderer || raw;
+    const snippet = video.snippet || {};
+    const statistics = video.statistics || {};
+    const owner = (video.ownerText || video.longBylineText || video.shortBylineText)?.runs?.[0] || {};
+    const browse = owner.navigationEndpoint?.browseEndpoint || {};
+
+    const title = snippet.title || rendererText(video.title || video.headline);
+    const description = snippet.description
+      || rendererText(video.descriptionSnippet)
+      || rendererText(video.detailedMetadataSnippets?.[0]?.snippetText);
+    const text = [title, description].filter(Boolean).join('\n');
+    // Only renderer items link the @handle; channel titles are display names, not handles
+    const handle = (/^\/@([^/?]+)/.exec(browse.canonicalBaseUrl || '') || [])[1] || '';
+
+    const publishedAt = snippet.publishedAt ? Math.floor(new Date(snippet.publishedAt).getTime() / 1000) : null;
+    const verified = (video.ownerBadges || []).some(b => /VERIFIED/.test(b.metadataBadgeRenderer?.style || ''));
+
+    normalized.data = {
+      id: typeof video.id === 'string' ? video.id : (video.id?.videoId || video.videoId),
+      author: {
+        id: snippet.channelId || browse.browseId || handle || snippet.channelTitle || owner.text,
+        uniqueId: handle,
+        nickname: snippet.channelTitle || owner.text || handle,
+        verified
+      },
+      createTime: Number.isFinite(publishedAt)
+        ? publishedAt
+        : parseRelativeTime(rendererText(video.publishedTimeText), post.timestamp_collected),
+      createTimeApproximate: !Number.isFinite(publishedAt),
+      desc: text,
+      challenges: extractHashtagsFromText(text).map(h => ({ id: h.title.toLowerCase(), title: h.title })),
+      textExtra: extractMentionsFromText(description).map(m => ({
+        type: 0,
+        userUniqueId: m.username,
+        userId: null
+      })),
+      stats: {
+        diggCount: parseInt(statistics.likeCount || '0', 10),
+        commentCount: parseInt(statistics.commentCount || '0', 10),
+        shareCount: 0,
+        playCount: statistics.viewCount !== undefined ? parseInt(statistics.viewCount, 10) : parseCount(video.viewCountText)
+      },
+      authorStats: {
+        followerCount: null
+      },
+      _youtube: {
+        tags: snippet.tags || [],
+        duration: video.contentDetails?.duration || rendererText(video.lengthText) || null
+      }
+    };
+  } else if (platform === 'linkedin') {
+    const update = post.data || {};
+    const actor = update.actor || {};
+    const imageAttribute = actor.image?.attributes?.[0] || {};
+    const profile = imageAttribute.miniProfile || imageAttribute.miniCompany || {};
+    const actionTarget = actor.navigationContext?.actionTarget || '';
+    const handle = profile.publicIdentifier || profile.universalName
+      || (actionTarget.match(/linkedin\.com\/(?:in|company)\/([^/?#]+)/) || [])[1]
+      || actor.name?.text || '';
+
+    const urn = update.urn || update.updateMetadata?.urn || update.entityUrn || '';
+    const activityId = (urn.match(/activity:(\d+)/) || [])[1] || null;
+
+    const commentary = update.commentary?.text || {};
+    const text = commentary.text || '';
+    const attributes = commentary.attributes || [];
+    const sliceOf = a => text.substring(a.start, a.start + a.length);
+
+    const attributeHashtags = attributes
+      .filter(a => a.type === 'HASHTAG')
+      .map(a => sliceOf(a).replace(/^(hashtag)?#/i, ''))
+      .filter(Boolean)
+      .map(tag => ({ id: tag.toLowerCase(), title: tag }));
+    const textHashtags = extractHashtagsFromText(text).map(h => ({ id: h.title.toLowerCase(), title: h.title }));
+
+    // LinkedIn mentions render as display names, so the attributes are the only source
+    const mentions = attributes
+      .filter(a => a.type === 'PROFILE_MENTION' || a.type === 'COMPANY_NAME')
+      .map(a => {
+        const target = a.miniProfile || a.miniCompany || {};
+        return {
+          type: 0,
+          userUniqueId: target.publicIdentifier || target.universalName || sliceOf(a),
+          userId: linkedinEntityId(target.entityUrn)
+        };
+      });
+
+    const counts = update.socialDetail?.totalSocialActivityCounts || {};
+    // Activity ids encode the posting time; the relative label ("3d") is the fallback
+    const exactTime = linkedinIdToTimestamp(activityId);
+
+    normalized.data = {
+      id: activityId || urn,
+      author: {
+        id: linkedinEntityId(profile.entityUrn) || actor.urn || handle,
+        uniqueId: handle,
+        nickname: actor.name?.text || [profile.firstName, profile.lastName].filter(Boolean).join(' ') || handle,
+        verified: false
+      },
+      createTime: exactTime ?? parseRelativeTime(actor.subDescription?.text, post.timestamp_collected),
+      createTimeApproximate: exactTime === null,
+      desc: text,
+      urls: [update.content?.articleComponent?.navigationContext?.actionTarget].filter(Boolean),
+      challenges: mergeByKey(attributeHashtags, textHashtags, h => h.title.toLowerCase()),
+      textExtra: mentions,
+      stats: {
+        diggCount: counts.numLikes || 0,
+        commentCount: counts.numComments || 0,
+        shareCount: counts.numShares || 0,
+        playCount: counts.numViews || 0
+      },
+      authorStats: {
+        followerCount: null
+      },
+      _linkedin: {
+        urn,
+        headline: actor.description?.text || '',
+        isCompany: Boolean(imageAttribute.miniCompany) || /\/company\//.test(actionTarget),
+        resharedUrn: update.resharedUpdate?.urn || update.resharedUpdate?.updateMetadata?.urn || null
       }
     };
   }
@@ -129,6 +429,118 @@ function normalizePost(post) {
   return normalized;
 }
 
+// "urn:li:fs_miniProfile:ACoAAB..." -> "ACoAAB..."; shared by authors and mentions
+// so mention edges land on the same node as the mentioned person's own posts
+function linkedinEntityId(entityUrn) {
+  if (!entityUrn) return null;
+  return String(entityUrn).split(':').pop() || null;
+}
+
 export function normalizeRawData(data) {
   return data.map(post => normalizePost(post));
 }
+
+const NORMALIZED_PLATFORMS = new Set(['instagram', 'tiktok', 'twitter', 'threads', 'youtube', 'linkedin', 'csv', 'unknown']);
+const PLATFORM_DETAILS = ['_instagram', '_twitter', '_threads', '_linkedin', '_csv'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const text = value => (typeof value === 'string' ? value : typeof value === 'number' ? String(value) : '');
+const id = value => (typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value)) ? value : undefined);
+const count = value => (Number.isFinite(value) ? value : 0);
+
+function checkNormalizedPost(post) {
+  if (!isObject(post) || !isObject(post.data)) return null;
+  const data = post.data;
+  const author = isObject(data.author) ? data.author : {};
+  const stats = isObject(data.stats) ? data.stats : {};
+
+  const checked = {
+    ...data,
+    id: id(data.id),
+    author: {
+      ...author,
+      id: id(author.id),
+      uniqueId: text(author.uniqueId),
+      nickname: text(author.nickname),
+      verified: author.verified === true,
+      signature: text(author.signature),
+      bioLinks: Array.isArray(author.bioLinks) ? author.bioLinks.filter(link => typeof link === 'string') : [],
+    },
+    createTime: Number.isFinite(data.createTime) ? data.createTime : undefined,
+    createTimeApproximate: data.createTimeApproximate === true,
+    desc: text(data.desc),
+    challenges: Array.isArray(data.challenges)
+      ? data.challenges.filter(tag => isObject(tag) && typeof tag.title === 'string')
+      : [],
+    textExtra: Array.isArray(data.textExtra) ? data.textExtra.filter(isObject) : [],
+    urls: Array.isArray(data.urls) ? data.urls.filter(url => typeof url === 'string') : [],
+    stats: Object.fromEntries(['diggCount', 'commentCount', 'shareCount', 'playCount', ...Object.keys(stats)]
+      .map(key => [key, count(stats[key])])),
+    authorStats: isObject(data.authorStats) ? data.authorStats : {},
+  };
+  PLATFORM_DETAILS.forEach(key => {
+    if (key in data && !isObject(data[key])) delete checked[key];
+  });
+
+  return {
+    ...post,
+    platform: NORMALIZED_PLATFORMS.has(post.platform) ? post.platform : 'unknown',
+    data: checked,
+    batches: Array.isArray(post.batches) ? post.batches.filter(name => typeof name === 'string') : undefined,
+  };
+}
+
+/**
+ * Posts that were normalized elsewhere, i.e. embedded in a shared project
+ * file, checked against the normalized schema before they are used: fields
+ * the analyses read get the types normalizePost gives them and posts that
+ * are not objects are dropped. Returns { posts, rejected }.
+ */
+export function validateNormalizedPosts(posts) {
+  if (!Array.isArray(posts)) return { posts: [], rejected: 0 };
+  const checked = posts.map(checkNormalizedPost).filter(Boolean);
+  return { posts: checked, rejected: posts.length - checked.length };
+}
+
+// Identity of a post across uploads: the same item captured in two
+// Zeeschuimer sessions has the same platform and post id
+export function postKey(post) {
+  const id = post.data?.id ?? post.item_id ?? post.id;
+  return id === undefined || id === null ? null : `${post.platform || 'unknown'}:${id}`;
+}
+
+/**
+ * Append batches of normalized posts to an existing dataset, skipping posts
+ * that are already present. Each post keeps `batches`, the names of every
+ * upload it appeared in, so analyses can later be narrowed to one collection.
+ */
+export function mergePostBatches(existing, batches) {
+  const byKey = new Map();
+  existing.forEach(post => {
+    const key = postKey(post);
+    if (key) byKey.set(key, post);
+  });
+
+  const merged = [...existing];
+  let added = 0;
+  let duplicates = 0;
+
+  batches.forEach(({ name, posts }) => {
+    posts.forEach(post => {
+      const key = postKey(post);
+      const known = key ? byKey.get(key) : null;
+      if (known) {
+        duplicates++;
+        known.batches = known.batches || [];
+        if (!known.batches.includes(name)) known.batches.push(name);
+        return;
+      }
+      post.batches = [name];
+      if (key) byKey.set(key, post);
+      merged.push(post);
+      added++;
+    });
+  });
+
+  return { posts: merged, added, duplicates };
+}
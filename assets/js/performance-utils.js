@@ -1,4 +1,4 @@
-// Performance Utilities: Caching, Progressive Loading, Virtual Scrolling
+// Performance Utilities: Caching, Progressive Loading, Virtual Scrolling, Analysis Jobs
 
 // ==========================
 // Computation Cache
@@ -49,6 +49,24 @@ export class ComputationCache {
     return result;
   }
 
+  /**
+   * Async variant of get(): only successful results are cached, so a cancelled
+   * or failed computation is retried on the next call
+   */
+  async getAsync(data, params, computeFn) {
+    const key = this.getKey(data, params);
+
+    if (this.cache.has(key)) {
+      console.log(`✓ Cache hit: ${key.substring(0, 50)}...`);
+      return this.cache.get(key);
+    }
+
+    console.log(`⚠ Cache miss, computing: ${key.substring(0, 50)}...`);
+    const result = await computeFn();
+    this.set(key, result);
+    return result;
+  }
+
   /**
    * Set cache entry with LRU eviction
    */
@@ -90,45 +108,222 @@ export const embeddingsCache = new ComputationCache(10); // Cache embeddings
 // Progressive File Loader
 // ==========================
 
+/**
+ * Incremental parser for a top-level JSON array. Text is pushed in arbitrary
+ * chunks; each complete element is parsed as soon as its closing token arrives,
+ * so only the element currently being read is held as text.
+ */
+class JSONArrayStreamParser {
+  constructor(onError) {
+    this.onError = onError;
+    this.buffer = '';
+    this.pos = 0;
+    this.depth = 0; // 1 = inside the top-level array
+    this.inString = false;
+    this.escaped = false;
+    this.elementStart = -1;
+    this.finished = false;
+    this.errors = 0;
+    this.elementCount = 0;
+  }
+
+  push(text) {
+    const elements = [];
+    if (this.finished) return elements;
+    this.buffer += text;
+
+    for (let i = this.pos; i < this.buffer.length; i++) {
+      const char = this.buffer[i];
+
+      if (this.inString) {
+        if (this.escaped) this.escaped = false;
+        else if (char === '\\') this.escaped = true;
+        else if (char === '"') this.inString = false;
+        continue;
+      }
+
+      if (this.depth === 0) {
+        if (char === '[') this.depth = 1;
+        else if (!/\s/.test(char)) throw new Error('Expected a JSON array');
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+        if (this.depth === 1 && this.elementStart < 0) this.elementStart = i;
+      } else if (char === '{' || char === '[') {
+        if (this.depth === 1 && this.elementStart < 0) this.elementStart = i;
+        this.depth++;
+      } else if (char === '}' || char === ']') {
+        this.depth--;
+        if (this.depth === 0) {
+          this.flush(i, elements);
+          this.finished = true;
+          break;
+        }
+      } else if (char === ',' && this.depth === 1) {
+        this.flush(i, elements);
+      } else if (this.depth === 1 && this.elementStart < 0 && !/\s/.test(char)) {
+        this.elementStart = i; // number, boolean or null element
+      }
+    }
+
+    // Drop text that belongs to elements already parsed
+    if (this.elementStart >= 0) {
+      this.buffer = this.buffer.slice(this.elementStart);
+      this.elementStart = 0;
+    } else {
+      this.buffer = '';
+    }
+    this.pos = this.buffer.length;
+
+    return elements;
+  }
+
+  flush(end, elements) {
+    if (this.elementStart < 0) return;
+    const text = this.buffer.slice(this.elementStart, end);
+    this.elementStart = -1;
+    this.elementCount++;
+    try {
+      elements.push(JSON.parse(text));
+    } catch (parseError) {
+      this.errors++;
+      if (this.onError) this.onError(this.elementCount, parseError);
+      else console.warn(`Failed to parse array element: ${parseError.message}`);
+    }
+  }
+}
+
 export class ProgressiveFileLoader {
   constructor(onProgress, onChunkProcessed) {
     this.onProgress = onProgress;
     this.onChunkProcessed = onChunkProcessed;
     this.chunkSize = 1000; // Process 1000 lines at a time
+    this.issues = { failed: 0, samples: [], truncated: false };
+  }
+
+  /**
+   * Load a Zeeschuimer export of any supported shape: NDJSON or a JSON array,
+   * optionally gzip-compressed. The format is sniffed from the content, not the name.
+   */
+  async load(file) {
+    const { reader, head } = await this.openTextStream(file);
+    const firstChar = head.trimStart()[0];
+
+    if (firstChar === '[') {
+      console.log('Detected JSON array format');
+      return this.parseJSONArray(reader, head);
+    }
+    return this.parseNDJSON(reader, head);
   }
 
   /**
    * Load and parse NDJSON file progressively
    */
   async loadNDJSON(file) {
-    const totalSize = file.size;
-    let loadedSize = 0;
+    const { reader, head } = await this.openTextStream(file);
+    return this.parseNDJSON(reader, head);
+  }
+
+  /**
+   * Text reader over the file (decompressed if needed) plus the first
+   * non-blank text, which is consumed here to sniff the format
+   */
+  async openTextStream(file) {
+    this.totalSize = file.size;
+    this.loadedSize = 0;
+    // Records that could not be parsed, kept for the data quality report
+    this.issues = { failed: 0, samples: [], truncated: false };
+
+    // Count raw bytes before decompression so progress tracks the file on disk
+    let byteStream = file.stream().pipeThrough(new TransformStream({
+      transform: (chunk, controller) => {
+        this.loadedSize += chunk.byteLength;
+        controller.enqueue(chunk);
+      }
+    }));
+
+    if (await this.isGzip(file)) {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot decompress .gz files. Please unzip the file first.');
+      }
+      console.log('Detected gzip compression');
+      byteStream = byteStream.pipeThrough(new DecompressionStream('gzip'));
+    }
+
+    const reader = byteStream.pipeThrough(new TextDecoderStream()).getReader();
+
+    let head = '';
+    while (!head.trim()) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      head += value;
+    }
+
+    return { reader, head };
+  }
+
+  async isGzip(file) {
+    if (/\.gz$/i.test(file.name || '')) return true;
+    const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+    return magic[0] === 0x1f && magic[1] === 0x8b;
+  }
+
+  recordParseFailure(location, message) {
+    console.warn(`Failed to parse ${location}: ${message}`);
+    this.issues.failed++;
+    if (this.issues.samples.length < 5) {
+      this.issues.samples.push({ location, message });
+    }
+  }
+
+  reportLoadProgress() {
+    const loadProgress = this.totalSize ? (this.loadedSize / this.totalSize) * 50 : 0; // 0-50% for loading
+    this.onProgress(loadProgress, `Loading file... ${Math.round(loadProgress)}%`);
+  }
+
+  /**
+   * Hand a full chunk to onChunkProcessed and append it to the result
+   */
+  async commitChunk(chunk, allData, parsedCount) {
+    if (this.onChunkProcessed) {
+      await this.onChunkProcessed(chunk, parsedCount);
+    }
+    allData.push(...chunk);
+
+    // Report processing progress
+    const processProgress = 50 + (allData.length / parsedCount) * 25; // 50-75% for processing
+    this.onProgress(processProgress, `Processed ${allData.length} posts...`);
+  }
+
+  async parseNDJSON(reader, head = '') {
     let buffer = '';
     let allData = [];
     let lineCount = 0;
+    let lineNumber = 0; // physical line, including blank and broken ones
 
     try {
-      const stream = file.stream();
-      const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
-
       let chunk = [];
+      let pending = head;
 
       while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
-
-        loadedSize += value.length;
-        buffer += value;
+        if (!pending) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          pending = value;
+        }
 
-        // Report loading progress
-        const loadProgress = (loadedSize / totalSize) * 50; // 0-50% for loading
-        this.onProgress(loadProgress, `Loading file... ${Math.round(loadProgress)}%`);
+        buffer += pending;
+        pending = '';
+        this.reportLoadProgress();
 
         // Process complete lines
         const lines = buffer.split('\n');
         buffer = lines.pop() || ''; // Keep incomplete line in buffer
 
         for (const line of lines) {
+          lineNumber++;
           if (!line.trim()) continue;
 
           try {
@@ -138,18 +333,11 @@ export class ProgressiveFileLoader {
 
             // Process chunk when it reaches chunkSize
             if (chunk.length >= this.chunkSize) {
-              if (this.onChunkProcessed) {
-                await this.onChunkProcessed(chunk, lineCount);
-              }
-              allData.push(...chunk);
+              await this.commitChunk(chunk, allData, lineCount);
               chunk = [];
-
-              // Report processing progress
-              const processProgress = 50 + (allData.length / lineCount) * 25; // 50-75% for processing
-              this.onProgress(processProgress, `Processed ${allData.length} posts...`);
             }
           } catch (parseError) {
-            console.warn(`Failed to parse line ${lineCount}: ${parseError.message}`);
+            this.recordParseFailure(`line ${lineNumber}`, parseError.message);
           }
         }
       }
@@ -161,16 +349,70 @@ export class ProgressiveFileLoader {
           chunk.push(parsed);
           lineCount++;
         } catch (parseError) {
-          console.warn(`Failed to parse final line: ${parseError.message}`);
+          // An unparseable last line is what a cut-off download looks like
+          this.issues.truncated = true;
+          this.recordParseFailure(`line ${lineNumber + 1}`, parseError.message);
         }
       }
 
       // Process final chunk
       if (chunk.length > 0) {
-        if (this.onChunkProcessed) {
-          await this.onChunkProcessed(chunk, lineCount);
+        await this.commitChunk(chunk, allData, lineCount);
+      }
+
+      this.onProgress(75, `Finalizing ${allData.length} posts...`);
+
+      return allData;
+
+    } catch (error) {
+      console.error('Error in progressive file loading:', error);
+      throw error;
+    }
+  }
+
+  async parseJSONArray(reader, head = '') {
+    const parser = new JSONArrayStreamParser((index, error) => {
+      this.recordParseFailure(`array element ${index}`, error.message);
+    });
+    let allData = [];
+    let parsedCount = 0;
+
+    try {
+      let chunk = [];
+      let pending = head;
+
+      while (!parser.finished) {
+        if (!pending) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          pending = value;
+        }
+
+        const elements = parser.push(pending);
+        pending = '';
+        this.reportLoadProgress();
+
+        for (const element of elements) {
+          chunk.push(element);
+          parsedCount++;
+          if (chunk.length >= this.chunkSize) {
+            await this.commitChunk(chunk, allData, parsedCount);
+            chunk = [];
+          }
         }
-        allData.push(...chunk);
+      }
+
+      if (!parser.finished) {
+        console.warn('JSON array was not closed; the file may be truncated');
+        this.issues.truncated = true;
+      }
+      await reader.cancel().catch(() => {}); // ignore anything after the closing bracket
+
+      if (chunk.length > 0) {
+        await this.commitChunk(chunk, allData, parsedCount);
+      }
+      if (parser.errors > 0) {
+        console.warn(`Skipped ${parser.errors} unparseable array elements`);
       }
 
       this.onProgress(75, `Finalizing ${allData.length} posts...`);
@@ -411,6 +653,180 @@ export async function batchProcess(items, processFn, batchSize = 100, onProgress
   return results;
 }
 
+// ==========================
+// Analysis Job Manager
+// ==========================
+
+export class JobCancelledError extends Error {
+  constructor(job) {
+    super(job ? `${job.label} cancelled` : 'Job cancelled');
+    this.name = 'JobCancelledError';
+    this.job = job || null;
+  }
+}
+
+/**
+ * A single long-running analysis. Executors report progress through report()
+ * and call checkpoint() between units of work so cancellation takes effect and
+ * the browser gets a chance to repaint.
+ */
+export class AnalysisJob {
+  constructor(id, kind, label, params, onUpdate) {
+    this.id = id;
+    this.kind = kind;
+    this.label = label;
+    this.params = params;
+    this.paramKey = JSON.stringify(params ?? {});
+    this.status = 'running'; // running | done | failed | cancelled
+    this.progress = 0;
+    this.message = 'Starting...';
+    this.startedAt = Date.now();
+    this.finishedAt = null;
+    this.promise = null;
+    this.sliceMs = 50;
+    this.lastYield = performance.now();
+    this.cancelHandlers = [];
+    this.onUpdate = onUpdate;
+  }
+
+  get cancelled() {
+    return this.status === 'cancelled';
+  }
+
+  report(progress, message) {
+    if (this.status !== 'running') return;
+    const nextProgress = Number.isFinite(progress) ? Math.max(0, Math.min(100, progress)) : this.progress;
+    const nextMessage = message || this.message;
+    // Only notify on visible changes; checkpoint() calls this from inner loops
+    if (Math.round(nextProgress) === Math.round(this.progress) && nextMessage === this.message) return;
+    this.progress = nextProgress;
+    this.message = nextMessage;
+    this.onUpdate?.(this);
+  }
+
+  /**
+   * Register cleanup for work running outside this thread (e.g. terminating a worker)
+   */
+  onCancel(handler) {
+    this.cancelHandlers.push(handler);
+  }
+
+  cancel(reason = 'Cancelled') {
+    if (this.status !== 'running') return;
+    this.status = 'cancelled';
+    this.message = reason;
+    this.finishedAt = Date.now();
+    this.cancelHandlers.forEach(handler => {
+      try {
+        handler(reason);
+      } catch (error) {
+        console.warn(`Cancel handler for ${this.label} failed:`, error);
+      }
+    });
+    this.onUpdate?.(this);
+  }
+
+  /**
+   * Report progress and throw if the job was cancelled. Yields to the browser
+   * once per time slice, so it is cheap enough to call inside inner loops.
+   */
+  async checkpoint(progress, message) {
+    this.report(progress, message);
+    if (this.cancelled) throw new JobCancelledError(this);
+    if (performance.now() - this.lastYield < this.sliceMs) return;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    this.lastYield = performance.now();
+    if (this.cancelled) throw new JobCancelledError(this);
+  }
+}
+
+/**
+ * Tracks analyses by kind. Starting a job of a kind that is already running
+ * with the same params returns the running job; with different params the old
+ * job is cancelled and superseded.
+ */
+export class JobManager {
+  constructor(maxHistory = 8) {
+    this.jobs = [];
+    this.listeners = new Set();
+    this.nextId = 1;
+    this.maxHistory = maxHistory;
+  }
+
+  run(kind, label, params, executor) {
+    const existing = this.getActive(kind);
+    const paramKey = JSON.stringify(params ?? {});
+    if (existing) {
+      if (existing.paramKey === paramKey) return existing;
+      existing.cancel('Superseded by a re-run with changed parameters');
+    }
+
+    const job = new AnalysisJob(this.nextId++, kind, label, params, () => this.notify());
+    this.jobs.unshift(job);
+    this.trimHistory();
+
+    job.promise = (async () => {
+      try {
+        const result = await executor(job);
+        if (job.cancelled) throw new JobCancelledError(job);
+        job.status = 'done';
+        job.progress = 100;
+        job.message = 'Complete';
+        return result;
+      } catch (error) {
+        if (job.cancelled || error instanceof JobCancelledError) {
+          throw new JobCancelledError(job);
+        }
+        job.status = 'failed';
+        job.message = error.message;
+        throw error;
+      } finally {
+        job.finishedAt = job.finishedAt || Date.now();
+        this.notify();
+      }
+    })();
+
+    this.notify();
+    return job;
+  }
+
+  getActive(kind) {
+    return this.jobs.find(job => job.kind === kind && job.status === 'running') || null;
+  }
+
+  getJob(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  cancel(kind, reason) {
+    this.getActive(kind)?.cancel(reason);
+  }
+
+  cancelAll(reason = 'Cancelled') {
+    this.jobs.filter(job => job.status === 'running').forEach(job => job.cancel(reason));
+  }
+
+  trimHistory() {
+    // Never drop running jobs, only the oldest finished ones
+    while (this.jobs.length > this.maxHistory) {
+      const index = this.jobs.findLastIndex(job => job.status !== 'running');
+      if (index < 0) break;
+      this.jobs.splice(index, 1);
+    }
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this.jobs));
+  }
+}
+
+export const jobManager = new JobManager();
+
 // ==========================
 // Performance Monitor
 // ==========================
@@ -0,0 +1,92 @@
+// .schuim project files: a session snapshot (settings, identity links,
+// communities, CIB results, notes) plus the dataset it was computed on, either
+// embedded or referenced by hash, so a reviewer can reproduce the same view.
+
+import { postKey } from './normalization.js';
+
+export const PROJECT_FORMAT = 'schuimsurfer-project';
+export const PROJECT_VERSION = 1;
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// FNV-1a, for browsers that hide crypto.subtle (e.g. pages served over plain http)
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Fingerprint of which posts are in a dataset, independent of file order and
+ * of how the files were split. Two collections with the same platform:id keys
+ * hash the same.
+ */
+export async function computeDatasetHash(posts) {
+  const keys = posts.map(post => postKey(post) || '').sort().join('\n');
+  if (globalThis.crypto?.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(keys));
+    return `sha256:${toHex(digest)}`;
+  }
+  return `fnv1a:${fnv1a(keys)}`;
+}
+
+export function buildProject({ session, posts, datasetHash, embedPosts }) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    dataset: {
+      hash: datasetHash,
+      postCount: posts.length,
+      files: session.batches || [],
+      platforms: session.platforms || [],
+      posts: embedPosts ? posts : null,
+    },
+    session,
+  };
+}
+
+/**
+ * Project as a downloadable Blob. Projects with embedded posts are gzipped
+ * when the browser can, since the posts dominate the size.
+ */
+export async function projectToBlob(project) {
+  const json = JSON.stringify(project);
+  if (project.dataset.posts && typeof CompressionStream !== 'undefined') {
+    const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Response(stream).blob();
+  }
+  return new Blob([json], { type: 'application/json' });
+}
+
+export async function readProjectFile(file) {
+  const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  let text;
+  if (magic[0] === 0x1f && magic[1] === 0x8b) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot decompress this project file.');
+    }
+    text = await new Response(file.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+  } else {
+    text = await file.text();
+  }
+
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a SchuimSurfer project file (${error.message})`);
+  }
+  if (project?.format !== PROJECT_FORMAT || !project.session || !project.dataset) {
+    throw new Error('Not a SchuimSurfer project file');
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw new Error(`This project was saved by a newer SchuimSurfer (format version ${project.version})`);
+  }
+  return project;
+}
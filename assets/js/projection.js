@@ -0,0 +1,135 @@
+// Projection of bipartite user–entity networks (user–hashtag, user–location,
+// user–domain, ...) onto the users: two accounts are linked when they connect
+// to the same entities. The accounts are the link sources, the entities the
+// link targets, so any extractor that emits user → entity links can be projected.
+
+export const PROJECTION_METHODS = {
+  shared: 'Shared entities',
+  jaccard: 'Jaccard similarity',
+  newman: 'Newman-weighted',
+  temporal: 'Time-windowed co-occurrence',
+};
+
+// Entities used by more accounts than this are background (a trending hashtag,
+// a news site) and would dominate the projection with quadratic edge counts
+const DEFAULT_MAX_ENTITY_USERS = 500;
+
+// Per-post links carry `time`, aggregated ones `times`
+function linkTimes(link) {
+  if (Array.isArray(link.times)) return link.times;
+  return link.time ? [link.time] : [];
+}
+
+// Entity id -> Map(user id -> timestamps of that user's links to it)
+function collectMemberships(network) {
+  const memberships = new Map();
+  network.links.forEach(link => {
+    const user = typeof link.source === 'object' ? link.source.id : link.source;
+    const entity = typeof link.target === 'object' ? link.target.id : link.target;
+    if (!memberships.has(entity)) memberships.set(entity, new Map());
+    const users = memberships.get(entity);
+    if (!users.has(user)) users.set(user, []);
+    users.get(user).push(...linkTimes(link));
+  });
+  return memberships;
+}
+
+// Pairs of users with a link to the entity within `timeWindow` seconds of each other
+function temporalPairs(users, timeWindow) {
+  const events = [];
+  users.forEach((times, user) => times.forEach(time => events.push({ user, time })));
+  events.sort((a, b) => a.time - b.time);
+
+  const pairs = new Set();
+  let windowStart = 0;
+  for (let i = 1; i < events.length; i++) {
+    while (events[i].time - events[windowStart].time > timeWindow) windowStart++;
+    for (let j = windowStart; j < i; j++) {
+      if (events[j].user === events[i].user) continue;
+      pairs.add([events[j].user, events[i].user].sort().join('\u0000'));
+    }
+  }
+  return Array.from(pairs, key => key.split('\u0000'));
+}
+
+/**
+ * Project a bipartite network onto its users.
+ *
+ * Methods:
+ * - shared:   number of entities both users link to
+ * - jaccard:  shared entities / entities either user links to
+ * - newman:   each shared entity adds 1/(k-1), k = users of that entity, so
+ *             niche entities weigh more than popular ones (Newman 2001)
+ * - temporal: shared entities both users linked to within `timeWindow` seconds
+ *
+ * Edges lighter than `minWeight` are dropped, and users left without edges
+ * with them. Links keep up to five example entity labels in `entities`.
+ */
+export function projectBipartite(network, {
+  method = 'shared',
+  minWeight = 0,
+  timeWindow = 300,
+  maxEntityUsers = DEFAULT_MAX_ENTITY_USERS,
+} = {}) {
+  const nodeById = new Map(network.nodes.map(node => [node.id, node]));
+  const memberships = collectMemberships(network);
+
+  const entityCounts = new Map();
+  memberships.forEach(users => users.forEach((_, user) => {
+    entityCounts.set(user, (entityCounts.get(user) || 0) + 1);
+  }));
+
+  const pairs = new Map();
+  let skipped = 0;
+  memberships.forEach((users, entity) => {
+    if (users.size < 2) return;
+    if (users.size > maxEntityUsers) {
+      skipped++;
+      return;
+    }
+
+    let entityPairs;
+    if (method === 'temporal') {
+      entityPairs = temporalPairs(users, timeWindow);
+    } else {
+      const ids = Array.from(users.keys()).sort();
+      entityPairs = [];
+      for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) entityPairs.push([ids[i], ids[j]]);
+      }
+    }
+
+    const contribution = method === 'newman' ? 1 / (users.size - 1) : 1;
+    const label = nodeById.get(entity)?.label ?? entity;
+    entityPairs.forEach(([a, b]) => {
+      const key = `${a}|${b}`;
+      if (!pairs.has(key)) pairs.set(key, { source: a, target: b, weight: 0, shared: 0, entities: [] });
+      const pair = pairs.get(key);
+      pair.weight += contribution;
+      pair.shared++;
+      if (pair.entities.length < 5) pair.entities.push(label);
+    });
+  });
+
+  if (skipped > 0) {
+    console.log(`Projection: skipped ${skipped} entities linked to more than ${maxEntityUsers} users`);
+  }
+
+  const links = [];
+  pairs.forEach(pair => {
+    if (method === 'jaccard') {
+      const union = entityCounts.get(pair.source) + entityCounts.get(pair.target) - pair.shared;
+      pair.weight = pair.shared / union;
+    }
+    if (pair.weight >= minWeight) links.push(pair);
+  });
+
+  const linked = new Set();
+  links.forEach(link => {
+    linked.add(link.source);
+    linked.add(link.target);
+  });
+  const nodes = Array.from(linked, id => nodeById.get(id)).filter(Boolean);
+
+  return { nodes, links };
+}
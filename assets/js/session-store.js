@@ -0,0 +1,98 @@
+// Saved analysis sessions, kept in the browser's IndexedDB so nothing leaves
+// the machine. Session state and posts live in separate stores: the session
+// picker lists sessions without reading any dataset, and autosaves after an
+// analysis don't rewrite the posts.
+
+const DB_NAME = 'schuimsurfer';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const DATASETS = 'datasets';
+
+let dbPromise = null;
+
+export function isSessionStorageAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSIONS)) db.createObjectStore(SESSIONS, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(DATASETS)) db.createObjectStore(DATASETS);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null; // e.g. blocked in private browsing; allow a later retry
+        reject(request.error || new Error('Could not open session storage'));
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Run `work(stores)` in one transaction; resolves with its result once committed
+async function withStores(mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([SESSIONS, DATASETS], mode);
+    const stores = { sessions: tx.objectStore(SESSIONS), datasets: tx.objectStore(DATASETS) };
+    const result = Promise.resolve(work(stores));
+    result.catch(reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Session storage transaction aborted'));
+  });
+}
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function createSessionId() {
+  return `session_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Sessions without their posts, most recently saved first
+ */
+export async function listSessions() {
+  const sessions = await withStores('readonly', ({ sessions }) => requestResult(sessions.getAll()));
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Store a session. `posts` is written only when given, so state-only saves
+ * leave the stored dataset untouched.
+ */
+export async function saveSession(session, posts) {
+  const record = { ...session, updatedAt: Date.now() };
+  await withStores('readwrite', ({ sessions, datasets }) => {
+    sessions.put(record);
+    if (posts) datasets.put(posts, record.id);
+  });
+  return record;
+}
+
+export async function loadSession(id) {
+  return withStores('readonly', async ({ sessions, datasets }) => {
+    const [session, posts] = await Promise.all([
+      requestResult(sessions.get(id)),
+      requestResult(datasets.get(id)),
+    ]);
+    if (!session) throw new Error('Session not found');
+    return { session, posts: posts || [] };
+  });
+}
+
+export async function deleteSession(id) {
+  await withStores('readwrite', ({ sessions, datasets }) => {
+    sessions.delete(id);
+    datasets.delete(id);
+  });
+}
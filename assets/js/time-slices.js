@@ -0,0 +1,95 @@
+// Time slices for temporal network playback: the filtered posts are cut into
+// consecutive hour/day/week windows and, per window, the nodes and links the
+// posts in it activate are counted. The network itself is built once from all
+// posts, so node positions stay put while stepping through the slices.
+
+import { DEFAULT_TIME_ZONE, utcOffsetAt, zonedDayBoundaries, boundaryIndex } from './timezone.js';
+
+export const SLICE_SIZES = {
+  hour: 3600,
+  day: 86400,
+  week: 7 * 86400,
+};
+
+// Playback beyond this many slices is unusable; pick a coarser size instead
+export const MAX_SLICES = 2000;
+
+// `utcOffset` (seconds) moves the boundaries onto the local hour in zones
+// with half-hour offsets
+export function sliceStart(time, size, utcOffset = 0) {
+  return Math.floor((time + utcOffset) / size) * size - utcOffset;
+}
+
+export function linkKey(a, b) {
+  return [a, b].sort().join('-');
+}
+
+/**
+ * Split posts into consecutive slices of `size` seconds, empty ones included
+ * so gaps in activity show up during playback. Slices start on the hour,
+ * midnight or Monday midnight in `timeZone`; day and week boundaries are
+ * each placed on local midnight, so across a DST change a slice is 23 or 25
+ * hours long rather than shifted by one.
+ *
+ * `activityOf(post)` returns { nodes: [id], links: [[id, id]] } for one post.
+ * Each slice is { start, end, postCount, nodes: Map(id -> count),
+ * links: Map(linkKey -> weight), newLinks: Set(linkKey) } where newLinks
+ * holds the links seen for the first time. Returns null when there would be
+ * more than MAX_SLICES slices.
+ */
+export function buildTimeSlices(posts, size, activityOf, timeZone = DEFAULT_TIME_ZONE) {
+  const timed = posts.filter(post => post.data?.createTime);
+  if (timed.length === 0) return [];
+
+  let first = Infinity;
+  let last = -Infinity;
+  timed.forEach(post => {
+    first = Math.min(first, post.data.createTime);
+    last = Math.max(last, post.data.createTime);
+  });
+  // Checked before building boundaries so a huge range is rejected cheaply
+  if ((last - first) / size >= MAX_SLICES) return null;
+
+  let boundaries;
+  if (size === SLICE_SIZES.hour) {
+    // Whole-hour DST changes leave hour boundaries in place
+    const utcOffset = utcOffsetAt(first, timeZone);
+    const firstStart = sliceStart(first, size, utcOffset);
+    const count = Math.floor((sliceStart(last, size, utcOffset) - firstStart) / size) + 1;
+    boundaries = Array.from({ length: count + 1 }, (_, index) => firstStart + index * size);
+  } else {
+    boundaries = zonedDayBoundaries(first, last, timeZone, { days: size / SLICE_SIZES.day, weekStart: size === SLICE_SIZES.week });
+  }
+  if (boundaries.length - 1 > MAX_SLICES) return null;
+
+  const slices = boundaries.slice(0, -1).map((start, index) => ({
+    start,
+    end: boundaries[index + 1],
+    postCount: 0,
+    nodes: new Map(),
+    links: new Map(),
+    newLinks: new Set(),
+  }));
+
+  timed.forEach(post => {
+    const slice = slices[boundaryIndex(boundaries, post.data.createTime)];
+    const activity = activityOf(post);
+    slice.postCount++;
+    activity.nodes.forEach(id => slice.nodes.set(id, (slice.nodes.get(id) || 0) + 1));
+    activity.links.forEach(([a, b]) => {
+      const key = linkKey(a, b);
+      slice.links.set(key, (slice.links.get(key) || 0) + 1);
+    });
+  });
+
+  const seen = new Set();
+  slices.forEach(slice => {
+    slice.links.forEach((_, key) => {
+      if (seen.has(key)) return;
+      seen.add(key);
+      slice.newLinks.add(key);
+    });
+  });
+
+  return slices;
+}
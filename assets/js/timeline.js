@@ -0,0 +1,232 @@
+// Posts-over-time histogram shown under the network. Bars are stacked by a
+// grouping chosen by the caller (platform, community); dragging across the
+// chart selects a time range, and the posts of a selected node can be drawn
+// on top of the bars.
+
+import { DEFAULT_TIME_ZONE, formatZoned, timeZoneLabel, utcOffsetAt, zonedDayBoundaries, zonedClockBoundaries, boundaryIndex } from './timezone.js';
+import { sliceStart } from './time-slices.js';
+
+// Bin widths to choose from, in seconds
+const BIN_SIZES = [60, 300, 900, 3600, 3 * 3600, 6 * 3600, 86400, 7 * 86400, 30 * 86400];
+const TARGET_BINS = 120;
+
+const AXIS_HEIGHT = 14;
+const HIGHLIGHT_COLOR = '#111827';
+const BRUSH_COLOR = 'rgba(37, 99, 235, 0.15)';
+const BRUSH_EDGE_COLOR = '#2563eb';
+
+export function chooseBinSize(span) {
+  return BIN_SIZES.find(size => span / size <= TARGET_BINS) || BIN_SIZES[BIN_SIZES.length - 1];
+}
+
+/**
+ * Count timestamped posts per bin and group. Bins follow the clock in
+ * `timeZone`: shorter ones start on its hours (3- and 6-hour bins counted
+ * from midnight), longer ones at midnight (weeks on Monday). Boundaries are
+ * placed separately so a DST change makes one bin an hour shorter or longer
+ * instead of shifting the rest.
+ * Returns null when no post has a timestamp, otherwise
+ * { start, end, binSize, timeZone, boundaries: [bin starts, then end],
+ *   bins: [{ start, total, groups: Map(group -> count) }], groups: [group] }
+ * with groups ordered by post count, largest first. `binSize` is nominal.
+ */
+export function binPosts(posts, groupOf, timeZone = DEFAULT_TIME_ZONE) {
+  const timed = posts.filter(post => post.data?.createTime);
+  if (timed.length === 0) return null;
+
+  let first = Infinity;
+  let last = -Infinity;
+  timed.forEach(post => {
+    first = Math.min(first, post.data.createTime);
+    last = Math.max(last, post.data.createTime);
+  });
+  const binSize = chooseBinSize(last - first);
+  let boundaries;
+  if (binSize >= 86400) {
+    boundaries = zonedDayBoundaries(first, last, timeZone, { days: binSize / 86400, weekStart: binSize === 7 * 86400 });
+  } else if (binSize > 3600) {
+    boundaries = zonedClockBoundaries(first, last, binSize, timeZone);
+  } else {
+    // Whole-hour DST changes leave hour boundaries in place
+    const utcOffset = utcOffsetAt(first, timeZone);
+    const firstStart = sliceStart(first, binSize, utcOffset);
+    const count = Math.floor((last - firstStart) / binSize) + 1;
+    boundaries = Array.from({ length: count + 1 }, (_, index) => firstStart + index * binSize);
+  }
+
+  const bins = boundaries.slice(0, -1).map(start => ({
+    start,
+    total: 0,
+    groups: new Map(),
+  }));
+  const groupTotals = new Map();
+
+  timed.forEach(post => {
+    const bin = bins[boundaryIndex(boundaries, post.data.createTime)];
+    const group = groupOf(post);
+    bin.total++;
+    bin.groups.set(group, (bin.groups.get(group) || 0) + 1);
+    groupTotals.set(group, (groupTotals.get(group) || 0) + 1);
+  });
+
+  const groups = Array.from(groupTotals.keys()).sort((a, b) => groupTotals.get(b) - groupTotals.get(a));
+  return { start: boundaries[0], end: boundaries[boundaries.length - 1], binSize, timeZone, boundaries, bins, groups };
+}
+
+function formatTick(seconds, binSize, timeZone) {
+  return formatZoned(seconds, timeZone, { withTime: binSize < 86400 });
+}
+
+export class TimelineChart {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} options
+   * @param {(range: {start: number, end: number}|null) => void} options.onBrush
+   *   called when a drag ends (null when the brush is cleared), in Unix seconds
+   */
+  constructor(canvas, { onBrush = () => {} } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.onBrush = onBrush;
+    this.histogram = null;
+    this.colorOf = () => '#9ca3af';
+    this.highlight = null; // per-bin counts of the selected node's posts
+    this.brush = null; // { start, end } in seconds
+    this.dragFrom = null;
+
+    canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+    window.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+    window.addEventListener('mouseup', () => this.handleMouseUp());
+    canvas.addEventListener('dblclick', () => this.setBrush(null, { notify: true }));
+
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => this.draw()).observe(canvas);
+    }
+  }
+
+  setData(histogram, colorOf) {
+    this.histogram = histogram;
+    if (colorOf) this.colorOf = colorOf;
+    this.highlight = null;
+    this.brush = null;
+    this.draw();
+  }
+
+  // Recolor without touching the brush or highlight (e.g. after community detection)
+  setGrouping(histogram, colorOf) {
+    this.histogram = histogram;
+    this.colorOf = colorOf;
+    this.draw();
+  }
+
+  setHighlight(times) {
+    if (!times || !this.histogram) {
+      this.highlight = null;
+    } else {
+      const { boundaries, bins } = this.histogram;
+      this.highlight = new Array(bins.length).fill(0);
+      times.forEach(time => {
+        const index = boundaryIndex(boundaries, time);
+        if (index >= 0 && index < bins.length) this.highlight[index]++;
+      });
+    }
+    this.draw();
+  }
+
+  setBrush(range, { notify = false } = {}) {
+    this.brush = range;
+    this.draw();
+    if (notify) this.onBrush(range);
+  }
+
+  timeAt(clientX) {
+    const rect = this.canvas.getBoundingClientRect();
+    const ratio = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+    const { start, end } = this.histogram;
+    return start + ratio * (end - start);
+  }
+
+  handleMouseDown(event) {
+    if (!this.histogram) return;
+    this.dragFrom = this.timeAt(event.clientX);
+    this.setBrush({ start: this.dragFrom, end: this.dragFrom });
+  }
+
+  handleMouseMove(event) {
+    if (this.dragFrom === null) return;
+    const time = this.timeAt(event.clientX);
+    this.setBrush({ start: Math.min(this.dragFrom, time), end: Math.max(this.dragFrom, time) });
+  }
+
+  handleMouseUp() {
+    if (this.dragFrom === null) return;
+    this.dragFrom = null;
+    // A click without a drag clears the selection; brushes snap to whole bins
+    const { boundaries, binSize } = this.histogram;
+    const last = boundaries.length - 1;
+    let range = null;
+    if (this.brush && this.brush.end - this.brush.start >= binSize / 4) {
+      const from = Math.max(0, boundaryIndex(boundaries, this.brush.start));
+      let to = Math.min(last, boundaryIndex(boundaries, this.brush.end));
+      if (boundaries[to] < this.brush.end && to < last) to++;
+      range = { start: boundaries[from], end: boundaries[Math.max(to, from + 1)] };
+    }
+    this.setBrush(range, { notify: true });
+  }
+
+  draw() {
+    const { canvas, ctx } = this;
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (!width || !height) return;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (!this.histogram) return;
+
+    const { bins, groups, start, end, binSize, timeZone } = this.histogram;
+    const chartHeight = height - AXIS_HEIGHT;
+    const maxTotal = Math.max(1, ...bins.map(bin => bin.total));
+    const barWidth = width / bins.length;
+    const gap = barWidth > 4 ? 1 : 0;
+
+    bins.forEach((bin, index) => {
+      let y = chartHeight;
+      groups.forEach(group => {
+        const count = bin.groups.get(group);
+        if (!count) return;
+        const barHeight = (count / maxTotal) * (chartHeight - 2);
+        y -= barHeight;
+        ctx.fillStyle = this.colorOf(group);
+        ctx.fillRect(index * barWidth, y, Math.max(barWidth - gap, 1), barHeight);
+      });
+
+      const highlighted = this.highlight?.[index];
+      if (highlighted) {
+        const barHeight = (highlighted / maxTotal) * (chartHeight - 2);
+        const inset = barWidth > 6 ? barWidth * 0.25 : 0;
+        ctx.fillStyle = HIGHLIGHT_COLOR;
+        ctx.fillRect(index * barWidth + inset, chartHeight - barHeight, Math.max(barWidth - gap - inset * 2, 1), barHeight);
+      }
+    });
+
+    if (this.brush) {
+      const x1 = ((this.brush.start - start) / (end - start)) * width;
+      const x2 = ((this.brush.end - start) / (end - start)) * width;
+      ctx.fillStyle = BRUSH_COLOR;
+      ctx.fillRect(x1, 0, Math.max(x2 - x1, 1), chartHeight);
+      ctx.strokeStyle = BRUSH_EDGE_COLOR;
+      ctx.strokeRect(x1 + 0.5, 0.5, Math.max(x2 - x1 - 1, 1), chartHeight - 1);
+    }
+
+    ctx.fillStyle = '#6b7280';
+    ctx.font = '10px system-ui, sans-serif';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'left';
+    ctx.fillText(formatTick(start, binSize, timeZone), 2, height);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${formatTick(end, binSize, timeZone)} ${timeZoneLabel(timeZone)}`, width - 2, height);
+  }
+}
@@ -0,0 +1,220 @@
+// Calendar arithmetic in an IANA timezone chosen by the analyst, so day
+// boundaries, hours of the day and printed dates don't depend on the
+// browser's own zone. Also guesses an account's UTC offset from the daily
+// trough in its posting.
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const WEEKDAY_INDEX = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+
+const FALLBACK_TIMEZONES = [
+  'UTC', 'America/Los_Angeles', 'America/New_York', 'America/Sao_Paulo', 'Europe/London',
+  'Europe/Amsterdam', 'Europe/Moscow', 'Africa/Lagos', 'Asia/Tehran', 'Asia/Kolkata',
+  'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney',
+];
+
+// Inference needs enough posts to tell a habit from chance
+const MIN_INFERENCE_POSTS = 24;
+// Assume people sleep through 02:00-07:00 local time
+const SLEEP_START_HOUR = 2;
+const SLEEP_HOURS = 5;
+// The quietest 5 hours must hold at most this share of the posts to count as sleep
+const MAX_TROUGH_SHARE = 0.05;
+
+const formatters = new Map();
+
+// Formatting dates is the slow part; one formatter per timezone is enough
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// UTC and the analyst's own zone first, then every zone the browser knows
+export function timeZoneOptions() {
+  const all = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : FALLBACK_TIMEZONES;
+  return Array.from(new Set([DEFAULT_TIME_ZONE, browserTimeZone(), ...all]));
+}
+
+/**
+ * Wall-clock reading of a Unix timestamp in `timeZone`:
+ * { year, month (1-12), day, hour, minute, second, weekday (0 = Monday) }.
+ */
+export function zonedParts(seconds, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(seconds * 1000)).forEach(part => {
+    if (part.type === 'weekday') parts.weekday = WEEKDAY_INDEX[part.value];
+    else if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+  });
+  parts.hour %= 24;
+  return parts;
+}
+
+// Seconds the zone is ahead of UTC at that moment
+export function utcOffsetAt(seconds, timeZone = DEFAULT_TIME_ZONE) {
+  const p = zonedParts(Math.floor(seconds), timeZone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) / 1000 - Math.floor(seconds);
+}
+
+/**
+ * Unix timestamp of 00:00 on `date` ('YYYY-MM-DD') in `timeZone`, or
+ * undefined for an empty or malformed date. `dayOffset` moves the date,
+ * e.g. 1 for the end of an inclusive range.
+ */
+export function zonedMidnight(date, timeZone = DEFAULT_TIME_ZONE, dayOffset = 0) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+  if (!match) return undefined;
+  return zonedWallTime(Date.UTC(+match[1], +match[2] - 1, +match[3] + dayOffset) / 1000, timeZone);
+}
+
+// Unix timestamp at which the clock in `timeZone` reads `wall`, given as
+// seconds since 1970-01-01 00:00 on that clock
+export function zonedWallTime(wall, timeZone = DEFAULT_TIME_ZONE) {
+  // Correct by the offset twice: the first guess can sit on the wrong side of a DST change
+  let time = wall - utcOffsetAt(wall, timeZone);
+  time = wall - utcOffsetAt(time, timeZone);
+  return time;
+}
+
+/**
+ * Starts of `size`-second intervals on the clock in `timeZone`, from the one
+ * holding `from` until one past `to`. Sizes that divide a day start on local
+ * midnight; each boundary is placed on its own, so after a DST change they
+ * stay on the same local hours and one interval is an hour shorter or longer.
+ */
+export function zonedClockBoundaries(from, to, size, timeZone = DEFAULT_TIME_ZONE) {
+  const wallStart = Math.floor((from + utcOffsetAt(from, timeZone)) / size) * size;
+  const boundaries = [];
+  for (let step = 0; ; step++) {
+    const boundary = zonedWallTime(wallStart + step * size, timeZone);
+    // A local time skipped by a DST change maps onto the next one; keep it once
+    if (boundaries.length === 0 || boundary > boundaries[boundaries.length - 1]) boundaries.push(boundary);
+    if (boundary > to) return boundaries;
+  }
+}
+
+/**
+ * Midnights in `timeZone` every `days` days, from the one starting the day of
+ * `from` (the Monday of its week with `weekStart`) until one past `to`. Each
+ * is computed on its own, so they stay on local midnight across DST changes.
+ */
+export function zonedDayBoundaries(from, to, timeZone = DEFAULT_TIME_ZONE, { days = 1, weekStart = false } = {}) {
+  const date = formatZoned(from, timeZone, { withTime: false });
+  const shift = weekStart ? -zonedParts(from, timeZone).weekday : 0;
+  const boundaries = [];
+  for (let step = 0; ; step++) {
+    const boundary = zonedMidnight(date, timeZone, shift + step * days);
+    boundaries.push(boundary);
+    if (boundary > to) return boundaries;
+  }
+}
+
+// Index of the interval [boundaries[i], boundaries[i + 1]) holding `time`; -1 before the first
+export function boundaryIndex(boundaries, time) {
+  let low = 0;
+  let high = boundaries.length - 1;
+  if (time < boundaries[0]) return -1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (boundaries[mid] <= time) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// 'YYYY-MM-DD', or 'YYYY-MM-DD HH:MM' with `withTime`, in `timeZone`
+export function formatZoned(seconds, timeZone = DEFAULT_TIME_ZONE, { withTime = true } = {}) {
+  const p = zonedParts(seconds, timeZone);
+  const date = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+  return withTime ? `${date} ${pad(p.hour)}:${pad(p.minute)}` : date;
+}
+
+// Inferred zones are fixed offsets; Etc/GMT names have the sign reversed
+function offsetTimeZone(hours) {
+  if (hours === 0) return DEFAULT_TIME_ZONE;
+  return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+}
+
+// 'Etc/GMT-3' reads as 'UTC+3'; named zones are shown as they are
+export function timeZoneLabel(timeZone) {
+  const match = /^Etc\/GMT([+-])(\d+)$/.exec(timeZone);
+  if (!match) return timeZone;
+  return `UTC${match[1] === '-' ? '+' : '-'}${match[2]}`;
+}
+
+/**
+ * Guess an account's whole-hour UTC offset from when it doesn't post: the
+ * quietest 5 hours of its day are taken to be 02:00-07:00 local time.
+ * Returns { offset (hours), timeZone, troughStart (UTC hour) }, or null when
+ * there are too few posts or no hours quiet enough to be sleep. Accounts that
+ * post around the clock therefore get no inferred zone.
+ */
+export function inferTimeZone(times) {
+  const hours = new Array(24).fill(0);
+  let total = 0;
+  times.forEach(time => {
+    if (!time) return;
+    hours[new Date(time * 1000).getUTCHours()]++;
+    total++;
+  });
+  if (total < MIN_INFERENCE_POSTS) return null;
+
+  const windowCount = (start, length) => {
+    let count = 0;
+    for (let i = 0; i < length; i++) count += hours[(start + i) % 24];
+    return count;
+  };
+
+  const counts = Array.from({ length: 24 }, (_, start) => windowCount(start, SLEEP_HOURS));
+  const quietest = Math.min(...counts);
+  if (quietest > total * MAX_TROUGH_SHARE) return null;
+
+  // Equally quiet windows next to each other mean a quiet stretch longer than
+  // the sleep window; take the middle of the longest such run, which centres
+  // the sleep window in the stretch
+  let troughStart = counts.indexOf(quietest);
+  let longest = 0;
+  for (let start = 0; start < 24; start++) {
+    // Each run is measured once, from its first window
+    if (counts[start] !== quietest || counts[(start + 23) % 24] === quietest) continue;
+    let length = 1;
+    while (length < 24 && counts[(start + length) % 24] === quietest) length++;
+    if (length > longest) {
+      longest = length;
+      troughStart = (start + Math.floor((length - 1) / 2)) % 24;
+    }
+  }
+
+  let offset = (SLEEP_START_HOUR - troughStart + 24) % 24;
+  if (offset > 12) offset -= 24;
+  return { offset, timeZone: offsetTimeZone(offset), troughStart };
+}